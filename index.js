@@ -3,147 +3,1360 @@
 const {
   askQuestion,
   validateMonth,
+  validateYear,
   closeInterface,
 } = require("./src/utils/input");
-const { selectProfile } = require("./src/config/profileManager");
 const {
+  PERIOD_TYPES,
+  parseDate,
+  parseQuarter,
+  compareDates,
+  createMonthPeriod,
+  createQuarterPeriod,
+  createYearPeriod,
+  createRangePeriod,
+} = require("./src/utils/period");
+const { EXIT_CODES, parseArgs, printUsage } = require("./src/utils/args");
+const {
+  selectProfile,
+  reencryptVault,
+  listProfiles,
+  renameProfile,
+  deleteProfile,
+  rotateProfileKey,
+  setProfileSetting,
+  showConfig,
+  listBatchProfiles,
+  useConfigFile,
+  API_KEY_ENV,
+  PROFILE_ENV,
+} = require("./src/config/profileManager");
+const { WRONG_PASSPHRASE_ERROR } = require("./src/config/vault");
+const { KEY_MODES, getKeyMode } = require("./src/stripe/apiKey");
+const {
+  probeKeyPermissions,
+  getExportAccess,
+  displayPermissionReport,
+} = require("./src/stripe/permissions");
+const { resolveSettings } = require("./src/config/settings");
+const {
+  DEFAULT_DOWNLOAD_DIR,
   initializeStripe,
+  getStripeAccount,
   createDownloadFolder,
   getStripeInvoices,
+  getStripeCreditNotes,
+  getStripeReceipts,
+  getInvoiceRefunds,
+  getStripePayouts,
+  getPayoutTransactions,
+  getTransactionInvoiceNumbers,
+  getProductNames,
+  findInvoiceByNumber,
+  getInvoiceFilenameEntry,
+  getCreditNoteFilenameEntry,
+  getReceiptFilenameEntry,
   downloadStripeInvoice,
+  downloadStripeCreditNote,
   displayInvoiceDetails,
+  displayCreditNoteDetails,
+  displayReceiptDetails,
+  displayAccountDetails,
 } = require("./src/stripe/client");
 const { generateAccountingCSV } = require("./src/export/csvGenerator");
+const { generateInvoiceLinesCSV } = require("./src/export/invoiceLines");
+const { saveReceiptHtml } = require("./src/export/receiptHtml");
+const { generateRevenueSchedule } = require("./src/export/revenueSchedule");
+const { generateDatevExport } = require("./src/export/datevGenerator");
+const { generateOssReport } = require("./src/export/ossReport");
+const { generateEcSalesList } = require("./src/export/ecSalesList");
+const {
+  DOCUMENT_TYPES,
+  buildAccountingRows,
+} = require("./src/export/accountingRows");
+const { EXPORT_FORMATS } = require("./src/export/formats");
+const { checkInvoiceSequence } = require("./src/export/sequenceCheck");
+const {
+  RUN_STATUSES,
+  summarizeDocumentTotals,
+  generateBatchSummary,
+} = require("./src/export/batchSummary");
+const {
+  generatePayoutReconciliation,
+} = require("./src/export/payoutReconciliation");
+const { INVOICE_STATUSES } = require("./src/stripe/invoiceStatus");
+const { runQueue } = require("./src/download/queue");
+const {
+  FAILED_DOWNLOADS_FILE,
+  saveFailedDownloads,
+  loadFailedDownloads,
+} = require("./src/download/failedDownloads");
+const {
+  loadManifest,
+  saveManifest,
+  findNewDocuments,
+  markDocumentsSeen,
+  downloadWithManifest,
+} = require("./src/download/manifest");
+const { assignFilenames } = require("./src/download/filename");
+const { loadRateTable } = require("./src/fx/rateTable");
+const {
+  DEFAULT_BASE_CURRENCY,
+  detectSettlementCurrency,
+  createBaseCurrencyConverter,
+} = require("./src/fx/baseCurrency");
 
 /**
- * Main function - Entry point of the application
+ * Get a value from a command line option or, if missing, by prompting
+ * @param {string|undefined} optionValue - Value given on the command line
+ * @param {string} question - Prompt used in interactive mode
+ * @param {string} optionName - Option name for the error message
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<string|null>} Value, or null if missing in non-interactive mode
  */
-async function main() {
-  console.log("🚀 Stripe Invoice Downloader");
-  console.log("=============================\n");
+async function getInput(optionValue, question, optionName, interactive) {
+  if (optionValue !== undefined) {
+    return optionValue;
+  }
+  if (!interactive) {
+    console.error(
+      `❌ Missing --${optionName} (required in non-interactive mode).`
+    );
+    return null;
+  }
+  return await askQuestion(question);
+}
 
-  try {
-    // Initialize Stripe with profile selection
-    const profile = await selectProfile();
-    if (!profile) {
-      console.error("❌ Failed to select profile. Exiting.");
-      process.exit(1);
+/**
+ * Decide a yes/no question from flags or, if no flag was given, by prompting
+ * Non-interactive runs answer "no" unless the flag says otherwise.
+ * @param {boolean} yesFlag - Flag forcing "yes"
+ * @param {boolean} noFlag - Flag forcing "no"
+ * @param {string} question - Prompt used in interactive mode
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<boolean>} Decision
+ */
+async function confirm(yesFlag, noFlag, question, interactive) {
+  if (yesFlag) {
+    return true;
+  }
+  if (noFlag || !interactive) {
+    return false;
+  }
+  const answer = (await askQuestion(question)).toLowerCase();
+  return answer === "y" || answer === "yes";
+}
+
+/**
+ * Parse and validate a year value
+ * @param {string} input - Year input
+ * @returns {number|null} Year, or null if invalid
+ */
+function parseYear(input) {
+  const year = parseInt(input, 10);
+  if (!/^\s*\d{4}\s*$/.test(String(input)) || !validateYear(year)) {
+    console.error(
+      "❌ Invalid year! Please enter a four-digit year (e.g. 2024)."
+    );
+    return null;
+  }
+  return year;
+}
+
+/**
+ * Determine the export period from flags or, if missing, by prompting
+ * Supports a single month, a quarter, a full year or a custom --from/--to range.
+ * @param {object} options - Parsed command line options
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<object|null>} Period, or null on invalid or missing input
+ */
+async function resolvePeriod(options, interactive) {
+  // Custom date range
+  if (options.from !== undefined || options.to !== undefined) {
+    if (options.from === undefined || options.to === undefined) {
+      console.error("❌ --from and --to must be used together.");
+      return null;
+    }
+    if (
+      options.month !== undefined ||
+      options.quarter !== undefined ||
+      options.year !== undefined
+    ) {
+      console.error(
+        "❌ --from/--to cannot be combined with --month, --quarter or --year."
+      );
+      return null;
     }
 
-    const initialized = initializeStripe(profile);
-    if (!initialized) {
-      console.error("❌ Failed to initialize Stripe. Exiting.");
-      process.exit(1);
+    const from = parseDate(options.from);
+    const to = parseDate(options.to);
+    if (!from || !to) {
+      console.error("❌ Invalid date! Please use the format YYYY-MM-DD.");
+      return null;
+    }
+    if (compareDates(from, to) > 0) {
+      console.error("❌ --from must not be after --to.");
+      return null;
     }
+    return createRangePeriod(from, to);
+  }
+
+  if (options.month !== undefined && options.quarter !== undefined) {
+    console.error("❌ --month and --quarter cannot be combined.");
+    return null;
+  }
 
-    // User interaction - get month and year
-    const monthInput = await askQuestion(
-      "📅 Which month? (e.g. 05 for May, 12 for December): "
+  // Month, quarter ("Q1") or full year ("all") - "--year" alone means full year
+  let selection = options.month !== undefined ? options.month : options.quarter;
+  if (selection === undefined && options.year !== undefined) {
+    selection = "all";
+  }
+  if (selection === undefined) {
+    selection = await getInput(
+      undefined,
+      "📅 Which month? (e.g. 05 for May, Q1-Q4 for a quarter, 'all' for the full year): ",
+      "month",
+      interactive
     );
-    const month = parseInt(monthInput, 10);
+    if (selection === null) {
+      return null;
+    }
+  }
 
-    if (!validateMonth(month)) {
+  const isFullYear = String(selection).trim().toLowerCase() === "all";
+  const quarter = isFullYear ? null : parseQuarter(selection);
+  let month = null;
+
+  if (!isFullYear && !quarter) {
+    month = parseInt(selection, 10);
+    if (options.quarter !== undefined || !validateMonth(month)) {
       console.error(
-        "❌ Invalid month! Please enter a number between 1 and 12."
+        options.quarter !== undefined
+          ? '❌ Invalid quarter! Please use Q1-Q4, e.g. "Q1 2025".'
+          : "❌ Invalid month! Please enter a number between 1 and 12."
       );
-      process.exit(1);
+      return null;
     }
+  }
 
-    const yearInput = await askQuestion("📅 Which year? (e.g. 2024): ");
-    const year = parseInt(yearInput, 10);
+  // A quarter may already carry its year ("Q1 2025")
+  if (quarter && quarter.year !== null) {
+    if (
+      options.year !== undefined &&
+      parseInt(options.year, 10) !== quarter.year
+    ) {
+      console.error("❌ --quarter and --year name different years.");
+      return null;
+    }
+    return createQuarterPeriod(quarter.year, quarter.quarter);
+  }
 
-    if (isNaN(year) || year < 2020 || year > 2030) {
+  const yearInput = await getInput(
+    options.year,
+    "📅 Which year? (e.g. 2024): ",
+    "year",
+    interactive
+  );
+  if (yearInput === null) {
+    return null;
+  }
+  const year = parseYear(yearInput);
+  if (year === null) {
+    return null;
+  }
+
+  if (isFullYear) {
+    return createYearPeriod(year);
+  }
+  if (quarter) {
+    return createQuarterPeriod(year, quarter.quarter);
+  }
+  return createMonthPeriod(year, month);
+}
+
+/**
+ * Reconcile the payouts arriving in a period with their balance transactions
+ * @param {object} period - Export period
+ * @param {string} folderPath - Output folder path
+ * @param {object} settings - Resolved run settings
+ * @returns {Promise<number>} Process exit code (see EXIT_CODES)
+ */
+async function reconcilePayouts(period, folderPath, settings) {
+  const payouts = await getStripePayouts(period);
+  if (payouts.length === 0) {
+    console.log("⚠️  No payouts found for the selected period.");
+    return EXIT_CODES.NO_INVOICES;
+  }
+
+  // Stripe lists the transactions of automatic payouts only
+  const reconciliations = [];
+  for (const payout of payouts) {
+    const transactions =
+      payout.automatic === false ? null : await getPayoutTransactions(payout);
+    reconciliations.push({ payout, transactions });
+    console.log(
+      `   🏦 ${payout.id}: ${(payout.amount / 100).toFixed(
+        2
+      )} ${payout.currency.toUpperCase()} - ${
+        transactions
+          ? `${transactions.length} transactions`
+          : "manual payout, no transactions"
+      }`
+    );
+  }
+
+  const invoiceNumbers = await getTransactionInvoiceNumbers(
+    reconciliations.flatMap(({ transactions }) => transactions || [])
+  );
+  const { mismatches } = await generatePayoutReconciliation(
+    reconciliations,
+    folderPath,
+    {
+      invoiceNumbers,
+      timezone: settings.timezone,
+      testMode: settings.testMode,
+    }
+  );
+
+  console.log("\n📋 Summary:");
+  console.log("====================");
+  console.log(
+    `✅ Reconciled payouts: ${
+      reconciliations.filter(({ transactions }) => transactions).length -
+      mismatches.length
+    }/${payouts.length}`
+  );
+  if (mismatches.length > 0) {
+    console.log(`❌ Payouts that do not reconcile: ${mismatches.length}`);
+  }
+  console.log(`📁 Files saved to: ${folderPath}`);
+
+  return mismatches.length > 0
+    ? EXIT_CODES.BLOCKING_ERRORS
+    : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Connect to Stripe with a profile and resolve its run settings
+ * @param {object} profile - Selected profile with its secret key
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<object>} - { exitCode, settings, rateTable, access }
+ *   where exitCode is SUCCESS unless the profile cannot be used
+ */
+async function prepareExport(profile, options) {
+  const initialized = initializeStripe(profile);
+  if (!initialized) {
+    console.error("❌ Failed to initialize Stripe.");
+    return { exitCode: EXIT_CODES.AUTH_FAILED };
+  }
+
+  // Merge per-run flags with per-profile settings
+  const settings = resolveSettings(profile, options);
+  if (!settings) {
+    return { exitCode: EXIT_CODES.BAD_ARGUMENTS };
+  }
+
+  // Offline exchange rates for documents paid outside Stripe
+  let rateTable = null;
+  if (settings.fxRatesFile) {
+    try {
+      rateTable = await loadRateTable(settings.fxRatesFile);
+      console.log(
+        `💱 Loaded exchange rates for ${rateTable.currencies.length} currencies from ${settings.fxRatesFile}`
+      );
+    } catch (error) {
       console.error(
-        "❌ Invalid year! Please enter a year between 2020 and 2030."
+        `❌ Could not load the exchange rate file "${settings.fxRatesFile}": ${error.message}`
       );
-      process.exit(1);
+      return { exitCode: EXIT_CODES.BAD_ARGUMENTS };
     }
+  }
 
+  // Restricted keys without charge access must not expand charges
+  const access = await getExportAccess(profile.secretKey);
+  if (!access.charges) {
     console.log(
-      `\n🔄 Searching for paid invoices for ${String(month).padStart(
-        2,
-        "0"
-      )}/${year}...\n`
+      `⚠️  The API key cannot read charges (charges:read) - refunds without credit note are not reconciled${
+        settings.includeReceipts ? " and receipts are skipped" : ""
+      }`
     );
+  }
+  if (settings.includeReceipts && access.charges && !access.checkoutSessions) {
+    console.log(
+      "⚠️  The API key cannot read Checkout sessions (checkout_sessions:read) - receipts are built without line items and taxes"
+    );
+  }
+  if (!access.balanceTransactions || !access.charges) {
+    console.log(
+      `⚠️  The API key cannot read Stripe's exchange rates (balance_transactions:read) - ${
+        rateTable
+          ? "the --fx-rates table is used instead"
+          : "foreign-currency documents need --fx-rates for base currency amounts"
+      }`
+    );
+  }
 
-    // Create download folder with profile-specific structure
-    const folderPath = await createDownloadFolder(profile.name, month, year);
+  return { exitCode: EXIT_CODES.SUCCESS, settings, rateTable, access };
+}
 
-    // Fetch invoices
-    const stripeInvoices = await getStripeInvoices(month, year);
+/**
+ * Fetch, download and export the documents of one profile for a period
+ * @param {object} profile - Selected profile with its secret key
+ * @param {object} period - Export period
+ * @param {object} prepared - Result of prepareExport
+ * @param {object} options - Parsed command line options
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<object>} - { exitCode, folderPath, testMode } and, once
+ *   documents were found, totals (see summarizeDocumentTotals), downloaded,
+ *   skipped and failedDownloads
+ */
+async function exportDocuments(
+  profile,
+  period,
+  prepared,
+  options,
+  interactive
+) {
+  const { settings, rateTable, access } = prepared;
 
-    if (stripeInvoices.length === 0) {
-      console.log("⚠️  No paid invoices found for the selected month.");
-      return;
-    }
+  // Create download folder with profile-specific structure
+  const folderPath = await createDownloadFolder(
+    profile.name,
+    period,
+    settings.outputDir || DEFAULT_DOWNLOAD_DIR,
+    { testMode: settings.testMode }
+  );
+  if (settings.testMode) {
+    console.log(
+      "🧪 Test-mode API key: files go to the TEST-MODE folder and every export is marked as test data"
+    );
+  }
+
+  // Payout reconciliation instead of the invoice export
+  if (options.reconcile) {
+    return {
+      exitCode: await reconcilePayouts(period, folderPath, settings),
+      folderPath,
+      testMode: settings.testMode,
+    };
+  }
+
+  console.log(
+    `\n🔄 Searching for ${settings.statuses.join(", ")} invoices for ${
+      period.label
+    }...\n`
+  );
+
+  // Fetch invoices
+  const stripeInvoices = await getStripeInvoices(period, {
+    statuses: settings.statuses,
+    dateBasis: settings.dateBasis,
+    lookbackDays: settings.dateBasisLookbackDays,
+    timezone: settings.timezone,
+    access,
+  });
 
-    // Display invoice details
-    displayInvoiceDetails(stripeInvoices);
+  // Fetch credit notes issued in the same period
+  const creditNotes = await getStripeCreditNotes(period, {
+    timezone: settings.timezone,
+    access,
+  });
 
-    // Ask for PDF download
-    const confirmDownload = await askQuestion(
-      "🤔 Do you want to download all found invoices? (y/n): "
+  // Charges without invoice (Checkout sessions, direct PaymentIntents)
+  const receipts =
+    settings.includeReceipts && access.charges
+      ? await getStripeReceipts(period, {
+          timezone: settings.timezone,
+          access,
+        })
+      : [];
+
+  if (
+    stripeInvoices.length === 0 &&
+    creditNotes.length === 0 &&
+    receipts.length === 0
+  ) {
+    console.log(
+      `⚠️  No invoices or credit notes${
+        settings.includeReceipts ? " or receipts" : ""
+      } found for the selected period.`
     );
+    return {
+      exitCode: EXIT_CODES.NO_INVOICES,
+      folderPath,
+      testMode: settings.testMode,
+    };
+  }
 
-    let downloaded = 0;
-    let failed = 0;
+  // Base currency: configured, else the currency Stripe settles in
+  const settlementCurrency = detectSettlementCurrency([
+    ...stripeInvoices,
+    ...receipts.map((charge) => ({ charge })),
+  ]);
+  const baseCurrency =
+    settings.baseCurrency || settlementCurrency || DEFAULT_BASE_CURRENCY;
+  const converter = createBaseCurrencyConverter(baseCurrency, {
+    rateTable,
+    timezone: settings.timezone,
+  });
+  console.log(
+    `💱 Base currency: ${baseCurrency}${
+      settings.baseCurrency
+        ? ""
+        : settlementCurrency
+        ? " (settlement currency of the Stripe balance)"
+        : " (default - set baseCurrency on the profile)"
+    }`
+  );
 
+  // Display invoice and credit note details
+  if (stripeInvoices.length > 0) {
+    displayInvoiceDetails(stripeInvoices, {
+      dateBasis: settings.dateBasis,
+      timezone: settings.timezone,
+      converter,
+    });
+  }
+  if (creditNotes.length > 0) {
+    displayCreditNoteDetails(creditNotes, { timezone: settings.timezone });
+  }
+  if (receipts.length > 0) {
+    displayReceiptDetails(receipts, { timezone: settings.timezone });
+  }
+
+  // Report documents that were not listed by any previous run
+  const manifest = await loadManifest(folderPath);
+  const documents = [
+    ...stripeInvoices.map((invoice) => ({
+      id: invoice.id,
+      number: invoice.number || invoice.id,
+      documentType: DOCUMENT_TYPES.INVOICE,
+    })),
+    ...creditNotes.map((creditNote) => ({
+      id: creditNote.id,
+      number: creditNote.number || creditNote.id,
+      documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+    })),
+    ...receipts.map((charge) => ({
+      id: charge.id,
+      number: charge.receipt_number || charge.id,
+      documentType: DOCUMENT_TYPES.RECEIPT,
+    })),
+  ];
+  const newDocuments = findNewDocuments(manifest, documents);
+  if (newDocuments && newDocuments.length === 0) {
+    console.log(`\n✅ No new documents since the last run`);
+  } else if (newDocuments) {
+    console.log(
+      `\n🆕 ${newDocuments.length} new documents since the last run (${manifest.lastRunAt})`
+    );
+    newDocuments.forEach((doc) => {
+      console.log(`   - ${doc.documentType} ${doc.number} (${doc.id})`);
+    });
+  }
+  markDocumentsSeen(manifest, documents);
+  await saveManifest(folderPath, manifest);
+
+  // Build the download jobs - drafts have no PDF until finalized
+  const downloadOptions = {
+    timeoutMs: settings.downloadTimeoutSeconds * 1000,
+    retries: settings.downloadRetries,
+  };
+  const finalizedInvoices = stripeInvoices.filter(
+    (invoice) => invoice.status !== INVOICE_STATUSES.DRAFT
+  );
+  const draftCount = stripeInvoices.length - finalizedInvoices.length;
+  // Stripe does not render a PDF for every finalized invoice - these are
+  // listed instead of counted as failed downloads
+  const noPdfInvoices = finalizedInvoices.filter(
+    (invoice) => !invoice.invoice_pdf
+  );
+  const downloadableInvoices = finalizedInvoices.filter(
+    (invoice) => invoice.invoice_pdf
+  );
+
+  // File names are assigned up front so collisions resolve the same way every run
+  const filenames = assignFilenames(
+    [
+      ...downloadableInvoices.map((invoice) =>
+        getInvoiceFilenameEntry(invoice, settings.dateBasis)
+      ),
+      ...creditNotes.map(getCreditNoteFilenameEntry),
+      ...receipts.map(getReceiptFilenameEntry),
+    ],
+    settings.filenameTemplate,
+    settings.timezone
+  );
+
+  let downloadJobs = [
+    ...downloadableInvoices.map((invoice) => ({
+      id: invoice.id,
+      number: invoice.number || invoice.id,
+      documentType: DOCUMENT_TYPES.INVOICE,
+      filename: filenames.get(invoice.id),
+      download: () =>
+        downloadStripeInvoice(
+          invoice,
+          folderPath,
+          filenames.get(invoice.id),
+          downloadOptions
+        ),
+    })),
+    ...creditNotes.map((creditNote) => ({
+      id: creditNote.id,
+      number: creditNote.number || creditNote.id,
+      documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+      filename: filenames.get(creditNote.id),
+      download: () =>
+        downloadStripeCreditNote(
+          creditNote,
+          folderPath,
+          filenames.get(creditNote.id),
+          downloadOptions
+        ),
+    })),
+    // Receipts are rendered from the charge, Stripe has no receipt PDF
+    ...receipts.map((charge) => {
+      const filename = filenames.get(charge.id).replace(/\.pdf$/, ".html");
+      return {
+        id: charge.id,
+        number: charge.receipt_number || charge.id,
+        documentType: DOCUMENT_TYPES.RECEIPT,
+        filename,
+        download: () =>
+          saveReceiptHtml(charge, folderPath, filename, {
+            timezone: settings.timezone,
+          }),
+      };
+    }),
+  ];
+
+  // Limit the download to the documents that failed in the last run
+  if (options.retryFailed) {
+    const previouslyFailed = await loadFailedDownloads(folderPath);
+    if (!previouslyFailed) {
+      console.log(`\n✅ No failed downloads recorded in ${folderPath}.`);
+      downloadJobs = [];
+    } else {
+      const failedIds = new Set(previouslyFailed.map((doc) => doc.id));
+      downloadJobs = downloadJobs.filter((job) => failedIds.has(job.id));
+      console.log(
+        `\n🔁 Retrying ${downloadJobs.length} of ${previouslyFailed.length} previously failed downloads`
+      );
+    }
+  }
+
+  // Reconcile refunds issued on invoice charges without a credit note
+  const refunds = access.charges
+    ? await getInvoiceRefunds(stripeInvoices)
+    : new Map();
+
+  // Ask for PDF download
+  const confirmDownload = await confirm(
+    options.yes || options.retryFailed,
+    options.noDownload,
+    `🤔 Do you want to download all found invoices and credit notes${
+      receipts.length > 0 ? " and save the receipts" : ""
+    }? (y/n): `,
+    interactive
+  );
+
+  let downloaded = 0;
+  let skipped = 0;
+  let failedDocuments = [];
+  let blockingErrors = [];
+  // Tax reports that could not be generated make the run incomplete
+  const failedReports = [];
+
+  if (confirmDownload) {
+    if (draftCount > 0 && !options.retryFailed) {
+      console.log(
+        `\n⏭️  Skipping ${draftCount} draft invoices (no PDF before finalization)`
+      );
+    }
+    if (noPdfInvoices.length > 0 && !options.retryFailed) {
+      console.log(
+        `\n⏭️  Skipping ${noPdfInvoices.length} invoices without PDF in Stripe`
+      );
+    }
+    if (downloadJobs.length > 0) {
+      console.log(
+        `\n📥 Downloading ${downloadJobs.length} documents (${settings.downloadConcurrency} in parallel)...\n`
+      );
+
+      // Files already in the manifest and intact are not fetched again
+      const results = await runQueue(
+        downloadJobs,
+        settings.downloadConcurrency,
+        (job) => downloadWithManifest(manifest, folderPath, job, job.download)
+      );
+      failedDocuments = downloadJobs
+        .filter((job, index) => !results[index])
+        .map(({ id, number, documentType }) => ({
+          id,
+          number,
+          documentType,
+        }));
+      skipped = results.filter((result) => result?.skipped).length;
+      downloaded = downloadJobs.length - failedDocuments.length - skipped;
+
+      // Remember failures for --retry-failed, clear the record otherwise
+      await saveFailedDownloads(folderPath, failedDocuments);
+    }
+  } else {
+    console.log("❌ Invoice download cancelled.");
+  }
+
+  // Ask for CSV export even if download was cancelled
+  const confirmCSV = await confirm(
+    options.csv,
+    options.noCsv,
+    "📊 Do you want to generate CSV files for accounting? (y/n): ",
+    interactive
+  );
+
+  if (confirmCSV) {
+    console.log("\n📊 Generating CSV files for accounting...");
+    const formats = new Set(settings.exportFormats);
+    const rowOptions = {
+      creditNotes,
+      receipts,
+      refunds,
+      dateBasis: settings.dateBasis,
+      timezone: settings.timezone,
+      converter,
+      testMode: settings.testMode,
+    };
+    let accountingRows = null;
+    try {
+      // DATEV, OSS and the EC Sales List build on the accounting rows
+      accountingRows = formats.has(EXPORT_FORMATS.ACCOUNTING)
+        ? (await generateAccountingCSV(stripeInvoices, folderPath, rowOptions))
+            .rows
+        : buildAccountingRows(stripeInvoices, rowOptions).rows;
+    } catch (error) {
+      console.error("❌ Could not generate CSV files:", error.message);
+      failedReports.push(
+        "accounting CSVs (DATEV, OSS report and EC Sales List depend on them)"
+      );
+    }
+
+    // Line items for revenue by product
+    if (formats.has(EXPORT_FORMATS.LINES)) {
+      try {
+        const productNames = await getProductNames(stripeInvoices);
+        await generateInvoiceLinesCSV(stripeInvoices, folderPath, {
+          productNames,
+          dateBasis: settings.dateBasis,
+          timezone: settings.timezone,
+          testMode: settings.testMode,
+        });
+      } catch (error) {
+        console.error(
+          "⚠️  Warning: Could not generate the line item export:",
+          error.message
+        );
+      }
+    }
+
+    // Revenue recognised over the service periods of the lines
+    if (formats.has(EXPORT_FORMATS.REVENUE)) {
+      try {
+        await generateRevenueSchedule(stripeInvoices, folderPath, {
+          creditNotes,
+          dateBasis: settings.dateBasis,
+          timezone: settings.timezone,
+          periodLabel: period.label,
+          testMode: settings.testMode,
+        });
+      } catch (error) {
+        console.error(
+          "⚠️  Warning: Could not generate the revenue schedule:",
+          error.message
+        );
+      }
+    }
+
+    // DATEV Buchungsstapel for profiles with a "datev" section
+    if (accountingRows && formats.has(EXPORT_FORMATS.DATEV) && settings.datev) {
+      try {
+        await generateDatevExport(accountingRows, folderPath, {
+          datev: settings.datev,
+          period,
+          timezone: settings.timezone,
+          testMode: settings.testMode,
+        });
+      } catch (error) {
+        console.error("❌ Could not generate the DATEV export:", error.message);
+        failedReports.push("DATEV export");
+      }
+    }
+
+    // OSS return for quarterly exports with intra-EU B2C sales
     if (
-      confirmDownload.toLowerCase() === "y" ||
-      confirmDownload.toLowerCase() === "yes"
+      accountingRows &&
+      formats.has(EXPORT_FORMATS.OSS) &&
+      period.type === PERIOD_TYPES.QUARTER
     ) {
-      console.log(`\n📥 Starting invoice download...\n`);
-
-      // Download Stripe invoices
-      for (const invoice of stripeInvoices) {
-        const success = await downloadStripeInvoice(invoice, folderPath);
-        if (success) {
-          downloaded++;
-        } else {
-          failed++;
-        }
+      try {
+        await generateOssReport(accountingRows, folderPath, {
+          period,
+          timezone: settings.timezone,
+          rateTable,
+          testMode: settings.testMode,
+        });
+      } catch (error) {
+        console.error("❌ Could not generate the OSS report:", error.message);
+        failedReports.push("OSS report");
       }
-    } else {
-      console.log("❌ Invoice download cancelled.");
     }
 
-    // Ask for CSV export even if download was cancelled
-    const confirmCSV = await askQuestion(
-      "📊 Do you want to generate CSV files for accounting? (y/n): "
-    );
-
+    // EC Sales List for monthly and quarterly reverse-charge sales
     if (
-      confirmCSV.toLowerCase() === "y" ||
-      confirmCSV.toLowerCase() === "yes"
+      accountingRows &&
+      formats.has(EXPORT_FORMATS.EC_SALES_LIST) &&
+      (period.type === PERIOD_TYPES.MONTH ||
+        period.type === PERIOD_TYPES.QUARTER)
     ) {
-      console.log("\n📊 Generating CSV files for accounting...");
       try {
-        await generateAccountingCSV(stripeInvoices, folderPath);
+        const salesList = await generateEcSalesList(
+          accountingRows,
+          folderPath,
+          {
+            period,
+            timezone: settings.timezone,
+            rateTable,
+            testMode: settings.testMode,
+          }
+        );
+        if (salesList) {
+          blockingErrors = salesList.errors;
+        }
       } catch (error) {
         console.error(
-          "⚠️  Warning: Could not generate CSV files:",
+          "❌ Could not generate the EC Sales List:",
           error.message
         );
+        failedReports.push("EC Sales List");
       }
-    } else {
-      console.log("❌ CSV export cancelled.");
     }
 
-    // Summary
-    console.log("\n📋 Summary:");
-    console.log("====================");
-    if (downloaded > 0) {
+    if (formats.has(EXPORT_FORMATS.SEQUENCE)) {
+      try {
+        await checkInvoiceSequence(stripeInvoices, folderPath, {
+          lookupInvoice: findInvoiceByNumber,
+          statuses: settings.statuses,
+          testMode: settings.testMode,
+        });
+      } catch (error) {
+        console.error(
+          "⚠️  Warning: Could not check the invoice number sequence:",
+          error.message
+        );
+      }
+    }
+  } else {
+    console.log("❌ CSV export cancelled.");
+  }
+
+  // Summary
+  console.log("\n📋 Summary:");
+  console.log("====================");
+  if (downloaded > 0) {
+    console.log(
+      `✅ Successfully downloaded documents: ${downloaded}/${downloadJobs.length}`
+    );
+  }
+  if (skipped > 0) {
+    console.log(`⏭️  Already downloaded and intact: ${skipped}`);
+  }
+  if (confirmDownload && noPdfInvoices.length > 0) {
+    console.log(`📄 No PDF in Stripe: ${noPdfInvoices.length}`);
+    noPdfInvoices.forEach((invoice) => {
       console.log(
-        `✅ Successfully downloaded invoices: ${downloaded}/${stripeInvoices.length}`
+        `   - invoice ${invoice.number || invoice.id} (${invoice.id})`
       );
-      if (failed > 0) {
-        console.log(`❌ Failed downloads: ${failed}`);
+    });
+  }
+  if (failedDocuments.length > 0) {
+    console.log(`❌ Failed downloads: ${failedDocuments.length}`);
+    failedDocuments.forEach((doc) => {
+      console.log(`   - ${doc.documentType} ${doc.number} (${doc.id})`);
+    });
+    console.log(
+      `   Listed in ${FAILED_DOWNLOADS_FILE} - rerun with --retry-failed to download only these.`
+    );
+  }
+  if (blockingErrors.length > 0) {
+    console.log(
+      `❌ EC Sales List incomplete: ${blockingErrors.length} documents without a valid VAT ID`
+    );
+  }
+  if (failedReports.length > 0) {
+    console.log(`❌ Not generated: ${failedReports.join(", ")}`);
+  }
+  console.log(`📁 Files saved to: ${folderPath}`);
+
+  return {
+    exitCode:
+      blockingErrors.length > 0 || failedReports.length > 0
+        ? EXIT_CODES.BLOCKING_ERRORS
+        : failedDocuments.length > 0
+        ? EXIT_CODES.DOWNLOADS_FAILED
+        : EXIT_CODES.SUCCESS,
+    folderPath,
+    testMode: settings.testMode,
+    totals: summarizeDocumentTotals(stripeInvoices, creditNotes, receipts),
+    downloaded,
+    skipped,
+    failedDownloads: failedDocuments.length,
+  };
+}
+
+/**
+ * Run a vault maintenance command
+ * @param {string} command - "change-passphrase" or "reencrypt"
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<number>} Process exit code
+ */
+async function runVaultCommand(command, interactive) {
+  if (command !== "change-passphrase" && command !== "reencrypt") {
+    console.error(
+      `❌ Unknown vault command "${
+        command || ""
+      }" - use "vault change-passphrase" or "vault reencrypt".`
+    );
+    return EXIT_CODES.BAD_ARGUMENTS;
+  }
+
+  const written = await reencryptVault({
+    changePassphrase: command === "change-passphrase",
+    interactive,
+  });
+  return written ? EXIT_CODES.SUCCESS : EXIT_CODES.BAD_ARGUMENTS;
+}
+
+/**
+ * Run a configuration command
+ * @param {string} command - "show"
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<number>} Process exit code
+ */
+async function runConfigCommand(command, options) {
+  if (command !== "show") {
+    console.error(
+      `❌ Unknown config command "${command || ""}" - use "config show".`
+    );
+    return EXIT_CODES.BAD_ARGUMENTS;
+  }
+  return (await showConfig(options))
+    ? EXIT_CODES.SUCCESS
+    : EXIT_CODES.BAD_ARGUMENTS;
+}
+
+/**
+ * Check whether the environment selects a profile or API key
+ * @returns {boolean} True if STRIPE_PROFILE or STRIPE_API_KEY is set
+ */
+function hasEnvironmentProfile() {
+  return Boolean(process.env[PROFILE_ENV] || process.env[API_KEY_ENV]);
+}
+
+/**
+ * Connect to Stripe with a profile, show the account behind its key and
+ * probe the permissions the exports need
+ * Restricted keys may not be allowed to read the account; that is reported
+ * but not an error.
+ * @param {object} profile - Profile with its decrypted secret key
+ * @returns {Promise<Array>} - Required permissions the key is missing
+ * @throws {Error} - If Stripe rejects the key
+ */
+async function checkProfileKey(profile) {
+  if (!initializeStripe(profile)) {
+    throw new Error("Could not initialize the Stripe client");
+  }
+  try {
+    const account = await getStripeAccount();
+    displayAccountDetails(account, getKeyMode(profile.secretKey));
+  } catch (error) {
+    if (error.type !== "StripePermissionError") {
+      throw error;
+    }
+    console.log(
+      `\n🔑 Mode: ${getKeyMode(
+        profile.secretKey
+      )} (the restricted key may not read the account details)`
+    );
+  }
+  return displayPermissionReport(await probeKeyPermissions(profile.secretKey));
+}
+
+/**
+ * Run a profile management command
+ * @param {Array<string>} args - Command and its arguments (e.g. ["rename", "Old", "New"])
+ * @param {object} options - Parsed command line options
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<number>} Process exit code
+ */
+async function runProfileCommand(args, options, interactive) {
+  const [command, profileName, ...rest] = args;
+
+  switch (command) {
+    case "list":
+      await listProfiles();
+      return EXIT_CODES.SUCCESS;
+
+    case "test": {
+      if (!profileName && !interactive && !hasEnvironmentProfile()) {
+        console.error("❌ Missing profile name.");
+        return EXIT_CODES.BAD_ARGUMENTS;
+      }
+      const profile = await selectProfile(profileName, { interactive });
+      if (!profile) {
+        return EXIT_CODES.BAD_ARGUMENTS;
       }
+      const missing = await checkProfileKey(profile);
+      if (missing.length > 0) {
+        return EXIT_CODES.AUTH_FAILED;
+      }
+      console.log("\n✅ The API key works");
+      return EXIT_CODES.SUCCESS;
+    }
+
+    case "rename":
+      return (await renameProfile(profileName, rest[0], { interactive }))
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.BAD_ARGUMENTS;
+
+    case "delete":
+      return (await deleteProfile(profileName, {
+        interactive,
+        yes: options.yes,
+      }))
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.BAD_ARGUMENTS;
+
+    case "rotate-key":
+      return (await rotateProfileKey(profileName, {
+        interactive,
+        checkKey: checkProfileKey,
+      }))
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.BAD_ARGUMENTS;
+
+    case "set":
+      return (await setProfileSetting(profileName, rest[0], rest[1], {
+        interactive,
+      }))
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.BAD_ARGUMENTS;
+
+    default:
+      console.error(
+        `❌ Unknown profile command "${
+          command || ""
+        }" - use list, test, rename, delete, rotate-key or set.`
+      );
+      return EXIT_CODES.BAD_ARGUMENTS;
+  }
+}
+
+/**
+ * Check whether an error was caused by a rejected Stripe API key
+ * @param {Error} error - Error thrown by the Stripe client
+ * @returns {boolean} True for authentication and permission errors
+ */
+function isAuthError(error) {
+  return (
+    error &&
+    (error.type === "StripeAuthenticationError" ||
+      error.type === "StripePermissionError")
+  );
+}
+
+/**
+ * Report an error that ended a run
+ * @param {Error} error - Error thrown during the run
+ * @returns {number} Process exit code
+ */
+function reportRunError(error) {
+  if (error.type === WRONG_PASSPHRASE_ERROR) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.AUTH_FAILED;
+  }
+  if (error.type === "StripePermissionError") {
+    console.error(
+      `❌ The API key is missing a permission: ${error.message} - run "profile test" to see all missing permissions.`
+    );
+    return EXIT_CODES.AUTH_FAILED;
+  }
+  if (isAuthError(error)) {
+    console.error("❌ Stripe authentication failed:", error.message);
+    return EXIT_CODES.AUTH_FAILED;
+  }
+  console.error("❌ Unexpected error:", error);
+  return EXIT_CODES.UNEXPECTED_ERROR;
+}
+
+/**
+ * Run the export of one profile within a batch
+ * Errors are reported and recorded instead of ending the batch - except a
+ * wrong vault passphrase, which would fail for every profile.
+ * @param {string} profileName - Profile name
+ * @param {object} period - Export period
+ * @param {object} options - Parsed command line options with the download
+ *   and CSV decisions of the batch
+ * @param {boolean} interactive - Whether the vault passphrase may be asked for
+ * @returns {Promise<object>} - { profileName, error, ...exportDocuments result }
+ * @throws {Error} - With type WRONG_PASSPHRASE_ERROR for a wrong passphrase
+ */
+async function runBatchProfile(profileName, period, options, interactive) {
+  let testMode;
+  try {
+    const profile = await selectProfile(profileName, { interactive });
+    if (!profile) {
+      return {
+        profileName,
+        exitCode: EXIT_CODES.BAD_ARGUMENTS,
+        error: "profile could not be unlocked",
+      };
     }
-    console.log(`📁 Files saved to: ${folderPath}`);
+
+    testMode = getKeyMode(profile.secretKey) === KEY_MODES.TEST;
+
+    const prepared = await prepareExport(profile, options);
+    if (prepared.exitCode !== EXIT_CODES.SUCCESS) {
+      return {
+        profileName,
+        testMode,
+        exitCode: prepared.exitCode,
+        error: "invalid profile settings",
+      };
+    }
+
+    const result = await exportDocuments(
+      profile,
+      period,
+      prepared,
+      options,
+      false
+    );
+    return { profileName, error: null, ...result };
+  } catch (error) {
+    if (error.type === WRONG_PASSPHRASE_ERROR) {
+      throw error;
+    }
+    return {
+      profileName,
+      testMode,
+      exitCode: reportRunError(error),
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Run the export for all profiles, or all profiles with a tag, one after
+ * the other and write a consolidated summary to the download root
+ * The period and the download and CSV questions are answered once for the
+ * whole batch. A failing profile does not stop the others.
+ * @param {object} options - Parsed command line options
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<number>} Exit code of the first profile that failed
+ *   (profiles without documents do not count), NO_INVOICES if no profile had
+ *   documents, else SUCCESS
+ */
+async function runBatch(options, interactive) {
+  if (process.env[API_KEY_ENV]) {
+    console.error(
+      `❌ ${API_KEY_ENV} cannot be used with --all-profiles or --tag - every profile needs its own key.`
+    );
+    return EXIT_CODES.BAD_ARGUMENTS;
+  }
+
+  const profileNames = await listBatchProfiles(options.tag);
+  if (!profileNames) {
+    return EXIT_CODES.BAD_ARGUMENTS;
+  }
+  console.log(
+    `👥 Batch run for ${profileNames.length} profiles${
+      options.tag ? ` tagged "${options.tag}"` : ""
+    }: ${profileNames.join(", ")}\n`
+  );
+
+  const period = await resolvePeriod(options, interactive);
+  if (!period) {
+    return EXIT_CODES.BAD_ARGUMENTS;
+  }
+
+  // One answer for all profiles instead of two questions per profile
+  let runOptions = options;
+  if (!options.reconcile) {
+    const download = await confirm(
+      options.yes || options.retryFailed,
+      options.noDownload,
+      `🤔 Do you want to download the documents of all ${profileNames.length} profiles? (y/n): `,
+      interactive
+    );
+    const csv = await confirm(
+      options.csv,
+      options.noCsv,
+      "📊 Do you want to generate CSV files for accounting for all profiles? (y/n): ",
+      interactive
+    );
+    runOptions = {
+      ...options,
+      yes: download,
+      noDownload: !download,
+      csv,
+      noCsv: !csv,
+    };
+  }
+
+  const results = [];
+  for (const [index, profileName] of profileNames.entries()) {
+    console.log(
+      `\n👤 Profile ${index + 1}/${profileNames.length}: ${profileName}`
+    );
+    console.log("====================");
+    results.push(
+      await runBatchProfile(profileName, period, runOptions, interactive)
+    );
+  }
+
+  const summaryPath = await generateBatchSummary(
+    results,
+    options.outputDir || DEFAULT_DOWNLOAD_DIR,
+    period
+  );
+
+  console.log("\n📋 Batch summary:");
+  console.log("====================");
+  results.forEach((result) => {
+    const icon =
+      result.exitCode === EXIT_CODES.SUCCESS
+        ? "✅"
+        : result.exitCode === EXIT_CODES.NO_INVOICES
+        ? "⚠️ "
+        : "❌";
+    const documents = (result.totals || [])
+      .map(
+        (entry) =>
+          `${entry.invoices + entry.creditNotes + entry.receipts} ${
+            entry.currency
+          } documents`
+      )
+      .join(", ");
+    console.log(
+      `${icon} ${result.profileName}: ${RUN_STATUSES[result.exitCode]}${
+        documents ? ` - ${documents}` : ""
+      }${result.error ? ` (${result.error})` : ""}`
+    );
+  });
+  console.log(`📄 Consolidated summary: ${summaryPath}`);
+
+  const failed = results.find(
+    (result) =>
+      result.exitCode !== EXIT_CODES.SUCCESS &&
+      result.exitCode !== EXIT_CODES.NO_INVOICES
+  );
+  if (failed) {
+    return failed.exitCode;
+  }
+  return results.some((result) => result.exitCode === EXIT_CODES.SUCCESS)
+    ? EXIT_CODES.SUCCESS
+    : EXIT_CODES.NO_INVOICES;
+}
+
+/**
+ * Main function - Entry point of the application
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Promise<number>} Process exit code (see EXIT_CODES)
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    let options;
+    try {
+      options = parseArgs(argv);
+    } catch (error) {
+      console.error(`❌ ${error.message}\n`);
+      printUsage();
+      return EXIT_CODES.BAD_ARGUMENTS;
+    }
+
+    if (options.help) {
+      printUsage();
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const interactive = !options.nonInteractive && Boolean(process.stdin.isTTY);
+
+    console.log("🚀 Stripe Invoice Downloader");
+    console.log("=============================\n");
+
+    // Configuration file: --config > XDG config directory > ./config.json
+    await useConfigFile(options.config);
+
+    if (options.positionals[0] === "config") {
+      return await runConfigCommand(options.positionals[1], options);
+    }
+
+    // Vault maintenance instead of an export
+    if (options.positionals[0] === "vault") {
+      return await runVaultCommand(options.positionals[1], interactive);
+    }
+
+    // Profile management instead of an export
+    if (options.positionals[0] === "profile") {
+      return await runProfileCommand(
+        options.positionals.slice(1),
+        options,
+        interactive
+      );
+    }
+
+    // Export for several profiles instead of a single one
+    if (options.allProfiles || options.tag !== undefined) {
+      return await runBatch(options, interactive);
+    }
+
+    if (!interactive && !options.profile && !hasEnvironmentProfile()) {
+      console.error(
+        `❌ Missing --profile, ${PROFILE_ENV} or ${API_KEY_ENV} (required in non-interactive mode).`
+      );
+      return EXIT_CODES.BAD_ARGUMENTS;
+    }
+
+    // Initialize Stripe with profile selection
+    const profile = await selectProfile(options.profile, { interactive });
+    if (!profile) {
+      console.error("❌ Failed to select profile. Exiting.");
+      return options.profile
+        ? EXIT_CODES.BAD_ARGUMENTS
+        : EXIT_CODES.UNEXPECTED_ERROR;
+    }
+
+    const prepared = await prepareExport(profile, options);
+    if (prepared.exitCode !== EXIT_CODES.SUCCESS) {
+      return prepared.exitCode;
+    }
+
+    // Get the export period from flags or user interaction
+    const period = await resolvePeriod(options, interactive);
+    if (!period) {
+      return EXIT_CODES.BAD_ARGUMENTS;
+    }
+
+    const result = await exportDocuments(
+      profile,
+      period,
+      prepared,
+      options,
+      interactive
+    );
+    return result.exitCode;
   } catch (error) {
-    console.error("❌ Unexpected error:", error);
-    process.exit(1);
+    return reportRunError(error);
   } finally {
     // Close connections
     closeInterface();
@@ -152,5 +1365,7 @@ async function main() {
 
 // Run script
 if (require.main === module) {
-  main();
+  main().then((exitCode) => {
+    process.exitCode = exitCode;
+  });
 }
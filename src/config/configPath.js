@@ -0,0 +1,93 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+// Folder of the configuration below $XDG_CONFIG_HOME
+const APP_NAME = "stripe-invoice-downloader";
+const CONFIG_FILE_NAME = "config.json";
+
+/**
+ * Where the configuration file was found
+ */
+const CONFIG_SOURCES = {
+  OPTION: "--config",
+  XDG: "XDG config directory",
+  LEGACY: "current directory (legacy)",
+};
+
+/**
+ * Get the configuration path in the XDG config directory
+ * $XDG_CONFIG_HOME is only used if it is an absolute path, as the XDG base
+ * directory specification requires; otherwise ~/.config applies.
+ * @returns {string} - e.g. ~/.config/stripe-invoice-downloader/config.json
+ */
+function getXdgConfigFile() {
+  const xdgConfigHome = process.env.XDG_CONFIG_HOME;
+  const baseDir =
+    xdgConfigHome && path.isAbsolute(xdgConfigHome)
+      ? xdgConfigHome
+      : path.join(os.homedir(), ".config");
+  return path.join(baseDir, APP_NAME, CONFIG_FILE_NAME);
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} - Whether the file exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the configuration file
+ * Precedence: an explicit --config path (used even if it does not exist
+ * yet), then the XDG config directory, then config.json in the current
+ * directory as left by older versions. Without any file, a new one is
+ * created in the XDG config directory.
+ * @param {string} [explicitPath] - Path given with --config
+ * @returns {Promise<object>} - { filePath, source, exists, ignored } where
+ *   ignored is a legacy file shadowed by the XDG file, or null
+ */
+async function resolveConfigFile(explicitPath) {
+  if (explicitPath) {
+    const filePath = path.resolve(explicitPath);
+    return {
+      filePath,
+      source: CONFIG_SOURCES.OPTION,
+      exists: await fileExists(filePath),
+      ignored: null,
+    };
+  }
+
+  const xdgFile = getXdgConfigFile();
+  const legacyFile = path.join(process.cwd(), CONFIG_FILE_NAME);
+  const xdgExists = await fileExists(xdgFile);
+  const legacyExists = await fileExists(legacyFile);
+
+  if (xdgExists || !legacyExists) {
+    return {
+      filePath: xdgFile,
+      source: CONFIG_SOURCES.XDG,
+      exists: xdgExists,
+      ignored: legacyExists ? legacyFile : null,
+    };
+  }
+  return {
+    filePath: legacyFile,
+    source: CONFIG_SOURCES.LEGACY,
+    exists: true,
+    ignored: null,
+  };
+}
+
+module.exports = {
+  CONFIG_SOURCES,
+  getXdgConfigFile,
+  resolveConfigFile,
+};
@@ -1,17 +1,147 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { askQuestion, askSecretQuestion } = require("../utils/input");
+const { isValidTimeZone, getSystemTimeZone } = require("../utils/timezone");
+const {
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  describeSettings,
+} = require("./settings");
+const {
+  KEY_MODES,
+  isValidApiKey,
+  getKeyMode,
+  redactApiKey,
+} = require("../stripe/apiKey");
+const {
+  probeKeyPermissions,
+  displayPermissionReport,
+} = require("../stripe/permissions");
+const {
+  PASSPHRASE_ENV,
+  WRONG_PASSPHRASE_ERROR,
+  encryptSecret,
+  decryptSecret,
+  createVault,
+  unlockVault,
+  checkPassphrase,
+} = require("./vault");
+const { CONFIG_SOURCES, resolveConfigFile } = require("./configPath");
 
-// Configuration file path
-const CONFIG_FILE = path.join(process.cwd(), "config.json");
+// Configuration file of this run, see useConfigFile
+let configLocation = null;
+let configFile = null;
+
+// Environment variables for containers: an API key that is used without a
+// stored profile (or instead of its stored key), and the profile to select
+const API_KEY_ENV = "STRIPE_API_KEY";
+const PROFILE_ENV = "STRIPE_PROFILE";
+
+// Profile name for STRIPE_API_KEY when no profile is selected
+const ENV_PROFILE_NAME = "default";
+
+// Environment variable with the new passphrase for `vault change-passphrase`
+const NEW_PASSPHRASE_ENV = "STRIPE_VAULT_NEW_PASSPHRASE";
+
+// Passphrase prompts before giving up
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+
+// Key of the unlocked vault, derived once per run
+let vaultKey = null;
+
+// Profile fields that are not run settings, with their defaults - tags
+// select the profiles of a batch run (--tag)
+const PROFILE_FIELDS = {
+  tags: [],
+};
+
+// Profile settings that `profile set` can change - all run settings except
+// the DATEV section, which is too nested for the command line
+const EDITABLE_SETTINGS = [
+  ...Object.keys(DEFAULT_SETTINGS).filter((setting) => setting !== "datev"),
+  ...Object.keys(PROFILE_FIELDS),
+];
+
+/**
+ * Ask for a Stripe API key and check its format
+ * @param {string} question - Prompt
+ * @returns {Promise<string|null>} - Secret or restricted key, or null if invalid
+ */
+async function askApiKey(question) {
+  const secretKey = await askSecretQuestion(question);
+  if (!isValidApiKey(secretKey)) {
+    console.error(
+      "❌ Invalid Stripe API Key! Use a secret key (sk_live_/sk_test_) or a restricted key (rk_live_/rk_test_)."
+    );
+    return null;
+  }
+  if (getKeyMode(secretKey) === KEY_MODES.TEST) {
+    console.log(
+      "🧪 Test-mode key: its downloads go to a separate TEST-MODE folder."
+    );
+  }
+  return secretKey;
+}
+
+/**
+ * Ask whether to keep a key that lacks required permissions
+ * @param {Array} missing - Missing required permissions
+ * @returns {Promise<boolean>} - Whether to keep the key
+ */
+async function confirmMissingPermissions(missing) {
+  if (missing.length === 0) {
+    return true;
+  }
+  const answer = await askQuestion(
+    "🤔 The key cannot export everything. Save it anyway? (y/n): "
+  );
+  return answer.toLowerCase() === "y" || answer.toLowerCase() === "yes";
+}
+
+/**
+ * Choose the configuration file of this run
+ * Warns when the file comes from the current directory, or when such a
+ * legacy file is ignored because the XDG config directory has one.
+ * @param {string} [explicitPath] - Path given with --config
+ * @returns {Promise<object>} - Location from resolveConfigFile
+ */
+async function useConfigFile(explicitPath) {
+  configLocation = await resolveConfigFile(explicitPath);
+  configFile = configLocation.filePath;
+
+  if (configLocation.source === CONFIG_SOURCES.LEGACY) {
+    console.warn(
+      `⚠️  Using ${configFile} from the current directory. Move it to the XDG config directory (or pass --config) so the same profiles are found from every directory.`
+    );
+  } else if (configLocation.ignored) {
+    console.warn(
+      `⚠️  Ignoring ${configLocation.ignored} - ${configFile} takes precedence.`
+    );
+  }
+  return configLocation;
+}
+
+/**
+ * Get the configuration file of this run
+ * @returns {Promise<object>} - { filePath, source, exists, ignored }
+ */
+async function getConfigLocation() {
+  if (!configLocation) {
+    await useConfigFile();
+  }
+  return configLocation;
+}
 
 /**
  * Load configuration from file
  * @returns {Promise<object>} Configuration object
  */
 async function loadConfig() {
+  if (!configFile) {
+    await useConfigFile();
+  }
   try {
-    const configData = await fs.readFile(CONFIG_FILE, "utf8");
+    const configData = await fs.readFile(configFile, "utf8");
     return JSON.parse(configData);
   } catch (error) {
     // Config file doesn't exist or is invalid
@@ -19,22 +149,243 @@ async function loadConfig() {
   }
 }
 
+/**
+ * Ask for a new vault passphrase, twice
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @param {string} envName - Environment variable that supplies it instead
+ * @returns {Promise<string>} - New passphrase
+ * @throws {Error} - If it cannot be asked for or is too short
+ */
+async function askNewPassphrase(interactive, envName) {
+  const fromEnv = process.env[envName];
+  if (fromEnv) {
+    const problem = checkPassphrase(fromEnv);
+    if (problem) {
+      throw new Error(`${problem} (${envName})`);
+    }
+    return fromEnv;
+  }
+  if (!interactive) {
+    throw new Error(
+      `Set ${envName} to choose the vault passphrase in non-interactive mode`
+    );
+  }
+
+  const passphrase = await askSecretQuestion(
+    "🔐 Choose a vault passphrase (encrypts the API keys in config.json): "
+  );
+  const problem = checkPassphrase(passphrase);
+  if (problem) {
+    console.error(`❌ ${problem}.`);
+    return await askNewPassphrase(interactive, envName);
+  }
+  const repeated = await askSecretQuestion("🔐 Repeat the passphrase: ");
+  if (repeated !== passphrase) {
+    console.error("❌ The passphrases do not match.");
+    return await askNewPassphrase(interactive, envName);
+  }
+  return passphrase;
+}
+
+/**
+ * Unlock the vault of a configuration with the current passphrase
+ * The passphrase comes from STRIPE_VAULT_PASSPHRASE or is asked for up to
+ * MAX_PASSPHRASE_ATTEMPTS times.
+ * @param {object} config - Configuration with a vault
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<object>} - { key, passphrase }
+ * @throws {Error} - With type WRONG_PASSPHRASE_ERROR for a wrong passphrase
+ */
+async function unlockWithPassphrase(config, interactive) {
+  const fromEnv = process.env[PASSPHRASE_ENV];
+  if (fromEnv) {
+    return {
+      key: await unlockVault(config.vault, fromEnv),
+      passphrase: fromEnv,
+    };
+  }
+  if (!interactive) {
+    throw new Error(
+      `Set ${PASSPHRASE_ENV} to unlock the encrypted API keys in non-interactive mode`
+    );
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const passphrase = await askSecretQuestion("🔐 Vault passphrase: ");
+    try {
+      return { key: await unlockVault(config.vault, passphrase), passphrase };
+    } catch (error) {
+      if (
+        error.type !== WRONG_PASSPHRASE_ERROR ||
+        attempt === MAX_PASSPHRASE_ATTEMPTS
+      ) {
+        throw error;
+      }
+      console.error("❌ Wrong passphrase, please try again.");
+    }
+  }
+}
+
+/**
+ * Get the key of the vault, unlocking or creating it on first use
+ * @param {object} config - Configuration (receives the vault header if new)
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<Buffer>} - Vault key
+ */
+async function getVaultKey(config, interactive) {
+  if (vaultKey) {
+    return vaultKey;
+  }
+
+  if (config.vault) {
+    vaultKey = (await unlockWithPassphrase(config, interactive)).key;
+  } else {
+    const created = await createVault(
+      await askNewPassphrase(interactive, PASSPHRASE_ENV)
+    );
+    config.vault = created.vault;
+    vaultKey = created.key;
+    console.log("🔐 Created the encrypted key vault");
+  }
+  return vaultKey;
+}
+
+/**
+ * Get a profile with its decrypted secret key
+ * @param {object} config - Configuration the profile belongs to
+ * @param {object} profile - Stored profile
+ * @param {boolean} interactive - Whether prompting is allowed
+ * @returns {Promise<object>} - Profile with secretKey
+ */
+async function unlockProfile(config, profile, interactive) {
+  if (!profile.encryptedSecretKey) {
+    return profile;
+  }
+  const key = await getVaultKey(config, interactive);
+  const { encryptedSecretKey, ...rest } = profile;
+  try {
+    return { ...rest, secretKey: decryptSecret(key, encryptedSecretKey) };
+  } catch (error) {
+    throw new Error(
+      `The API key of profile "${profile.name}" cannot be decrypted - ${configFile} was modified or damaged`
+    );
+  }
+}
+
+/**
+ * Encrypt plaintext secret keys left by older versions
+ * Without a TTY and without STRIPE_VAULT_PASSPHRASE the keys stay in
+ * plaintext for this run and a warning is shown.
+ * @param {object} config - Configuration
+ * @param {boolean} interactive - Whether prompting is allowed
+ */
+async function migratePlaintextKeys(config, interactive) {
+  const count = Object.values(config.profiles).filter(
+    (profile) => profile.secretKey
+  ).length;
+  if (count === 0) {
+    return;
+  }
+  if (!interactive && !process.env[PASSPHRASE_ENV]) {
+    console.warn(
+      `⚠️  ${configFile} contains ${count} unencrypted API key(s). Set ${PASSPHRASE_ENV} or run interactively to encrypt them.`
+    );
+    return;
+  }
+
+  console.log(`🔐 Encrypting ${count} plaintext API key(s) in ${configFile}`);
+  await saveConfig(config, { interactive });
+  config.profiles = (await loadConfig()).profiles;
+}
+
 /**
  * Save configuration to file
+ * Secret keys are encrypted with the vault key before they are written,
+ * and the file is only readable by the current user.
  * @param {object} config - Configuration object to save
+ * @param {object} [options] - Save options
+ * @param {boolean} [options.interactive] - Whether the passphrase may be asked for
  */
-async function saveConfig(config) {
+async function saveConfig(config, options = {}) {
+  const { interactive = true } = options;
+  const hasPlaintextKeys = Object.values(config.profiles).some(
+    (profile) => profile.secretKey
+  );
+  const key = hasPlaintextKeys ? await getVaultKey(config, interactive) : null;
+
   try {
-    await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
-    console.log(`💾 Configuration saved to ${CONFIG_FILE}`);
+    const stored = { ...config, profiles: {} };
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      const { secretKey, ...rest } = profile;
+      stored.profiles[name] = secretKey
+        ? {
+            ...rest,
+            keyMode: getKeyMode(secretKey),
+            encryptedSecretKey: encryptSecret(key, secretKey),
+          }
+        : profile;
+    }
+
+    await writeConfigFile(stored);
+    console.log(`💾 Configuration saved to ${configFile}`);
   } catch (error) {
     console.error("❌ Error saving configuration:", error);
     throw error;
   }
 }
 
+/**
+ * Write a configuration as it is, readable only by the current user
+ * The file is written to a temporary file first and renamed over the old
+ * one, so a crash while writing never leaves a truncated vault behind.
+ * @param {object} config - Configuration with encrypted secret keys
+ */
+async function writeConfigFile(config) {
+  await fs.mkdir(path.dirname(configFile), { recursive: true, mode: 0o700 });
+
+  const tempPath = `${configFile}.${process.pid}.tmp`;
+  try {
+    const handle = await fs.open(tempPath, "w", 0o600);
+    try {
+      await handle.writeFile(JSON.stringify(config, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.chmod(tempPath, 0o600);
+    await fs.rename(tempPath, configFile);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Record when a profile was last used
+ * Skipped while plaintext keys are waiting for their migration, because
+ * writing them requires the vault passphrase.
+ * @param {object} config - Configuration
+ * @param {string} profileName - Profile that was selected
+ */
+async function recordProfileUse(config, profileName) {
+  if (Object.values(config.profiles).some((profile) => profile.secretKey)) {
+    return;
+  }
+  config.profiles[profileName].lastUsedAt = new Date().toISOString();
+  try {
+    await writeConfigFile(config);
+  } catch (error) {
+    console.warn(
+      `⚠️  Could not record the last use of profile "${profileName}": ${error.message}`
+    );
+  }
+}
+
 /**
  * Create a new profile
+ * Secret and restricted keys are accepted. Before the profile is saved,
+ * the key is checked with Stripe and its permissions are probed, so a
+ * restricted key without the needed read access is explained right away.
  * @param {object} config - Current configuration
  * @returns {Promise<object>} Created profile
  */
@@ -51,16 +402,42 @@ async function createProfile(config) {
     }
   }
 
-  const secretKey = await askSecretQuestion("🔐 Enter Stripe Secret Key: ");
+  const secretKey = await askApiKey(
+    "🔐 Enter Stripe Secret or Restricted Key: "
+  );
+  if (!secretKey) {
+    return await createProfile(config);
+  }
 
-  if (!secretKey || !secretKey.startsWith("sk_")) {
-    console.error("❌ Invalid Stripe Secret Key! It should start with 'sk_'");
+  let missing;
+  try {
+    missing = displayPermissionReport(await probeKeyPermissions(secretKey));
+  } catch (error) {
+    console.error(`❌ Stripe rejected the key: ${error.message}`);
+    return await createProfile(config);
+  }
+  if (!(await confirmMissingPermissions(missing))) {
+    return await createProfile(config);
+  }
+
+  // The timezone defines the accounting day used for month boundaries
+  const systemTimeZone = getSystemTimeZone();
+  const timezoneInput = await askQuestion(
+    `🌍 Accounting timezone (IANA name, press Enter for ${systemTimeZone}): `
+  );
+  const timezone = timezoneInput.trim() || systemTimeZone;
+
+  if (!isValidTimeZone(timezone)) {
+    console.error(
+      "❌ Invalid timezone! Use an IANA name such as Europe/Berlin or UTC."
+    );
     return await createProfile(config);
   }
 
   const profile = {
     name: profileName,
     secretKey: secretKey,
+    timezone,
     createdAt: new Date().toISOString(),
   };
 
@@ -71,13 +448,97 @@ async function createProfile(config) {
   return profile;
 }
 
+/**
+ * Build the profile for an API key from STRIPE_API_KEY
+ * The settings of a stored profile with the same name still apply, but its
+ * key is neither decrypted nor migrated, so no vault passphrase is needed.
+ * @param {object} config - Configuration
+ * @param {string} [profileName] - Selected profile name
+ * @returns {object|null} - Profile, or null if the key is invalid
+ */
+function profileFromEnvironment(config, profileName) {
+  const secretKey = process.env[API_KEY_ENV];
+  if (!isValidApiKey(secretKey)) {
+    console.error(
+      `❌ ${API_KEY_ENV} is not a valid Stripe API key! Use a secret key (sk_live_/sk_test_) or a restricted key (rk_live_/rk_test_).`
+    );
+    return null;
+  }
+
+  const name = profileName || ENV_PROFILE_NAME;
+  const stored = config.profiles[name];
+  const {
+    encryptedSecretKey,
+    secretKey: storedKey,
+    ...settings
+  } = stored || {};
+  console.log(
+    `✅ Using the API key from ${API_KEY_ENV}${
+      stored ? ` with the settings of profile: ${name}` : ""
+    }`
+  );
+  return { ...settings, name, secretKey };
+}
+
 /**
  * Select or create a profile
- * @returns {Promise<object>} Selected profile
+ * Plaintext secret keys are migrated into the vault first, and the secret
+ * key of the selected profile is decrypted. STRIPE_PROFILE stands in for a
+ * missing profile name, and STRIPE_API_KEY replaces the stored key.
+ * @param {string} [profileName] - Profile to use without prompting
+ * @param {object} [options] - Selection options
+ * @param {boolean} [options.interactive] - Whether the vault passphrase may be asked for
+ * @returns {Promise<object|null>} Selected profile, or null if the named
+ *   profile does not exist or the vault cannot be unlocked
+ * @throws {Error} - With type WRONG_PASSPHRASE_ERROR for a wrong passphrase
  */
-async function selectProfile() {
+async function selectProfile(profileName, options = {}) {
+  const { interactive = true } = options;
   const config = await loadConfig();
   const profiles = Object.keys(config.profiles);
+  profileName = profileName || process.env[PROFILE_ENV];
+
+  if (process.env[API_KEY_ENV]) {
+    return profileFromEnvironment(config, profileName);
+  }
+
+  try {
+    await migratePlaintextKeys(config, interactive);
+  } catch (error) {
+    if (error.type === WRONG_PASSPHRASE_ERROR) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    return null;
+  }
+
+  const unlock = async (name) => {
+    try {
+      const profile = await unlockProfile(
+        config,
+        config.profiles[name],
+        interactive
+      );
+      await recordProfileUse(config, name);
+      return profile;
+    } catch (error) {
+      if (error.type === WRONG_PASSPHRASE_ERROR) {
+        throw error;
+      }
+      console.error(`❌ ${error.message}`);
+      return null;
+    }
+  };
+
+  if (profileName) {
+    const profile = config.profiles[profileName];
+    if (!profile) {
+      console.error(`❌ Profile "${profileName}" not found in ${configFile}`);
+      return null;
+    }
+    console.log(`✅ Selected profile: ${profileName}`);
+    return await unlock(profileName);
+  }
 
   if (profiles.length === 0) {
     console.log("📝 No profiles found. Let's create your first profile.");
@@ -101,14 +562,510 @@ async function selectProfile() {
 
   if (selectionNum >= 1 && selectionNum <= profiles.length) {
     const selectedProfile = profiles[selectionNum - 1];
-    const profile = config.profiles[selectedProfile];
-
     console.log(`✅ Selected profile: ${selectedProfile}`);
-    return profile;
+    return await unlock(selectedProfile);
   }
 
   console.error("❌ Invalid selection!");
-  return await selectProfile();
+  return await selectProfile(undefined, options);
+}
+
+/**
+ * Re-encrypt all secret keys of the vault with a fresh salt
+ * All keys are decrypted with the current passphrase and encrypted again
+ * under a new key derived with the current KDF parameters - either from the
+ * same passphrase or, when changing it, from a new one (asked for, or taken
+ * from STRIPE_VAULT_NEW_PASSPHRASE).
+ * @param {object} [options] - Re-encryption options
+ * @param {boolean} [options.changePassphrase] - Whether to set a new passphrase
+ * @param {boolean} [options.interactive] - Whether prompting is allowed
+ * @returns {Promise<boolean>} - Whether the vault was written
+ * @throws {Error} - With type WRONG_PASSPHRASE_ERROR for a wrong passphrase
+ */
+async function reencryptVault(options = {}) {
+  const { changePassphrase = false, interactive = true } = options;
+  const config = await loadConfig();
+
+  if (Object.keys(config.profiles).length === 0) {
+    console.error(`❌ No profiles found in ${configFile}`);
+    return false;
+  }
+
+  try {
+    let passphrase = null;
+    if (config.vault) {
+      const unlocked = await unlockWithPassphrase(config, interactive);
+      vaultKey = unlocked.key;
+      passphrase = unlocked.passphrase;
+    }
+
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      config.profiles[name] = await unlockProfile(config, profile, interactive);
+    }
+
+    if (changePassphrase || !passphrase) {
+      passphrase = await askNewPassphrase(
+        interactive,
+        changePassphrase ? NEW_PASSPHRASE_ENV : PASSPHRASE_ENV
+      );
+    }
+
+    const created = await createVault(passphrase);
+    config.vault = created.vault;
+    vaultKey = created.key;
+    await saveConfig(config, { interactive });
+  } catch (error) {
+    if (error.type === WRONG_PASSPHRASE_ERROR) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+
+  console.log(
+    changePassphrase
+      ? "✅ Vault passphrase changed"
+      : "✅ All API keys re-encrypted"
+  );
+  return true;
+}
+
+/**
+ * Load the configuration and look up a profile by name
+ * @param {string} profileName - Profile name
+ * @returns {Promise<object|null>} - Configuration, or null if the profile does not exist
+ */
+async function loadConfigWithProfile(profileName) {
+  const config = await loadConfig();
+  if (!profileName) {
+    console.error("❌ Missing profile name.");
+    return null;
+  }
+  if (!config.profiles[profileName]) {
+    console.error(`❌ Profile "${profileName}" not found in ${configFile}`);
+    return null;
+  }
+  return config;
+}
+
+/**
+ * List all profiles with their key mode and last use
+ * Works without the vault passphrase - the key mode is stored next to the
+ * encrypted key.
+ */
+async function listProfiles() {
+  const config = await loadConfig();
+  const profiles = Object.values(config.profiles);
+
+  if (profiles.length === 0) {
+    console.log(`📝 No profiles found in ${configFile}`);
+    return;
+  }
+
+  console.log(`📋 Profiles in ${configFile}:`);
+  profiles.forEach((profile, index) => {
+    const keyMode = profile.secretKey
+      ? `${getKeyMode(profile.secretKey)} key, not encrypted`
+      : `${profile.keyMode || "unknown"} key`;
+    const lastUsed = profile.lastUsedAt
+      ? `last used ${profile.lastUsedAt.slice(0, 10)}`
+      : "never used";
+    const tags =
+      profile.tags && profile.tags.length > 0
+        ? ` - tags: ${profile.tags.join(", ")}`
+        : "";
+    console.log(
+      `${index + 1}. ${profile.name} - ${keyMode} - ${
+        profile.timezone || "no timezone"
+      } - ${lastUsed}${tags}`
+    );
+  });
+}
+
+/**
+ * Get the profiles of a batch run
+ * @param {string} [tag] - Only profiles with this tag
+ * @returns {Promise<Array<string>|null>} - Profile names in config order, or
+ *   null if none match
+ */
+async function listBatchProfiles(tag) {
+  const config = await loadConfig();
+  const profileNames = Object.keys(config.profiles).filter(
+    (name) =>
+      tag === undefined || (config.profiles[name].tags || []).includes(tag)
+  );
+
+  if (profileNames.length === 0) {
+    console.error(
+      tag === undefined
+        ? `❌ No profiles found in ${configFile}`
+        : `❌ No profiles tagged "${tag}" in ${configFile} - add tags with "profile set <name> tags ${tag}".`
+    );
+    return null;
+  }
+  return profileNames;
+}
+
+/**
+ * Format a setting value for display
+ * @param {*} value - Effective setting value
+ * @returns {string} - Printable value
+ */
+function formatSettingValue(value) {
+  if (value === null || value === undefined) {
+    return "(not set)";
+  }
+  if (Array.isArray(value)) {
+    return value.join(", ");
+  }
+  if (typeof value === "object") {
+    return "(configured)";
+  }
+  return String(value);
+}
+
+/**
+ * Print the effective configuration of a run with secrets redacted
+ * Shows the configuration file, the profile and API key with where each
+ * comes from, and every setting with its source. Works without the vault
+ * passphrase - encrypted keys are never decrypted.
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<boolean>} - Whether the configuration is usable
+ */
+async function showConfig(options) {
+  const location = await getConfigLocation();
+  const config = await loadConfig();
+  const profileName = options.profile || process.env[PROFILE_ENV];
+  const envKey = process.env[API_KEY_ENV];
+  let usable = true;
+
+  console.log("⚙️  Effective configuration:");
+  console.log(
+    `   Config file: ${location.filePath} (${location.source}${
+      location.exists ? "" : ", not created yet"
+    })`
+  );
+  if (location.ignored) {
+    console.log(`   Ignored:     ${location.ignored}`);
+  }
+
+  const profileSource = options.profile
+    ? "--profile"
+    : profileName
+    ? PROFILE_ENV
+    : null;
+  const stored = profileName ? config.profiles[profileName] : null;
+  if (!profileName) {
+    console.log(
+      `   Profile:     ${
+        envKey ? `${ENV_PROFILE_NAME} (no --profile or ${PROFILE_ENV})` : "none"
+      }`
+    );
+  } else if (stored) {
+    console.log(`   Profile:     ${profileName} (from ${profileSource})`);
+  } else {
+    console.log(
+      `   Profile:     ${profileName} (from ${profileSource}, not in the config file)`
+    );
+    usable = Boolean(envKey);
+  }
+
+  if (envKey) {
+    const valid = isValidApiKey(envKey);
+    console.log(
+      `   API key:     ${redactApiKey(envKey)} from ${API_KEY_ENV}, ${
+        valid ? `${getKeyMode(envKey)} mode` : "invalid"
+      }`
+    );
+    usable = usable && valid;
+  } else if (stored && stored.secretKey) {
+    console.log(
+      `   API key:     ${redactApiKey(
+        stored.secretKey
+      )} from the config file, ${getKeyMode(
+        stored.secretKey
+      )} mode, not encrypted yet`
+    );
+  } else if (stored && stored.encryptedSecretKey) {
+    console.log(
+      `   API key:     encrypted in the vault, ${
+        stored.keyMode || KEY_MODES.UNKNOWN
+      } mode`
+    );
+  } else {
+    console.log(
+      `   API key:     none (select a profile or set ${API_KEY_ENV})`
+    );
+  }
+
+  const encryptedCount = Object.values(config.profiles).filter(
+    (profile) => profile.encryptedSecretKey
+  ).length;
+  console.log(
+    `   Vault:       ${
+      config.vault
+        ? `${encryptedCount} encrypted key(s), passphrase ${
+            process.env[PASSPHRASE_ENV]
+              ? `from ${PASSPHRASE_ENV}`
+              : "asked for when needed"
+          }`
+        : "not created yet"
+    }`
+  );
+
+  const profile = { ...(stored || {}), name: profileName || ENV_PROFILE_NAME };
+  const settings = resolveSettings(profile, options);
+  if (!settings) {
+    return false;
+  }
+
+  console.log("\n📋 Settings (command line > profile > default):");
+  const rows = describeSettings(profile, options, settings);
+  const width = Math.max(...rows.map((row) => row.setting.length));
+  rows.forEach(({ setting, value, source }) => {
+    console.log(
+      `   ${setting.padEnd(width)}  ${formatSettingValue(value)} (${source})`
+    );
+  });
+  return usable;
+}
+
+/**
+ * Save a configuration changed by a profile command
+ * A vault passphrase that is needed but cannot be asked for fails the
+ * command with a message instead of a prompt.
+ * @param {object} config - Configuration object to save
+ * @param {boolean} interactive - Whether the passphrase may be asked for
+ * @returns {Promise<boolean>} - Whether the configuration was saved
+ * @throws {Error} - With type WRONG_PASSPHRASE_ERROR for a wrong passphrase
+ */
+async function saveProfileChanges(config, interactive) {
+  try {
+    await saveConfig(config, { interactive });
+    return true;
+  } catch (error) {
+    if (error.type === WRONG_PASSPHRASE_ERROR) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Rename a profile
+ * @param {string} oldName - Current profile name
+ * @param {string} newName - New profile name
+ * @param {object} [options] - Rename options
+ * @param {boolean} [options.interactive] - Whether the vault passphrase may be asked for
+ * @returns {Promise<boolean>} - Whether the profile was renamed
+ */
+async function renameProfile(oldName, newName, options = {}) {
+  const { interactive = true } = options;
+  const config = await loadConfigWithProfile(oldName);
+  if (!config) {
+    return false;
+  }
+  if (!newName || !newName.trim()) {
+    console.error("❌ Missing new profile name.");
+    return false;
+  }
+  if (config.profiles[newName]) {
+    console.error(`❌ Profile "${newName}" already exists!`);
+    return false;
+  }
+
+  // Rebuild the object so the profile keeps its position in the list
+  const profiles = {};
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (name === oldName) {
+      profiles[newName] = { ...profile, name: newName };
+    } else {
+      profiles[name] = profile;
+    }
+  }
+  config.profiles = profiles;
+  if (!(await saveProfileChanges(config, interactive))) {
+    return false;
+  }
+
+  console.log(`✅ Profile "${oldName}" renamed to "${newName}"`);
+  if (!profiles[newName].outputDir) {
+    console.log(
+      `ℹ️  New downloads go to a folder named after "${newName}"; earlier downloads stay where they are.`
+    );
+  }
+  return true;
+}
+
+/**
+ * Delete a profile and its encrypted key
+ * @param {string} profileName - Profile to delete
+ * @param {object} [options] - Deletion options
+ * @param {boolean} [options.interactive] - Whether to ask for confirmation
+ *   and for the vault passphrase
+ * @param {boolean} [options.yes] - Delete without asking
+ * @returns {Promise<boolean>} - Whether the profile was deleted
+ */
+async function deleteProfile(profileName, options = {}) {
+  const { interactive = true, yes = false } = options;
+  const config = await loadConfigWithProfile(profileName);
+  if (!config) {
+    return false;
+  }
+
+  if (!yes) {
+    if (!interactive) {
+      console.error(
+        "❌ Deleting a profile needs confirmation - add --yes in non-interactive mode."
+      );
+      return false;
+    }
+    const answer = await askQuestion(
+      `🤔 Delete profile "${profileName}" and its API key? (y/n): `
+    );
+    if (answer.toLowerCase() !== "y" && answer.toLowerCase() !== "yes") {
+      console.log("❌ Deletion cancelled.");
+      return false;
+    }
+  }
+
+  delete config.profiles[profileName];
+  if (!(await saveProfileChanges(config, interactive))) {
+    return false;
+  }
+  console.log(`✅ Profile "${profileName}" deleted`);
+  return true;
+}
+
+/**
+ * Replace the API key of a profile
+ * The new key is checked with Stripe before it replaces the old one.
+ * @param {string} profileName - Profile to update
+ * @param {object} [options] - Rotation options
+ * @param {boolean} [options.interactive] - Whether prompting is allowed
+ * @param {Function} [options.checkKey] - async (profile) => missing required
+ *   permissions, throws if Stripe rejects the key
+ * @returns {Promise<boolean>} - Whether the key was replaced
+ */
+async function rotateProfileKey(profileName, options = {}) {
+  const { interactive = true, checkKey = null } = options;
+  const config = await loadConfigWithProfile(profileName);
+  if (!config) {
+    return false;
+  }
+  if (!interactive) {
+    console.error("❌ Rotating a key needs an interactive terminal.");
+    return false;
+  }
+
+  const secretKey = await askApiKey(
+    `🔐 Enter the new Stripe Secret or Restricted Key for "${profileName}": `
+  );
+  if (!secretKey) {
+    return false;
+  }
+
+  const { encryptedSecretKey, ...profile } = config.profiles[profileName];
+  const updated = {
+    ...profile,
+    secretKey,
+    keyRotatedAt: new Date().toISOString(),
+  };
+  if (checkKey) {
+    let missing;
+    try {
+      missing = await checkKey(updated);
+    } catch (error) {
+      console.error(
+        `❌ Stripe rejected the new key - the old key is kept: ${error.message}`
+      );
+      return false;
+    }
+    if (!(await confirmMissingPermissions(missing))) {
+      console.log("❌ Key rotation cancelled - the old key is kept.");
+      return false;
+    }
+  }
+
+  config.profiles[profileName] = updated;
+  if (!(await saveProfileChanges(config, interactive))) {
+    return false;
+  }
+  console.log(`✅ API key of profile "${profileName}" replaced`);
+  return true;
+}
+
+/**
+ * Change a setting stored on a profile
+ * Lists are given comma-separated; an empty value removes the setting so
+ * the default applies again. The profile is validated like a run would.
+ * @param {string} profileName - Profile to update
+ * @param {string} setting - Setting name (see DEFAULT_SETTINGS)
+ * @param {string} value - New value
+ * @param {object} [options] - Update options
+ * @param {boolean} [options.interactive] - Whether the vault passphrase may be asked for
+ * @returns {Promise<boolean>} - Whether the setting was saved
+ */
+async function setProfileSetting(profileName, setting, value, options = {}) {
+  const { interactive = true } = options;
+  const config = await loadConfigWithProfile(profileName);
+  if (!config) {
+    return false;
+  }
+  if (!EDITABLE_SETTINGS.includes(setting)) {
+    console.error(
+      `❌ Unknown setting "${setting}"! Use one of ${EDITABLE_SETTINGS.join(
+        ", "
+      )}.`
+    );
+    return false;
+  }
+  if (value === undefined) {
+    console.error(`❌ Missing value for ${setting}.`);
+    return false;
+  }
+
+  const profile = { ...config.profiles[profileName] };
+  const defaultValue =
+    setting in PROFILE_FIELDS
+      ? PROFILE_FIELDS[setting]
+      : DEFAULT_SETTINGS[setting];
+  if (value === "") {
+    delete profile[setting];
+  } else if (Array.isArray(defaultValue)) {
+    profile[setting] = value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  } else if (typeof defaultValue === "boolean") {
+    if (!/^(true|false|yes|no)$/i.test(value)) {
+      console.error(`❌ Invalid value "${value}"! Use true or false.`);
+      return false;
+    }
+    profile[setting] = /^(true|yes)$/i.test(value);
+  } else if (typeof defaultValue === "number" && /^\d+$/.test(value)) {
+    profile[setting] = parseInt(value, 10);
+  } else {
+    profile[setting] = value;
+  }
+
+  if (!resolveSettings(profile, {})) {
+    return false;
+  }
+
+  config.profiles[profileName] = profile;
+  if (!(await saveProfileChanges(config, interactive))) {
+    return false;
+  }
+  console.log(
+    value === ""
+      ? `✅ ${setting} of profile "${profileName}" reset to the default`
+      : `✅ ${setting} of profile "${profileName}" set to ${JSON.stringify(
+          profile[setting]
+        )}`
+  );
+  return true;
 }
 
 module.exports = {
@@ -116,5 +1073,16 @@ module.exports = {
   saveConfig,
   createProfile,
   selectProfile,
-  CONFIG_FILE,
+  reencryptVault,
+  listProfiles,
+  listBatchProfiles,
+  renameProfile,
+  deleteProfile,
+  rotateProfileKey,
+  setProfileSetting,
+  API_KEY_ENV,
+  PROFILE_ENV,
+  useConfigFile,
+  getConfigLocation,
+  showConfig,
 };
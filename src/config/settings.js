@@ -0,0 +1,276 @@
+const { DATE_BASES, parseDateBasis } = require("../stripe/dateBasis");
+const {
+  INVOICE_STATUSES,
+  parseInvoiceStatuses,
+} = require("../stripe/invoiceStatus");
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("../utils/timezone");
+const { DEFAULT_TIMEOUT_MS, DEFAULT_RETRIES } = require("../download/http");
+const {
+  DEFAULT_FILENAME_TEMPLATE,
+  validateFilenameTemplate,
+} = require("../download/filename");
+const { isValidCurrency } = require("../fx/baseCurrency");
+const { EXPORT_FORMATS, parseExportFormats } = require("../export/formats");
+const { KEY_MODES, getKeyMode } = require("../stripe/apiKey");
+
+/**
+ * Defaults for settings that can be stored per profile in config.json
+ * and overridden per run on the command line
+ */
+const DEFAULT_SETTINGS = {
+  dateBasis: DATE_BASES.CREATED,
+  // Extra days fetched before the period when the date basis is not "created"
+  dateBasisLookbackDays: 90,
+  // IANA timezone that defines the accounting day
+  timezone: DEFAULT_TIMEZONE,
+  // Base directory for downloads - null uses ./downloads
+  outputDir: null,
+  // Export files created with the CSV export, see src/export/formats.js
+  exportFormats: Object.values(EXPORT_FORMATS),
+  // Invoice statuses to fetch
+  statuses: [INVOICE_STATUSES.PAID],
+  // Parallel PDF downloads
+  downloadConcurrency: 5,
+  // Timeout per PDF request and retries after the first attempt
+  downloadTimeoutSeconds: DEFAULT_TIMEOUT_MS / 1000,
+  downloadRetries: DEFAULT_RETRIES,
+  // File name of downloaded PDFs, see src/download/filename.js
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  // DATEV export, see src/export/datevGenerator.js - off unless configured
+  datev: null,
+  // Currency the exports are consolidated in - null uses the currency Stripe
+  // settles the invoices in
+  baseCurrency: null,
+  // Offline ECB exchange rate CSV for documents paid outside Stripe
+  fxRatesFile: null,
+  // Also export charges without invoice (Checkout, PaymentIntents) as receipts
+  includeReceipts: false,
+};
+
+/**
+ * Command line option (camelCase, see src/utils/args.js) that overrides each
+ * setting - the DATEV section can only be set in config.json
+ */
+const SETTING_OPTIONS = {
+  dateBasis: "dateBasis",
+  dateBasisLookbackDays: "lookbackDays",
+  timezone: "timezone",
+  outputDir: "outputDir",
+  exportFormats: "formats",
+  statuses: "status",
+  downloadConcurrency: "concurrency",
+  downloadTimeoutSeconds: "timeout",
+  downloadRetries: "retries",
+  filenameTemplate: "filenameTemplate",
+  datev: null,
+  baseCurrency: "baseCurrency",
+  fxRatesFile: "fxRates",
+  includeReceipts: "receipts",
+};
+
+/**
+ * Resolve a whole-number setting: command line > profile > default
+ * @param {string|number|undefined} optionValue - Command line value
+ * @param {number|undefined} profileValue - Value from config.json
+ * @param {number} defaultValue - Default value
+ * @param {number} min - Smallest allowed value
+ * @param {string} label - Setting name for the error message
+ * @returns {number|null} - Value, or null if invalid
+ */
+function resolveInteger(optionValue, profileValue, defaultValue, min, label) {
+  const input =
+    optionValue !== undefined
+      ? optionValue
+      : profileValue !== undefined
+      ? profileValue
+      : defaultValue;
+  const value = parseInt(input, 10);
+  if (!/^\s*\d+\s*$/.test(String(input)) || value < min) {
+    console.error(
+      `❌ Invalid ${label} "${input}"! Please enter a whole number (${min} or more).`
+    );
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Resolve the effective run settings: command line > profile > defaults
+ * @param {object} profile - Selected profile from config.json
+ * @param {object} options - Parsed command line options
+ * @returns {object|null} - Settings, or null if a value is invalid
+ */
+function resolveSettings(profile, options = {}) {
+  const dateBasisInput =
+    options.dateBasis || profile.dateBasis || DEFAULT_SETTINGS.dateBasis;
+  const dateBasis = parseDateBasis(dateBasisInput);
+  if (!dateBasis) {
+    console.error(
+      `❌ Invalid date basis "${dateBasisInput}"! Use created, finalized_at or paid_at.`
+    );
+    return null;
+  }
+
+  const dateBasisLookbackDays = resolveInteger(
+    options.lookbackDays,
+    profile.dateBasisLookbackDays,
+    DEFAULT_SETTINGS.dateBasisLookbackDays,
+    0,
+    "lookback days"
+  );
+  if (dateBasisLookbackDays === null) {
+    return null;
+  }
+
+  const timezone =
+    options.timezone || profile.timezone || DEFAULT_SETTINGS.timezone;
+  if (!isValidTimeZone(timezone)) {
+    console.error(
+      `❌ Invalid timezone "${timezone}"! Use an IANA name such as Europe/Berlin.`
+    );
+    return null;
+  }
+  if (!options.timezone && !profile.timezone) {
+    console.log(
+      `⚠️  Profile "${profile.name}" has no timezone set - using ${timezone}. Add "timezone" to the profile in config.json.`
+    );
+  }
+
+  const statusesInput =
+    options.status || profile.statuses || DEFAULT_SETTINGS.statuses;
+  const statuses = parseInvoiceStatuses(statusesInput);
+  if (!statuses) {
+    console.error(
+      `❌ Invalid invoice status "${statusesInput}"! Use one or more of ${Object.values(
+        INVOICE_STATUSES
+      ).join(", ")}.`
+    );
+    return null;
+  }
+
+  const exportFormatsInput =
+    options.formats || profile.exportFormats || DEFAULT_SETTINGS.exportFormats;
+  const exportFormats = parseExportFormats(exportFormatsInput);
+  if (!exportFormats) {
+    console.error(
+      `❌ Invalid export format "${exportFormatsInput}"! Use one or more of ${Object.values(
+        EXPORT_FORMATS
+      ).join(", ")}.`
+    );
+    return null;
+  }
+
+  if (
+    (options.formats || profile.exportFormats) &&
+    exportFormats.includes(EXPORT_FORMATS.DATEV) &&
+    !profile.datev
+  ) {
+    console.log(
+      `⚠️  Profile "${profile.name}" has no "datev" section - the DATEV export is skipped.`
+    );
+  }
+
+  const downloadConcurrency = resolveInteger(
+    options.concurrency,
+    profile.downloadConcurrency,
+    DEFAULT_SETTINGS.downloadConcurrency,
+    1,
+    "concurrency"
+  );
+  const downloadTimeoutSeconds = resolveInteger(
+    options.timeout,
+    profile.downloadTimeoutSeconds,
+    DEFAULT_SETTINGS.downloadTimeoutSeconds,
+    1,
+    "timeout"
+  );
+  const downloadRetries = resolveInteger(
+    options.retries,
+    profile.downloadRetries,
+    DEFAULT_SETTINGS.downloadRetries,
+    0,
+    "retries"
+  );
+  if (
+    downloadConcurrency === null ||
+    downloadTimeoutSeconds === null ||
+    downloadRetries === null
+  ) {
+    return null;
+  }
+
+  const filenameTemplate =
+    options.filenameTemplate ||
+    profile.filenameTemplate ||
+    DEFAULT_SETTINGS.filenameTemplate;
+  const templateError = validateFilenameTemplate(filenameTemplate);
+  if (templateError) {
+    console.error(
+      `❌ Invalid filename template "${filenameTemplate}"! ${templateError}.`
+    );
+    return null;
+  }
+
+  const baseCurrency =
+    options.baseCurrency ||
+    profile.baseCurrency ||
+    DEFAULT_SETTINGS.baseCurrency;
+  if (baseCurrency && !isValidCurrency(baseCurrency)) {
+    console.error(
+      `❌ Invalid base currency "${baseCurrency}"! Use a three-letter ISO code such as EUR.`
+    );
+    return null;
+  }
+
+  return {
+    dateBasis,
+    dateBasisLookbackDays,
+    timezone,
+    outputDir:
+      options.outputDir || profile.outputDir || DEFAULT_SETTINGS.outputDir,
+    exportFormats,
+    statuses,
+    downloadConcurrency,
+    downloadTimeoutSeconds,
+    downloadRetries,
+    filenameTemplate,
+    datev: profile.datev || DEFAULT_SETTINGS.datev,
+    baseCurrency: baseCurrency ? baseCurrency.toUpperCase() : null,
+    fxRatesFile:
+      options.fxRates || profile.fxRatesFile || DEFAULT_SETTINGS.fxRatesFile,
+    includeReceipts: Boolean(
+      options.receipts ||
+        profile.includeReceipts ||
+        DEFAULT_SETTINGS.includeReceipts
+    ),
+    // Test-mode keys get their own folder tree and marked exports
+    testMode: getKeyMode(profile.secretKey) === KEY_MODES.TEST,
+  };
+}
+
+/**
+ * Describe where each effective setting comes from
+ * @param {object} profile - Selected profile from config.json
+ * @param {object} options - Parsed command line options
+ * @param {object} settings - Result of resolveSettings
+ * @returns {Array<object>} - [{ setting, value, source }] in the order of
+ *   DEFAULT_SETTINGS, where source is "command line", "profile" or "default"
+ */
+function describeSettings(profile, options, settings) {
+  return Object.keys(DEFAULT_SETTINGS).map((setting) => {
+    const optionKey = SETTING_OPTIONS[setting];
+    const source =
+      optionKey && options[optionKey] !== undefined
+        ? "command line"
+        : profile[setting] !== undefined && profile[setting] !== null
+        ? "profile"
+        : "default";
+    return { setting, value: settings[setting], source };
+  });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  describeSettings,
+};
@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Environment variable that supplies the vault passphrase without a prompt
+const PASSPHRASE_ENV = "STRIPE_VAULT_PASSPHRASE";
+
+// Error type of a wrong passphrase, checked like Stripe's error types
+const WRONG_PASSPHRASE_ERROR = "VaultPassphraseError";
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost parameters for new vaults (N = 2^17, r = 8: 128 MiB of memory)
+const KDF_DEFAULTS = { N: 131072, r: 8, p: 1 };
+
+const CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Known plaintext that tells a wrong passphrase apart, even without profiles
+const CHECK_VALUE = "stripe-invoice-downloader";
+
+/**
+ * Derive the vault key from a passphrase
+ * @param {string} passphrase - Master passphrase
+ * @param {object} kdf - { salt (base64), N, r, p }
+ * @returns {Promise<Buffer>} - 256-bit key
+ */
+function deriveKey(passphrase, kdf) {
+  return scrypt(
+    passphrase.normalize("NFC"),
+    Buffer.from(kdf.salt, "base64"),
+    KEY_LENGTH,
+    { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r }
+  );
+}
+
+/**
+ * Encrypt a secret with the vault key
+ * Every secret gets a fresh random IV; the GCM tag detects a wrong key and
+ * any modification of the stored value.
+ * @param {Buffer} key - Vault key
+ * @param {string} plaintext - Secret
+ * @returns {object} - { iv, tag, data } as base64
+ */
+function encryptSecret(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypt a secret with the vault key
+ * @param {Buffer} key - Vault key
+ * @param {object} payload - { iv, tag, data } from encryptSecret
+ * @returns {string} - Secret
+ * @throws {Error} - If the key is wrong or the payload was modified
+ */
+function decryptSecret(key, payload) {
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    key,
+    Buffer.from(payload.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Create a new vault for a passphrase
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<object>} - { vault, key } where vault is the header
+ *   stored in config.json (KDF parameters, salt and check value)
+ */
+async function createVault(passphrase) {
+  const kdf = {
+    name: "scrypt",
+    salt: crypto.randomBytes(16).toString("base64"),
+    ...KDF_DEFAULTS,
+  };
+  const key = await deriveKey(passphrase, kdf);
+  return {
+    vault: { version: 1, kdf, check: encryptSecret(key, CHECK_VALUE) },
+    key,
+  };
+}
+
+/**
+ * Unlock an existing vault
+ * @param {object} vault - Vault header from config.json
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Buffer>} - Vault key
+ * @throws {Error} - With type WRONG_PASSPHRASE_ERROR if the passphrase is wrong
+ */
+async function unlockVault(vault, passphrase) {
+  if (vault.version !== 1 || vault.kdf?.name !== "scrypt") {
+    throw new Error(
+      `Unsupported vault format in config.json (version ${vault.version})`
+    );
+  }
+  const key = await deriveKey(passphrase, vault.kdf);
+  try {
+    if (decryptSecret(key, vault.check) === CHECK_VALUE) {
+      return key;
+    }
+  } catch (error) {
+    // Authentication failed - the key is wrong
+  }
+  const error = new Error("Wrong vault passphrase");
+  error.type = WRONG_PASSPHRASE_ERROR;
+  throw error;
+}
+
+/**
+ * Check whether a new passphrase is acceptable
+ * @param {string} passphrase - Passphrase
+ * @returns {string|null} - Problem description, or null if it is acceptable
+ */
+function checkPassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `The passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = {
+  PASSPHRASE_ENV,
+  WRONG_PASSPHRASE_ERROR,
+  encryptSecret,
+  decryptSecret,
+  createVault,
+  unlockVault,
+  checkPassphrase,
+};
@@ -0,0 +1,53 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Written into the period folder when downloads fail, read by --retry-failed
+const FAILED_DOWNLOADS_FILE = "failed_downloads.json";
+
+/**
+ * Record the documents whose download failed, or remove the record if none did
+ * @param {string} folderPath - Period folder path
+ * @param {Array} documents - Failed documents as { id, number, documentType }
+ * @returns {Promise<string|null>} - Path of the written file, or null if removed
+ */
+async function saveFailedDownloads(folderPath, documents) {
+  const filepath = path.join(folderPath, FAILED_DOWNLOADS_FILE);
+
+  if (documents.length === 0) {
+    await fs.rm(filepath, { force: true });
+    return null;
+  }
+
+  const content = {
+    failedAt: new Date().toISOString(),
+    documents,
+  };
+  await fs.writeFile(filepath, JSON.stringify(content, null, 2), "utf8");
+  return filepath;
+}
+
+/**
+ * Load the documents recorded by the last run with failed downloads
+ * @param {string} folderPath - Period folder path
+ * @returns {Promise<Array|null>} - Failed documents, or null if nothing is recorded
+ */
+async function loadFailedDownloads(folderPath) {
+  try {
+    const content = await fs.readFile(
+      path.join(folderPath, FAILED_DOWNLOADS_FILE),
+      "utf8"
+    );
+    return JSON.parse(content).documents || [];
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  FAILED_DOWNLOADS_FILE,
+  saveFailedDownloads,
+  loadFailedDownloads,
+};
@@ -0,0 +1,217 @@
+const path = require("path");
+const { getZonedDateParts } = require("../utils/timezone");
+
+// Reproduces the naming used before templates were configurable
+const DEFAULT_FILENAME_TEMPLATE = "{number}_{customer_name}_{amount}{currency}";
+
+// Date format used by a bare {date} placeholder
+const DEFAULT_DATE_FORMAT = "YYYY-MM-DD";
+
+// Longest file name (without extension) in UTF-8 bytes before it is
+// shortened - file systems limit names to 255 bytes, not characters
+const MAX_FILENAME_BYTES = 180;
+
+const PLACEHOLDERS = [
+  "number",
+  "customer_name",
+  "customer_email",
+  "customer_id",
+  "date",
+  "amount",
+  "currency",
+  "status",
+];
+
+/**
+ * Split a placeholder such as "date:YYYY-MM" or "metadata.project"
+ * @param {string} placeholder - Text between the braces
+ * @returns {object} - { name, argument }
+ */
+function parsePlaceholder(placeholder) {
+  if (placeholder.startsWith("metadata.")) {
+    return { name: "metadata", argument: placeholder.slice(9) };
+  }
+  const colonIndex = placeholder.indexOf(":");
+  if (colonIndex === -1) {
+    return { name: placeholder, argument: null };
+  }
+  return {
+    name: placeholder.slice(0, colonIndex),
+    argument: placeholder.slice(colonIndex + 1),
+  };
+}
+
+/**
+ * Validate a filename template
+ * @param {string} template - Template such as "{date:YYYY-MM-DD}_{number}"
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+function validateFilenameTemplate(template) {
+  if (!template || typeof template !== "string") {
+    return "Filename template must be a non-empty string";
+  }
+
+  const placeholders = [...template.matchAll(/\{([^{}]*)\}/g)].map(
+    (match) => match[1]
+  );
+  if (placeholders.length === 0) {
+    return "Filename template must contain at least one placeholder";
+  }
+
+  for (const placeholder of placeholders) {
+    const { name, argument } = parsePlaceholder(placeholder);
+    if (name === "metadata" && !argument) {
+      return "Placeholder {metadata.<key>} needs a metadata key";
+    }
+    if (name !== "metadata" && !PLACEHOLDERS.includes(name)) {
+      return `Unknown placeholder {${placeholder}}`;
+    }
+    if (argument !== null && name !== "metadata" && name !== "date") {
+      return `Placeholder {${name}} does not take a format`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace every character that is not a letter, digit, "_" or "-"
+ * Letters of any script are kept, so "Müller GmbH" becomes "Müller_GmbH".
+ * @param {string} value - Raw value
+ * @returns {string} - Value safe for use in a file name
+ */
+function sanitizeFilenamePart(value) {
+  return String(value)
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{M}\p{N}_-]/gu, "_");
+}
+
+/**
+ * Format a Unix timestamp with YYYY, YY, MM and DD tokens
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} format - Format such as "YYYY-MM-DD"
+ * @param {string} timeZone - IANA timezone of the accounting day
+ * @returns {string} - Formatted date
+ */
+function formatTemplateDate(timestamp, format, timeZone) {
+  const { year, month, day } = getZonedDateParts(timestamp, timeZone);
+  const tokens = {
+    YYYY: String(year),
+    YY: String(year).slice(-2),
+    MM: String(month).padStart(2, "0"),
+    DD: String(day).padStart(2, "0"),
+  };
+  return format.replace(/YYYY|YY|MM|DD/g, (token) => tokens[token]);
+}
+
+/**
+ * Shorten a string to at most a number of UTF-8 bytes
+ * The string is cut between code points, so multi-byte characters and
+ * surrogate pairs are never split.
+ * @param {string} value - String to shorten
+ * @param {number} maxBytes - Maximum length in UTF-8 bytes
+ * @returns {string} - Shortened string
+ */
+function truncateUtf8(value, maxBytes) {
+  let result = "";
+  let bytes = 0;
+  for (const codePoint of value) {
+    bytes += Buffer.byteLength(codePoint, "utf8");
+    if (bytes > maxBytes) {
+      break;
+    }
+    result += codePoint;
+  }
+  return result;
+}
+
+/**
+ * Render a filename template for a document
+ * A template that renders to an empty name (e.g. a single unset metadata
+ * key) falls back to the document number, or its ID if it has none.
+ * @param {string} template - Filename template
+ * @param {object} values - Document values (see getDocumentFilenameValues)
+ * @param {string} timeZone - IANA timezone for {date}
+ * @returns {string} - File name including the .pdf extension
+ */
+function renderFilename(template, values, timeZone) {
+  const rendered = template.replace(/\{([^{}]*)\}/g, (match, placeholder) => {
+    const { name, argument } = parsePlaceholder(placeholder);
+    switch (name) {
+      case "date":
+        return formatTemplateDate(
+          values.timestamp,
+          argument || DEFAULT_DATE_FORMAT,
+          timeZone
+        );
+      case "amount":
+        // Amounts keep their decimal point and sign
+        return values.amount;
+      case "metadata":
+        return sanitizeFilenamePart(values.metadata?.[argument] || "");
+      default:
+        return sanitizeFilenamePart(values[name] ?? "");
+    }
+  });
+
+  // Literal template text must not create folders or invalid names
+  const safeName = truncateUtf8(
+    rendered.replace(/[/\\:*?"<>|\u0000-\u001f]/g, "_"),
+    MAX_FILENAME_BYTES
+  );
+  return `${safeName || sanitizeFilenamePart(values.number)}.pdf`;
+}
+
+/**
+ * Attach a counter before the extension, e.g. "INV-1.pdf" -> "INV-1_2.pdf"
+ * @param {string} filename - File name
+ * @param {number} counter - Counter (2 or more)
+ * @returns {string} - File name with counter
+ */
+function addCounter(filename, counter) {
+  const extension = path.extname(filename);
+  return `${filename.slice(0, -extension.length)}_${counter}${extension}`;
+}
+
+/**
+ * Build file names for all documents of a run and resolve collisions
+ * Documents are processed oldest first (then by id), so the same set of
+ * documents always gets the same names: the first keeps the plain name,
+ * later ones get "_2", "_3", ... Names are compared case-insensitively
+ * because common file systems are.
+ * @param {Array} documents - Items as { id, created, subfolder, values }
+ * @param {string} template - Filename template
+ * @param {string} timeZone - IANA timezone for {date}
+ * @returns {Map<string, string>} - Document id -> relative file path
+ */
+function assignFilenames(documents, template, timeZone) {
+  const sorted = [...documents].sort(
+    (a, b) => a.created - b.created || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+
+  const filenames = new Map();
+  const taken = new Set();
+
+  for (const document of sorted) {
+    const filename = renderFilename(template, document.values, timeZone);
+    let candidate = path.join(document.subfolder || "", filename);
+    for (let counter = 2; taken.has(candidate.toLowerCase()); counter++) {
+      candidate = path.join(
+        document.subfolder || "",
+        addCounter(filename, counter)
+      );
+    }
+    taken.add(candidate.toLowerCase());
+    filenames.set(document.id, candidate);
+  }
+
+  return filenames;
+}
+
+module.exports = {
+  DEFAULT_FILENAME_TEMPLATE,
+  validateFilenameTemplate,
+  sanitizeFilenamePart,
+  renderFilename,
+  assignFilenames,
+};
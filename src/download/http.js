@@ -0,0 +1,133 @@
+// Defaults for PDF downloads - overridable per profile and per run
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+
+// First retry waits this long, every further retry twice as long
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Check whether an HTTP status is worth retrying (rate limit or server error)
+ * @param {number} status - HTTP status code
+ * @returns {boolean} - Whether the request should be retried
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Get the delay before the next attempt
+ * A Retry-After header (seconds) wins over the exponential backoff.
+ * @param {number} attempt - Number of the failed attempt (1-based)
+ * @param {object} [response] - Failed response, if any
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt, response) {
+  const retryAfter = parseInt(response?.headers?.get?.("retry-after"), 10);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  }
+
+  const delay = BASE_BACKOFF_MS * 2 ** (attempt - 1);
+  // Up to 20% jitter so parallel downloads do not retry in lockstep
+  return Math.min(delay + Math.random() * delay * 0.2, MAX_BACKOFF_MS);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch a URL once and read the whole body, aborting after a timeout
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Timeout for the request including the body
+ * @returns {Promise<object>} - { response, buffer } (buffer only for 2xx)
+ */
+async function fetchOnce(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      // Release the connection - an unread body keeps the socket busy
+      await response.body?.cancel().catch(() => {});
+      return { response, buffer: null };
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { response, buffer };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new Error(`Request timed out after ${timeoutMs / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Download a URL into a buffer with timeout and exponential backoff retries
+ * Timeouts, network errors, 429 and 5xx responses are retried; other HTTP
+ * errors fail immediately.
+ * @param {string} url - URL to download
+ * @param {object} [options] - Download options
+ * @param {number} [options.timeoutMs] - Timeout per attempt in milliseconds
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {string} [options.label] - Name used in retry log messages
+ * @returns {Promise<Buffer>} - Response body
+ * @throws {Error} - When the last attempt fails
+ */
+async function downloadWithRetry(url, options = {}) {
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    label = url,
+  } = options;
+  const attempts = retries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let error;
+
+    try {
+      const result = await fetchOnce(url, timeoutMs);
+      if (result.buffer) {
+        return result.buffer;
+      }
+      response = result.response;
+      error = new Error(
+        `HTTP ${response.status}${
+          response.statusText ? ` ${response.statusText}` : ""
+        }`
+      );
+    } catch (fetchError) {
+      // Network error or timeout
+      error = fetchError;
+    }
+
+    const retryable = !response || isRetryableStatus(response.status);
+    if (!retryable || attempt >= attempts) {
+      throw error;
+    }
+
+    const delay = getBackoffDelay(attempt, response);
+    console.log(
+      `🔁 Retrying ${label} in ${(delay / 1000).toFixed(1)}s (attempt ${
+        attempt + 1
+      }/${attempts}): ${error.message}`
+    );
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+  downloadWithRetry,
+};
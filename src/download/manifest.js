@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+// Written into every period folder, records what has been downloaded
+const MANIFEST_FILE = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+// Pending manifest writes per file, so parallel downloads save in order
+const pendingWrites = new Map();
+
+/**
+ * Compute the SHA-256 hash of a buffer
+ * @param {Buffer} buffer - File content
+ * @returns {string} - Hex digest
+ */
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/**
+ * Create an empty manifest
+ * @returns {object} - Manifest without documents or previous runs
+ */
+function createManifest() {
+  return {
+    version: MANIFEST_VERSION,
+    lastRunAt: null,
+    seenIds: [],
+    documents: {},
+  };
+}
+
+/**
+ * Load the manifest of a period folder
+ * A missing or unreadable manifest starts a fresh one, which re-downloads
+ * every document once.
+ * @param {string} folderPath - Period folder path
+ * @returns {Promise<object>} - Manifest
+ */
+async function loadManifest(folderPath) {
+  const filepath = path.join(folderPath, MANIFEST_FILE);
+  try {
+    const manifest = JSON.parse(await fs.readFile(filepath, "utf8"));
+    return { ...createManifest(), ...manifest };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.log(
+        `⚠️  Could not read ${MANIFEST_FILE} (${error.message}) - starting a new manifest.`
+      );
+    }
+    return createManifest();
+  }
+}
+
+/**
+ * Write the manifest atomically (temporary file + rename)
+ * Writes for the same folder are queued, so the last call always wins even
+ * when downloads finish in parallel.
+ * @param {string} folderPath - Period folder path
+ * @param {object} manifest - Manifest
+ * @returns {Promise<void>}
+ */
+function saveManifest(folderPath, manifest) {
+  const filepath = path.join(folderPath, MANIFEST_FILE);
+  const previous = pendingWrites.get(filepath) || Promise.resolve();
+
+  const write = previous
+    .catch(() => {})
+    .then(async () => {
+      const tempPath = `${filepath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2), "utf8");
+      await fs.rename(tempPath, filepath);
+    });
+
+  pendingWrites.set(filepath, write);
+  return write;
+}
+
+/**
+ * Check whether a recorded file is still present and unchanged
+ * A file that cannot be read (e.g. no permission) counts as unreadable and
+ * is downloaded again like a missing one.
+ * @param {string} folderPath - Period folder path
+ * @param {object} entry - Manifest entry
+ * @returns {Promise<string>} - "intact", "missing", "unreadable" or "corrupt"
+ */
+async function checkManifestEntry(folderPath, entry) {
+  let buffer;
+  try {
+    buffer = await fs.readFile(path.join(folderPath, entry.filename));
+  } catch (error) {
+    return error.code === "ENOENT" ? "missing" : "unreadable";
+  }
+
+  if (buffer.length !== entry.size || sha256(buffer) !== entry.sha256) {
+    return "corrupt";
+  }
+  return "intact";
+}
+
+/**
+ * Find the documents not listed in any previous run
+ * @param {object} manifest - Manifest
+ * @param {Array} documents - Documents of this run as { id, number, documentType }
+ * @returns {Array|null} - New documents, or null if this is the first run
+ */
+function findNewDocuments(manifest, documents) {
+  if (!manifest.lastRunAt) {
+    return null;
+  }
+  const seenIds = new Set(manifest.seenIds);
+  return documents.filter((doc) => !seenIds.has(doc.id));
+}
+
+/**
+ * Remember the documents listed in this run
+ * @param {object} manifest - Manifest
+ * @param {Array} documents - Documents of this run as { id }
+ */
+function markDocumentsSeen(manifest, documents) {
+  manifest.seenIds = [
+    ...new Set([...manifest.seenIds, ...documents.map((doc) => doc.id)]),
+  ];
+  manifest.lastRunAt = new Date().toISOString();
+}
+
+/**
+ * Move a recorded file to the name assigned in this run
+ * @param {object} manifest - Manifest of the period folder
+ * @param {string} folderPath - Period folder path
+ * @param {object} entry - Manifest entry with the old file name
+ * @param {string} filename - New file path relative to the folder
+ * @returns {Promise<boolean>} - Whether the file was moved
+ */
+async function moveManifestEntry(manifest, folderPath, entry, filename) {
+  const target = path.join(folderPath, filename);
+  try {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(path.join(folderPath, entry.filename), target);
+  } catch (error) {
+    console.log(
+      `⚠️  Could not move ${entry.filename} to ${filename} (${error.message}) - downloading it again.`
+    );
+    return false;
+  }
+
+  console.log(`📁 Moved: ${entry.filename} -> ${filename}`);
+  manifest.documents[entry.id] = { ...entry, filename };
+  await saveManifest(folderPath, manifest);
+  return true;
+}
+
+/**
+ * Download a document unless the manifest has an intact copy
+ * Missing, unreadable and corrupt files are fetched again. An intact file
+ * under a different name than the one assigned now (changed status folder or
+ * filename template) is moved to the new name. Every successful download is
+ * recorded right away, so a crashed run can continue where it stopped.
+ * @param {object} manifest - Manifest of the period folder
+ * @param {string} folderPath - Period folder path
+ * @param {object} document - { id, number, documentType, filename } where
+ *   filename is the path assigned in this run, relative to the folder
+ * @param {Function} download - async () => { filename, size, sha256 } or null
+ * @returns {Promise<object|null>} - { skipped, filename } or null on failure
+ */
+async function downloadWithManifest(manifest, folderPath, document, download) {
+  const entry = manifest.documents[document.id];
+  if (entry) {
+    const state = await checkManifestEntry(folderPath, entry);
+    const renamed = document.filename && entry.filename !== document.filename;
+    if (state === "intact" && !renamed) {
+      return { skipped: true, filename: entry.filename };
+    }
+    if (
+      state === "intact" &&
+      (await moveManifestEntry(manifest, folderPath, entry, document.filename))
+    ) {
+      return { skipped: true, filename: document.filename };
+    }
+    if (state !== "intact") {
+      console.log(`♻️  Re-downloading ${state} file: ${entry.filename}`);
+    }
+  }
+
+  const file = await download();
+  if (!file) {
+    return null;
+  }
+
+  manifest.documents[document.id] = {
+    id: document.id,
+    number: document.number,
+    documentType: document.documentType,
+    filename: file.filename,
+    size: file.size,
+    sha256: file.sha256,
+    downloadedAt: new Date().toISOString(),
+  };
+  await saveManifest(folderPath, manifest);
+
+  return { skipped: false, filename: file.filename };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  sha256,
+  loadManifest,
+  saveManifest,
+  checkManifestEntry,
+  findNewDocuments,
+  markDocumentsSeen,
+  downloadWithManifest,
+};
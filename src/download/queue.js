@@ -0,0 +1,29 @@
+/**
+ * Run an async worker over all items with at most `concurrency` in flight
+ * Results keep the order of the input items. The worker is expected to
+ * handle its own errors; a rejection aborts the whole run.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of parallel workers (1 or more)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function runQueue(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  runQueue,
+};
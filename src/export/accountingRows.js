@@ -0,0 +1,480 @@
+const {
+  classifyTax,
+  extractTaxInfo,
+  extractCreditNoteTaxInfo,
+  extractReceiptTaxInfo,
+} = require("../tax/classifier");
+const { DATE_BASES, getInvoiceTimestamp } = require("../stripe/dateBasis");
+const { DEFAULT_TIMEZONE, formatDateInTimeZone } = require("../utils/timezone");
+const { INVOICE_STATUSES } = require("../stripe/invoiceStatus");
+const { roundCents, splitProportionally } = require("../utils/money");
+const {
+  getCustomerVatId,
+  getCustomerTaxId,
+  validateVatId,
+  validateTaxId,
+  formatTaxIdCheck,
+} = require("../tax/vatId");
+const { toBaseAmount } = require("../fx/baseCurrency");
+
+/**
+ * Document types in the accounting exports
+ */
+const DOCUMENT_TYPES = {
+  INVOICE: "Invoice",
+  CREDIT_NOTE: "Credit Note",
+  RECEIPT: "Receipt",
+};
+
+// Statuses that are not bookings: drafts are not final, void invoices never existed
+const NON_BOOKING_STATUSES = [INVOICE_STATUSES.DRAFT, INVOICE_STATUSES.VOID];
+
+/**
+ * Collect the tax ID fields of a row
+ * @param {object} invoice - Stripe invoice (may be missing for credit notes)
+ * @param {object} customer - Expanded Stripe customer (may be missing)
+ * @returns {object} - { customerVatId, customerTaxIdType, customerTaxId, taxIdCheck, vatIdCheck }
+ */
+function getTaxIdFields(invoice, customer) {
+  const customerVatId = getCustomerVatId(invoice, customer);
+  const taxId = getCustomerTaxId(invoice, customer);
+  return {
+    customerVatId,
+    customerTaxIdType: taxId?.type || "",
+    customerTaxId: taxId?.value || "",
+    taxIdCheck: taxId ? formatTaxIdCheck(validateTaxId(taxId)) : "",
+    vatIdCheck: validateVatId(customerVatId),
+  };
+}
+
+/**
+ * Find the base currency conversion of a document and warn if there is none
+ * @param {object|null} converter - Converter from createBaseCurrencyConverter
+ * @param {object} document - { currency, timestamp, charge } for getConversion
+ * @param {string} label - Document label for the warning (e.g. "Invoice INV-1")
+ * @returns {object|null} - Conversion, or null without converter or rate
+ */
+function getDocumentConversion(converter, document, label) {
+  if (!converter) {
+    return null;
+  }
+  const conversion = converter.getConversion(document);
+  if (!conversion) {
+    console.log(
+      `⚠️  Debug: ${label} - No exchange rate to ${converter.baseCurrency} (no Stripe balance transaction and no rate in the rate table). Base currency columns left empty.`
+    );
+  }
+  return conversion;
+}
+
+/**
+ * Collect the base currency fields of a row
+ * @param {object|null} converter - Converter from createBaseCurrencyConverter
+ * @param {object|null} conversion - Conversion of the document
+ * @param {number|null} baseGross - Gross amount of the row in the base currency
+ * @param {number} tax - Tax amount of the row in the document currency
+ * @returns {object} - { baseCurrency, exchangeRate, rateSource, rateDate, baseGross, baseNet, baseTax }
+ */
+function getBaseFields(converter, conversion, baseGross, tax) {
+  if (!conversion) {
+    return {
+      baseCurrency: converter?.baseCurrency || "",
+      exchangeRate: null,
+      rateSource: "",
+      rateDate: "",
+      baseGross: null,
+      baseNet: null,
+      baseTax: null,
+    };
+  }
+  const baseTax = roundCents(tax * conversion.rate);
+  return {
+    baseCurrency: converter.baseCurrency,
+    exchangeRate: conversion.rate,
+    rateSource: conversion.source,
+    rateDate: conversion.rateDate,
+    baseGross,
+    baseNet: roundCents(baseGross - baseTax),
+    baseTax,
+  };
+}
+
+/**
+ * Build classified accounting rows, one per tax rate of each invoice and credit note
+ * Shared by all accounting exports: amounts in major units, tax extraction
+ * and tax classification. Credit notes are classified with positive amounts
+ * and returned as rows with negative amounts that reference the number of
+ * the credited invoice. Charges without invoice (Checkout sessions, direct
+ * PaymentIntents) become receipt rows, with taxes from the Checkout session
+ * and refunds of the charge in the Refunded column. With a converter, rows
+ * also carry their amounts in the base currency; credit notes use the rate
+ * of the credited invoice.
+ * @param {Array} invoices - Array of Stripe invoices
+ * @param {object} [options] - Options
+ * @param {Array} [options.creditNotes] - Stripe credit notes of the same period
+ * @param {Array} [options.receipts] - Charges without invoice from getStripeReceipts
+ * @param {Map} [options.refunds] - Refunds per invoice ID from getInvoiceRefunds
+ * @param {string} [options.dateBasis] - Date field used for the date of invoices
+ * @param {string} [options.timezone] - Timezone the date is rendered in
+ * @param {object} [options.converter] - Base currency converter from createBaseCurrencyConverter
+ * @returns {object} - { companyCountry, rows }
+ */
+function buildAccountingRows(invoices, options = {}) {
+  const {
+    creditNotes = [],
+    receipts = [],
+    refunds = new Map(),
+    dateBasis = DATE_BASES.CREATED,
+    timezone = DEFAULT_TIMEZONE,
+    converter = null,
+  } = options;
+
+  const rows = [];
+
+  // Extract company country from first invoice (or credited invoice)
+  const companyCountry =
+    invoices[0]?.account_country ||
+    creditNotes[0]?.invoice?.account_country ||
+    "Unknown";
+
+  if (companyCountry && companyCountry !== "Unknown") {
+    console.log(`🏢 Detected company country: ${companyCountry}`);
+  } else {
+    console.log("⚠️  Warning: Could not detect company country from invoices");
+  }
+
+  // Process each invoice
+  for (const invoice of invoices) {
+    const customer = invoice.customer;
+    const customerName =
+      customer?.name ||
+      invoice.customer_name ||
+      customer?.email ||
+      invoice.customer_email ||
+      "Unknown";
+
+    // Try multiple sources for customer country - prioritize invoice address (historical)
+    const customerCountry =
+      invoice.customer_address?.country || // Direct invoice field (historical, correct!)
+      customer?.address?.country || // Expanded customer object (current, fallback)
+      "Unknown";
+    const invoiceNumber = invoice.number || invoice.id;
+    const currency = invoice.currency.toUpperCase();
+    const date = formatDateInTimeZone(
+      getInvoiceTimestamp(invoice, dateBasis),
+      timezone,
+      "de-DE"
+    );
+
+    // Calculate amounts - the invoice total is what tax and net refer to
+    const totalAmount = invoice.total / 100;
+    const refundedAmount = (refunds.get(invoice.id)?.amount || 0) / 100;
+
+    if (invoice.status === "paid" && invoice.amount_paid !== invoice.total) {
+      console.log(
+        `⚠️  Debug: Invoice ${invoiceNumber} - Amount paid ${(
+          invoice.amount_paid / 100
+        ).toFixed(2)} differs from total ${totalAmount.toFixed(
+          2
+        )} (customer balance or credit applied). Exporting the total.`
+      );
+    }
+
+    // Extract tax information
+    const taxRateInfo = extractTaxInfo(invoice);
+    const taxAmount = taxRateInfo.amount;
+
+    // Debug: Log wenn Daten fehlen
+    if (customerCountry === "Unknown") {
+      console.log(
+        `⚠️  Debug: Invoice ${invoiceNumber} - Customer country unknown! Customer ID: ${
+          customer?.id || "N/A"
+        }`
+      );
+    }
+    // Only log if it's an unexpected case (has tax but no rate)
+    if (!taxRateInfo.rate && taxAmount > 0) {
+      console.log(
+        `⚠️  Debug: Invoice ${invoiceNumber} - No tax rate found for non-zero tax amount. Using fallback logic.`
+      );
+    }
+
+    // One row per tax rate - refunds are split in proportion to the gross amounts
+    const taxIds = getTaxIdFields(invoice, customer);
+    const bucketGross = taxRateInfo.buckets.map(
+      (bucket) => bucket.taxableAmount + bucket.taxAmount
+    );
+    const refundShares = splitProportionally(refundedAmount, bucketGross);
+
+    // Base currency amounts, split like the refunds so they add up to the document
+    const conversion = getDocumentConversion(
+      converter,
+      {
+        currency,
+        timestamp: getInvoiceTimestamp(invoice, dateBasis),
+        charge: invoice.charge,
+      },
+      `Invoice ${invoiceNumber}`
+    );
+    const baseGrossShares = conversion
+      ? splitProportionally(toBaseAmount(totalAmount, conversion), bucketGross)
+      : [];
+
+    taxRateInfo.buckets.forEach((bucket, index) => {
+      // Classify tax type - reverse charge needs a valid VAT ID
+      const taxClassification = classifyTax(
+        companyCountry,
+        customerCountry,
+        bucket.taxAmount,
+        { ...bucket, invoiceId: invoiceNumber },
+        taxIds.vatIdCheck
+      );
+
+      rows.push({
+        documentType: DOCUMENT_TYPES.INVOICE,
+        documentId: invoice.id,
+        status: invoice.status,
+        invoiceNumber,
+        relatedInvoice: "",
+        relatedInvoiceTimestamp: null,
+        customerName,
+        customerCountry,
+        customerId: customer?.id || customer || "",
+        customerVatId: taxIds.customerVatId,
+        customerTaxIdType: taxIds.customerTaxIdType,
+        customerTaxId: taxIds.customerTaxId,
+        taxIdCheck: taxIds.taxIdCheck,
+        timestamp: getInvoiceTimestamp(invoice, dateBasis),
+        date,
+        dateBasis,
+        currency,
+        gross: roundCents(bucket.taxableAmount + bucket.taxAmount),
+        net: bucket.taxableAmount,
+        tax: bucket.taxAmount,
+        refunded: refundShares[index],
+        taxRate: taxClassification.taxRateDisplay,
+        taxRateValue: bucket.rate,
+        taxJurisdiction: bucket.jurisdiction || "",
+        taxabilityReason: bucket.taxabilityReason || "",
+        taxInfo: taxClassification.taxInfo,
+        ...getBaseFields(
+          converter,
+          conversion,
+          conversion ? baseGrossShares[index] : null,
+          bucket.taxAmount
+        ),
+      });
+    });
+  }
+
+  // Process each charge without invoice - customer data from the charge and Checkout
+  for (const charge of receipts) {
+    const customer =
+      charge.customer && typeof charge.customer === "object"
+        ? charge.customer
+        : null;
+    const customerDetails = charge.checkout_session?.customer_details;
+    const customerName =
+      charge.billing_details?.name ||
+      customerDetails?.name ||
+      customer?.name ||
+      customerDetails?.email ||
+      charge.billing_details?.email ||
+      customer?.email ||
+      "Unknown";
+    const customerCountry =
+      charge.billing_details?.address?.country ||
+      customerDetails?.address?.country ||
+      customer?.address?.country ||
+      "Unknown";
+    const receiptNumber = charge.receipt_number || charge.id;
+    const currency = charge.currency.toUpperCase();
+
+    const taxRateInfo = extractReceiptTaxInfo(charge);
+
+    if (customerCountry === "Unknown") {
+      console.log(
+        `⚠️  Debug: Receipt ${receiptNumber} - Customer country unknown! Customer ID: ${
+          customer?.id || charge.customer || "N/A"
+        }`
+      );
+    }
+
+    // Tax IDs entered in Checkout take the place of the invoice's tax IDs
+    const taxIds = getTaxIdFields(
+      { customer_tax_ids: customerDetails?.tax_ids || [] },
+      customer
+    );
+    const bucketGross = taxRateInfo.buckets.map(
+      (bucket) => bucket.taxableAmount + bucket.taxAmount
+    );
+    const refundShares = splitProportionally(
+      (charge.amount_refunded || 0) / 100,
+      bucketGross
+    );
+    const conversion = getDocumentConversion(
+      converter,
+      { currency, timestamp: charge.created, charge },
+      `Receipt ${receiptNumber}`
+    );
+    const baseGrossShares = conversion
+      ? splitProportionally(
+          toBaseAmount(charge.amount / 100, conversion),
+          bucketGross
+        )
+      : [];
+
+    taxRateInfo.buckets.forEach((bucket, index) => {
+      const taxClassification = classifyTax(
+        companyCountry,
+        customerCountry,
+        bucket.taxAmount,
+        { ...bucket, invoiceId: receiptNumber },
+        taxIds.vatIdCheck
+      );
+
+      rows.push({
+        documentType: DOCUMENT_TYPES.RECEIPT,
+        documentId: charge.id,
+        status: charge.status,
+        invoiceNumber: receiptNumber,
+        relatedInvoice: "",
+        relatedInvoiceTimestamp: null,
+        customerName,
+        customerCountry,
+        customerId: customer?.id || charge.customer || "",
+        customerVatId: taxIds.customerVatId,
+        customerTaxIdType: taxIds.customerTaxIdType,
+        customerTaxId: taxIds.customerTaxId,
+        taxIdCheck: taxIds.taxIdCheck,
+        timestamp: charge.created,
+        date: formatDateInTimeZone(charge.created, timezone, "de-DE"),
+        dateBasis: DATE_BASES.CREATED,
+        currency,
+        gross: roundCents(bucket.taxableAmount + bucket.taxAmount),
+        net: bucket.taxableAmount,
+        tax: bucket.taxAmount,
+        refunded: refundShares[index],
+        taxRate: taxClassification.taxRateDisplay,
+        taxRateValue: bucket.rate,
+        taxJurisdiction: bucket.jurisdiction || "",
+        taxabilityReason: bucket.taxabilityReason || "",
+        taxInfo: taxClassification.taxInfo,
+        ...getBaseFields(
+          converter,
+          conversion,
+          conversion ? baseGrossShares[index] : null,
+          bucket.taxAmount
+        ),
+      });
+    });
+  }
+
+  // Process each credit note - same tax classification, negative amounts
+  for (const creditNote of creditNotes) {
+    const invoice =
+      creditNote.invoice && typeof creditNote.invoice === "object"
+        ? creditNote.invoice
+        : null;
+    const customer = creditNote.customer;
+    const customerName =
+      customer?.name ||
+      invoice?.customer_name ||
+      customer?.email ||
+      invoice?.customer_email ||
+      "Unknown";
+
+    // Customer country from the credited invoice (historical), then customer
+    const customerCountry =
+      invoice?.customer_address?.country ||
+      customer?.address?.country ||
+      "Unknown";
+    const creditNoteNumber = creditNote.number || creditNote.id;
+    const relatedInvoice =
+      invoice?.number || invoice?.id || creditNote.invoice || "";
+    const currency = creditNote.currency.toUpperCase();
+    const date = formatDateInTimeZone(creditNote.created, timezone, "de-DE");
+
+    const taxRateInfo = extractCreditNoteTaxInfo(creditNote);
+
+    if (customerCountry === "Unknown") {
+      console.log(
+        `⚠️  Debug: Credit note ${creditNoteNumber} - Customer country unknown! Customer ID: ${
+          customer?.id || customer || "N/A"
+        }`
+      );
+    }
+
+    // One row per tax rate, classified with positive amounts, booked as negative rows
+    const taxIds = getTaxIdFields(invoice, customer);
+    const conversion = getDocumentConversion(
+      converter,
+      { currency, timestamp: creditNote.created, charge: invoice?.charge },
+      `Credit note ${creditNoteNumber}`
+    );
+    const baseGrossShares = conversion
+      ? splitProportionally(
+          toBaseAmount(creditNote.total / 100, conversion),
+          taxRateInfo.buckets.map(
+            (bucket) => bucket.taxableAmount + bucket.taxAmount
+          )
+        )
+      : [];
+
+    taxRateInfo.buckets.forEach((bucket, index) => {
+      const taxClassification = classifyTax(
+        companyCountry,
+        customerCountry,
+        bucket.taxAmount,
+        { ...bucket, invoiceId: creditNoteNumber },
+        taxIds.vatIdCheck
+      );
+
+      rows.push({
+        documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+        documentId: creditNote.id,
+        status: creditNote.status,
+        invoiceNumber: creditNoteNumber,
+        relatedInvoice,
+        // Date of the credited invoice, for corrections of earlier periods
+        relatedInvoiceTimestamp: invoice
+          ? getInvoiceTimestamp(invoice, dateBasis)
+          : null,
+        customerName,
+        customerCountry,
+        customerId: customer?.id || customer || "",
+        customerVatId: taxIds.customerVatId,
+        customerTaxIdType: taxIds.customerTaxIdType,
+        customerTaxId: taxIds.customerTaxId,
+        taxIdCheck: taxIds.taxIdCheck,
+        timestamp: creditNote.created,
+        date,
+        dateBasis: DATE_BASES.CREATED,
+        currency,
+        gross: -roundCents(bucket.taxableAmount + bucket.taxAmount),
+        net: -bucket.taxableAmount,
+        tax: -bucket.taxAmount,
+        refunded: 0,
+        taxRate: taxClassification.taxRateDisplay,
+        taxRateValue: bucket.rate,
+        taxJurisdiction: bucket.jurisdiction || "",
+        taxabilityReason: bucket.taxabilityReason || "",
+        taxInfo: taxClassification.taxInfo,
+        ...getBaseFields(
+          converter,
+          conversion,
+          conversion ? -baseGrossShares[index] : null,
+          -bucket.taxAmount
+        ),
+      });
+    });
+  }
+
+  return { companyCountry, rows };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  NON_BOOKING_STATUSES,
+  buildAccountingRows,
+};
@@ -0,0 +1,144 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { EXIT_CODES } = require("../utils/args");
+const { toCsvLine } = require("./csvGenerator");
+const { NON_BOOKING_STATUSES } = require("./accountingRows");
+
+/**
+ * Status column of the batch summary per exit code of a profile run
+ */
+const RUN_STATUSES = {
+  [EXIT_CODES.SUCCESS]: "ok",
+  [EXIT_CODES.UNEXPECTED_ERROR]: "error",
+  [EXIT_CODES.BAD_ARGUMENTS]: "invalid profile or settings",
+  [EXIT_CODES.AUTH_FAILED]: "API key rejected",
+  [EXIT_CODES.NO_INVOICES]: "no documents",
+  [EXIT_CODES.DOWNLOADS_FAILED]: "downloads failed",
+  [EXIT_CODES.BLOCKING_ERRORS]: "incomplete",
+};
+
+/**
+ * Format an amount in cents with two decimals
+ * @param {number} cents - Amount in cents
+ * @returns {string} - Formatted amount (e.g. "12.50")
+ */
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+/**
+ * Count the documents of a run and sum their totals per currency
+ * Amounts are the document totals in their own currency, in cents - no
+ * conversion, so the figures match the Stripe dashboard of each account.
+ * Void and draft documents are not bookings and are left out.
+ * @param {Array} invoices - Stripe invoices
+ * @param {Array} creditNotes - Stripe credit notes
+ * @param {Array} receipts - Stripe charges without invoice
+ * @returns {Array<object>} - Per currency (sorted): { currency, invoices,
+ *   invoiceTotal, creditNotes, creditNoteTotal, receipts, receiptTotal }
+ */
+function summarizeDocumentTotals(invoices, creditNotes, receipts) {
+  const byCurrency = new Map();
+  const add = (currency, countKey, totalKey, amount) => {
+    const key = (currency || "").toUpperCase();
+    if (!byCurrency.has(key)) {
+      byCurrency.set(key, {
+        currency: key,
+        invoices: 0,
+        invoiceTotal: 0,
+        creditNotes: 0,
+        creditNoteTotal: 0,
+        receipts: 0,
+        receiptTotal: 0,
+      });
+    }
+    const entry = byCurrency.get(key);
+    entry[countKey] += 1;
+    entry[totalKey] += amount || 0;
+  };
+
+  const isBooking = (document) =>
+    !NON_BOOKING_STATUSES.includes(document.status);
+
+  invoices
+    .filter(isBooking)
+    .forEach((invoice) =>
+      add(invoice.currency, "invoices", "invoiceTotal", invoice.total)
+    );
+  creditNotes
+    .filter(isBooking)
+    .forEach((creditNote) =>
+      add(
+        creditNote.currency,
+        "creditNotes",
+        "creditNoteTotal",
+        creditNote.total
+      )
+    );
+  receipts.forEach((charge) =>
+    add(charge.currency, "receipts", "receiptTotal", charge.amount)
+  );
+
+  return [...byCurrency.values()].sort((a, b) =>
+    a.currency.localeCompare(b.currency)
+  );
+}
+
+/**
+ * Write the consolidated summary of a batch run over several profiles
+ * One row per profile and currency; profiles without documents or with a
+ * failed run get a single row. The download counts belong to the profile and
+ * are only given on its first row, so the columns can be summed.
+ * @param {Array<object>} results - Per profile: { profileName, exitCode,
+ *   error, folderPath, testMode, totals, downloaded, skipped, failedDownloads }
+ * @param {string} baseDir - Download root the summary is written to
+ * @param {object} period - Export period
+ * @returns {Promise<string>} - Path of the summary file
+ */
+async function generateBatchSummary(results, baseDir, period) {
+  let content =
+    "Profile,Mode,Status,Exit Code,Currency,Invoices,Invoice Total,Credit Notes,Credit Note Total,Receipts,Receipt Total,Downloaded,Already Downloaded,Failed Downloads,Error,Folder\n";
+
+  results.forEach((result) => {
+    const mode =
+      result.testMode === undefined ? "" : result.testMode ? "test" : "live";
+    const totals =
+      result.totals && result.totals.length > 0 ? result.totals : [null];
+
+    totals.forEach((entry, index) => {
+      const first = index === 0;
+      content += toCsvLine([
+        result.profileName,
+        mode,
+        RUN_STATUSES[result.exitCode] || "error",
+        result.exitCode,
+        entry ? entry.currency : "",
+        entry ? entry.invoices : "",
+        entry ? formatCents(entry.invoiceTotal) : "",
+        entry ? entry.creditNotes : "",
+        entry ? formatCents(entry.creditNoteTotal) : "",
+        entry ? entry.receipts : "",
+        entry ? formatCents(entry.receiptTotal) : "",
+        first ? result.downloaded ?? "" : "",
+        first ? result.skipped ?? "" : "",
+        first ? result.failedDownloads ?? "" : "",
+        first ? result.error || "" : "",
+        result.folderPath || "",
+      ]);
+    });
+  });
+
+  const summaryPath = path.join(
+    path.resolve(baseDir),
+    `batch_summary_${period.folderSegments.join("-")}.csv`
+  );
+  await fs.mkdir(path.dirname(summaryPath), { recursive: true });
+  await fs.writeFile(summaryPath, content, "utf8");
+  return summaryPath;
+}
+
+module.exports = {
+  RUN_STATUSES,
+  summarizeDocumentTotals,
+  generateBatchSummary,
+};
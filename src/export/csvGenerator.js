@@ -1,150 +1,336 @@
 const fs = require("fs").promises;
 const path = require("path");
-const { classifyTax, extractTaxInfo } = require("../tax/classifier");
+const { DATE_BASES } = require("../stripe/dateBasis");
+const { DEFAULT_TIMEZONE, getZonedDateParts } = require("../utils/timezone");
+const { formatMonth } = require("../utils/input");
+const {
+  DOCUMENT_TYPES,
+  NON_BOOKING_STATUSES,
+  buildAccountingRows,
+} = require("./accountingRows");
+
+// First line of every CSV file exported with a test-mode API key
+const TEST_MODE_MARKER = "# STRIPE TEST MODE - test data, not for bookkeeping";
 
 /**
- * Generate CSV files for accounting purposes
- * @param {Array} invoices - Array of Stripe invoices
- * @param {string} folderPath - Output folder path
- * @returns {Promise<object>} Paths to generated CSV files
+ * Put the test-mode marker line in front of CSV content
+ * The extra line makes accounting imports of test data fail loudly.
+ * @param {string} content - CSV content
+ * @param {boolean} testMode - Whether the data comes from a test-mode key
+ * @returns {string} - Content, with the marker line in test mode
  */
-async function generateAccountingCSV(invoices, folderPath) {
-  try {
-    const csvData = [];
-    const countrySummary = {};
+function withTestModeMarker(content, testMode) {
+  return testMode ? `${TEST_MODE_MARKER}\n${content}` : content;
+}
 
-    // Extract company country from first invoice
-    const companyCountry =
-      invoices.length > 0 ? invoices[0].account_country : "Unknown";
+/**
+ * Format values as one quoted CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line including the trailing newline
+ */
+function toCsvLine(values) {
+  return (
+    values
+      .map((value) => `"${String(value ?? "").replace(/"/g, '""')}"`)
+      .join(",") + "\n"
+  );
+}
 
-    if (companyCountry && companyCountry !== "Unknown") {
-      console.log(`🏢 Detected company country: ${companyCountry}`);
-    } else {
-      console.log(
-        "⚠️  Warning: Could not detect company country from invoices"
-      );
-    }
+/**
+ * Add a CSV row to the summary grouped by document type, status, country, tax rate and currency
+ * Documents are counted once per group, even if several of their rows fall into it.
+ * @param {object} countrySummary - Summary object to update
+ * @param {object} row - Row with numeric gross, net and tax amounts
+ */
+function addToSummary(countrySummary, row) {
+  const key = `${row.documentType}-${row.status}-${row.customerCountry}-${row.taxRate}-${row.currency}`;
+  if (!countrySummary[key]) {
+    countrySummary[key] = {
+      documentType: row.documentType,
+      status: row.status,
+      country: row.customerCountry,
+      taxRate: row.taxRate,
+      currency: row.currency,
+      taxInfo: row.taxInfo,
+      totalGross: 0,
+      totalNet: 0,
+      totalTax: 0,
+      documentIds: new Set(),
+    };
+  }
 
-    // Process each invoice
-    for (const invoice of invoices) {
-      const customer = invoice.customer;
-      const customerName =
-        customer?.name ||
-        invoice.customer_name ||
-        customer?.email ||
-        invoice.customer_email ||
-        "Unknown";
-
-      // Try multiple sources for customer country - prioritize invoice address (historical)
-      const customerCountry =
-        invoice.customer_address?.country || // Direct invoice field (historical, correct!)
-        customer?.address?.country || // Expanded customer object (current, fallback)
-        "Unknown";
-      const invoiceNumber = invoice.number || invoice.id;
-      const currency = invoice.currency.toUpperCase();
-      const date = new Date(invoice.created * 1000).toLocaleDateString("de-DE");
-
-      // Calculate amounts
-      const totalAmount = (invoice.amount_paid || invoice.total) / 100;
-
-      // Extract tax information
-      const taxRateInfo = extractTaxInfo(invoice);
-      taxRateInfo.invoiceId = invoiceNumber; // Add for debug logging
-      const taxAmount = taxRateInfo.amount;
-
-      // Debug: Log wenn Daten fehlen
-      if (customerCountry === "Unknown") {
-        console.log(
-          `⚠️  Debug: Invoice ${invoiceNumber} - Customer country unknown! Customer ID: ${
-            customer?.id || "N/A"
-          }`
-        );
-      }
-      // Only log if it's an unexpected case (has tax but no rate)
-      if (!taxRateInfo.rate && taxAmount > 0) {
-        console.log(
-          `⚠️  Debug: Invoice ${invoiceNumber} - No tax rate found for non-zero tax amount. Using fallback logic.`
-        );
-      }
+  countrySummary[key].totalGross += row.gross;
+  countrySummary[key].totalNet += row.net;
+  countrySummary[key].totalTax += row.tax;
+  countrySummary[key].documentIds.add(row.documentId);
+}
 
-      // Calculate net amount
-      const netAmount = totalAmount - taxAmount;
-
-      // Classify tax type
-      const taxClassification = classifyTax(
-        companyCountry,
-        customerCountry,
-        taxAmount,
-        taxRateInfo
-      );
-
-      // Add to CSV data
-      csvData.push({
-        invoiceNumber,
-        customerName,
-        customerCountry,
-        date,
-        currency,
-        grossAmount: totalAmount.toFixed(2),
-        netAmount: netAmount.toFixed(2),
-        taxAmount: taxAmount.toFixed(2),
-        taxRate: taxClassification.taxRateDisplay,
-        taxInfo: taxClassification.taxInfo,
-      });
+/**
+ * Add a converted row to the base currency summary
+ * Same grouping as addToSummary, but without the currency: the amounts of
+ * all currencies are added up in the base currency.
+ * @param {object} baseSummary - Summary object to update
+ * @param {object} row - Row with base currency amounts
+ */
+function addToBaseSummary(baseSummary, row) {
+  const key = `${row.documentType}-${row.status}-${row.customerCountry}-${row.taxRate}`;
+  if (!baseSummary[key]) {
+    baseSummary[key] = {
+      documentType: row.documentType,
+      status: row.status,
+      country: row.customerCountry,
+      taxRate: row.taxRate,
+      taxInfo: row.taxInfo,
+      totalGross: 0,
+      totalNet: 0,
+      totalTax: 0,
+      documentIds: new Set(),
+    };
+  }
+
+  baseSummary[key].totalGross += row.baseGross;
+  baseSummary[key].totalNet += row.baseNet;
+  baseSummary[key].totalTax += row.baseTax;
+  baseSummary[key].documentIds.add(row.documentId);
+}
+
+/**
+ * Format an optional amount with two decimals
+ * @param {number|null} amount - Amount, or null if unknown
+ * @returns {string} - Formatted amount, or an empty string
+ */
+function formatOptionalAmount(amount) {
+  return amount === null ? "" : amount.toFixed(2);
+}
+
+/**
+ * Summarize refunds by the month (in the given timezone) they were issued
+ * @param {Array} invoices - Array of Stripe invoices
+ * @param {Map} refunds - Map of invoice ID to { amount, refunds } from getInvoiceRefunds
+ * @param {string} timezone - IANA timezone defining the accounting day
+ * @returns {Array} Rows sorted by month and currency
+ */
+function summarizeRefundsByMonth(invoices, refunds, timezone) {
+  const refundSummary = {};
+
+  for (const invoice of invoices) {
+    const invoiceRefunds = refunds.get(invoice.id);
+    if (!invoiceRefunds) {
+      continue;
+    }
 
-      // Summarize by country, tax rate and reverse charge status
-      const key = `${customerCountry}-${taxClassification.taxRateDisplay}-${currency}`;
-      if (!countrySummary[key]) {
-        countrySummary[key] = {
-          country: customerCountry,
-          taxRate: taxClassification.taxRateDisplay,
+    for (const refund of invoiceRefunds.refunds) {
+      const { year, month } = getZonedDateParts(refund.created, timezone);
+      const refundMonth = `${year}-${formatMonth(month)}`;
+      const currency = refund.currency.toUpperCase();
+      const key = `${refundMonth}-${currency}`;
+
+      if (!refundSummary[key]) {
+        refundSummary[key] = {
+          refundMonth,
           currency,
-          taxInfo: taxClassification.taxInfo,
-          totalGross: 0,
-          totalNet: 0,
-          totalTax: 0,
-          invoiceCount: 0,
+          refundCount: 0,
+          totalRefunded: 0,
         };
       }
-
-      countrySummary[key].totalGross += totalAmount;
-      countrySummary[key].totalNet += netAmount;
-      countrySummary[key].totalTax += taxAmount;
-      countrySummary[key].invoiceCount++;
+      refundSummary[key].refundCount++;
+      refundSummary[key].totalRefunded += refund.amount / 100;
     }
+  }
+
+  return Object.values(refundSummary).sort(
+    (a, b) =>
+      a.refundMonth.localeCompare(b.refundMonth) ||
+      a.currency.localeCompare(b.currency)
+  );
+}
+
+/**
+ * Generate CSV files for accounting purposes
+ * Credit notes are exported as rows with negative amounts that reference
+ * the number of the credited invoice, charges without invoice as receipt
+ * rows. Refunds issued on an invoice's charge
+ * without a credit note are reported in the Refunded column and in a
+ * separate refunds section of the summary. With a base currency converter,
+ * every row is also converted to the base currency and the summary ends with
+ * a consolidated section in the base currency.
+ * @param {Array} invoices - Array of Stripe invoices
+ * @param {string} folderPath - Output folder path
+ * @param {object} [options] - Export options
+ * @param {Array} [options.creditNotes] - Stripe credit notes of the same period
+ * @param {Array} [options.receipts] - Charges without invoice from getStripeReceipts
+ * @param {Map} [options.refunds] - Refunds per invoice ID from getInvoiceRefunds
+ * @param {string} [options.dateBasis] - Date field used for the Date column
+ * @param {string} [options.timezone] - Timezone the Date column is rendered in
+ * @param {object} [options.converter] - Base currency converter from createBaseCurrencyConverter
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<object>} Paths to generated CSV files and the accounting rows
+ */
+async function generateAccountingCSV(invoices, folderPath, options = {}) {
+  const {
+    creditNotes = [],
+    receipts = [],
+    refunds = new Map(),
+    dateBasis = DATE_BASES.CREATED,
+    timezone = DEFAULT_TIMEZONE,
+    converter = null,
+    testMode = false,
+  } = options;
+
+  try {
+    const { rows: csvData } = buildAccountingRows(invoices, {
+      creditNotes,
+      receipts,
+      refunds,
+      dateBasis,
+      timezone,
+      converter,
+    });
+    const countrySummary = {};
+    csvData.forEach((row) => addToSummary(countrySummary, row));
 
     // Create detailed CSV content
     let csvContent =
-      "Invoice Number,Customer,Country,Date,Currency,Gross Amount,Net Amount,Tax Amount,Tax Rate,Tax Info\n";
+      "Invoice Number,Customer,Country,Date,Currency,Gross Amount,Net Amount,Tax Amount,Tax Rate,Tax Info,Document Type,Related Invoice,Refunded,Net After Refunds,Status,Tax ID Type,Tax ID,Tax ID Check,Tax Jurisdiction,Taxability Reason,Base Currency,Exchange Rate,Rate Source,Base Gross,Base Net,Base Tax,Date Basis\n";
     csvData.forEach((row) => {
-      csvContent += `"${row.invoiceNumber}","${row.customerName}","${row.customerCountry}","${row.date}","${row.currency}","${row.grossAmount}","${row.netAmount}","${row.taxAmount}","${row.taxRate}","${row.taxInfo}"\n`;
+      csvContent += toCsvLine([
+        row.invoiceNumber,
+        row.customerName,
+        row.customerCountry,
+        row.date,
+        row.currency,
+        row.gross.toFixed(2),
+        row.net.toFixed(2),
+        row.tax.toFixed(2),
+        row.taxRate,
+        row.taxInfo,
+        row.documentType,
+        row.relatedInvoice,
+        row.refunded.toFixed(2),
+        (row.gross - row.refunded).toFixed(2),
+        row.status,
+        row.customerTaxIdType,
+        row.customerTaxId,
+        row.taxIdCheck,
+        row.taxJurisdiction,
+        row.taxabilityReason,
+        row.baseCurrency,
+        row.exchangeRate === null ? "" : Number(row.exchangeRate.toFixed(6)),
+        row.rateDate ? `${row.rateSource} ${row.rateDate}` : row.rateSource,
+        formatOptionalAmount(row.baseGross),
+        formatOptionalAmount(row.baseNet),
+        formatOptionalAmount(row.baseTax),
+        row.dateBasis,
+      ]);
     });
 
     // Create summary CSV content
     let summaryContent =
-      "Country,Tax Rate,Currency,Tax Info,Total Gross,Total Net,Total Tax,Invoice Count\n";
+      "Country,Tax Rate,Currency,Tax Info,Total Gross,Total Net,Total Tax,Invoice Count,Document Type,Status\n";
     Object.values(countrySummary).forEach((summary) => {
-      summaryContent += `"${summary.country}","${summary.taxRate}","${
-        summary.currency
-      }","${summary.taxInfo}","${summary.totalGross.toFixed(
-        2
-      )}","${summary.totalNet.toFixed(2)}","${summary.totalTax.toFixed(2)}","${
-        summary.invoiceCount
-      }"\n`;
+      summaryContent += toCsvLine([
+        summary.country,
+        summary.taxRate,
+        summary.currency,
+        summary.taxInfo,
+        summary.totalGross.toFixed(2),
+        summary.totalNet.toFixed(2),
+        summary.totalTax.toFixed(2),
+        summary.documentIds.size,
+        summary.documentType,
+        summary.status,
+      ]);
     });
 
+    // Append refunds section grouped by refund month
+    const refundRows = summarizeRefundsByMonth(invoices, refunds, timezone);
+    if (refundRows.length > 0) {
+      summaryContent +=
+        "\nRefunds without credit note\nRefund Month,Currency,Refund Count,Total Refunded\n";
+      refundRows.forEach((refundRow) => {
+        summaryContent += toCsvLine([
+          refundRow.refundMonth,
+          refundRow.currency,
+          refundRow.refundCount,
+          refundRow.totalRefunded.toFixed(2),
+        ]);
+      });
+    }
+
+    // Append all currencies consolidated in the base currency - void and
+    // draft invoices are not booked, like in the DATEV and OSS exports
+    if (converter) {
+      const baseSummary = {};
+      const unconverted = new Set();
+      const notBooked = new Set();
+      csvData.forEach((row) => {
+        if (NON_BOOKING_STATUSES.includes(row.status)) {
+          notBooked.add(row.documentId);
+        } else if (row.baseGross === null) {
+          unconverted.add(row.documentId);
+        } else {
+          addToBaseSummary(baseSummary, row);
+        }
+      });
+
+      const totals = { gross: 0, net: 0, tax: 0 };
+      summaryContent += `\nConsolidated in ${converter.baseCurrency}\nCountry,Tax Rate,Tax Info,Total Gross,Total Net,Total Tax,Invoice Count,Document Type,Status\n`;
+      Object.values(baseSummary).forEach((summary) => {
+        totals.gross += summary.totalGross;
+        totals.net += summary.totalNet;
+        totals.tax += summary.totalTax;
+        summaryContent += toCsvLine([
+          summary.country,
+          summary.taxRate,
+          summary.taxInfo,
+          summary.totalGross.toFixed(2),
+          summary.totalNet.toFixed(2),
+          summary.totalTax.toFixed(2),
+          summary.documentIds.size,
+          summary.documentType,
+          summary.status,
+        ]);
+      });
+      summaryContent += toCsvLine([
+        "Total",
+        "",
+        "",
+        totals.gross.toFixed(2),
+        totals.net.toFixed(2),
+        totals.tax.toFixed(2),
+      ]);
+      if (unconverted.size > 0) {
+        summaryContent += toCsvLine([
+          `Not included: ${unconverted.size} documents without exchange rate`,
+        ]);
+      }
+      if (notBooked.size > 0) {
+        summaryContent += toCsvLine([
+          `Not included: ${notBooked.size} void or draft invoices`,
+        ]);
+      }
+    }
+
     // Write CSV files
     const detailedCsvPath = path.join(folderPath, "invoices_detailed.csv");
     const summaryCsvPath = path.join(folderPath, "invoices_summary.csv");
 
-    await fs.writeFile(detailedCsvPath, csvContent, "utf8");
-    await fs.writeFile(summaryCsvPath, summaryContent, "utf8");
+    await fs.writeFile(
+      detailedCsvPath,
+      withTestModeMarker(csvContent, testMode),
+      "utf8"
+    );
+    await fs.writeFile(
+      summaryCsvPath,
+      withTestModeMarker(summaryContent, testMode),
+      "utf8"
+    );
 
     console.log(`📊 CSV files created:`);
     console.log(`   📄 Detailed: ${detailedCsvPath}`);
     console.log(`   📋 Summary: ${summaryCsvPath}`);
 
-    return { detailedCsvPath, summaryCsvPath };
+    return { detailedCsvPath, summaryCsvPath, rows: csvData };
   } catch (error) {
     console.error("❌ Error generating CSV files:", error);
     throw error;
@@ -152,5 +338,8 @@ async function generateAccountingCSV(invoices, folderPath) {
 }
 
 module.exports = {
+  TEST_MODE_MARKER,
+  withTestModeMarker,
+  toCsvLine,
   generateAccountingCSV,
 };
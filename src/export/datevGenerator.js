@@ -0,0 +1,390 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { TAX_TYPES } = require("../tax/classifier");
+const { DOCUMENT_TYPES, NON_BOOKING_STATUSES } = require("./accountingRows");
+const { formatMonth } = require("../utils/input");
+const { getZonedDateParts } = require("../utils/timezone");
+const { encodeWindows1252 } = require("../utils/encoding");
+const { TEST_MODE_MARKER } = require("./csvGenerator");
+
+const DATEV_FILE = "EXTF_Buchungsstapel.csv";
+
+/**
+ * Defaults for the "datev" section of a profile (SKR03)
+ * Accounts are looked up per tax type, then by customer country or tax rate,
+ * then "default". Every entry is { account, taxKey } where taxKey is the
+ * BU-Schlüssel (empty for automatic accounts).
+ */
+const DEFAULT_DATEV_SETTINGS = {
+  chartOfAccounts: "03",
+  accountLength: 4,
+  fiscalYearStartMonth: 1,
+  // Debtor account all revenue is booked against
+  receivableAccount: "10000",
+  accounts: {
+    [TAX_TYPES.STANDARD]: {
+      19: { account: "8400", taxKey: "" },
+      7: { account: "8300", taxKey: "" },
+    },
+    [TAX_TYPES.REVERSE_CHARGE]: { account: "8336", taxKey: "" },
+    [TAX_TYPES.OSS]: { default: { account: "8320", taxKey: "" } },
+    [TAX_TYPES.EXPORT]: { account: "8338", taxKey: "" },
+    [TAX_TYPES.TAX_FREE]: { account: "8100", taxKey: "" },
+  },
+};
+
+// First columns of the Buchungsstapel format, in the order DATEV requires
+const DATEV_COLUMNS = [
+  "Umsatz (ohne Soll/Haben-Kz)",
+  "Soll/Haben-Kennzeichen",
+  "WKZ Umsatz",
+  "Kurs",
+  "Basis-Umsatz",
+  "WKZ Basis-Umsatz",
+  "Konto",
+  "Gegenkonto (ohne BU-Schlüssel)",
+  "BU-Schlüssel",
+  "Belegdatum",
+  "Belegfeld 1",
+  "Belegfeld 2",
+  "Skonto",
+  "Buchungstext",
+];
+
+/**
+ * Merge the "datev" section of a profile with the defaults and validate it
+ * @param {object} config - "datev" section from config.json
+ * @returns {object} - Complete DATEV settings
+ * @throws {Error} - If consultant or client number are missing or invalid
+ */
+function resolveDatevSettings(config) {
+  const settings = {
+    ...DEFAULT_DATEV_SETTINGS,
+    ...config,
+    accounts: { ...DEFAULT_DATEV_SETTINGS.accounts, ...config.accounts },
+  };
+
+  const consultantNumber = parseInt(settings.consultantNumber, 10);
+  if (!(consultantNumber >= 1001 && consultantNumber <= 9999999)) {
+    throw new Error(
+      `Invalid DATEV consultantNumber "${settings.consultantNumber}" (1001-9999999)`
+    );
+  }
+  const clientNumber = parseInt(settings.clientNumber, 10);
+  if (!(clientNumber >= 1 && clientNumber <= 99999)) {
+    throw new Error(
+      `Invalid DATEV clientNumber "${settings.clientNumber}" (1-99999)`
+    );
+  }
+  const fiscalYearStartMonth = parseInt(settings.fiscalYearStartMonth, 10);
+  if (!(fiscalYearStartMonth >= 1 && fiscalYearStartMonth <= 12)) {
+    throw new Error(
+      `Invalid DATEV fiscalYearStartMonth "${settings.fiscalYearStartMonth}" (1-12)`
+    );
+  }
+
+  return {
+    ...settings,
+    consultantNumber,
+    clientNumber,
+    fiscalYearStartMonth,
+  };
+}
+
+/**
+ * Find the revenue account and tax key for an accounting row
+ * @param {object} accounts - Account mapping per tax type
+ * @param {object} row - Accounting row from buildAccountingRows
+ * @returns {object|null} - { account, taxKey } or null if not mapped
+ */
+function findAccountMapping(accounts, row) {
+  const mapping = accounts[row.taxInfo];
+  if (!mapping) {
+    return null;
+  }
+  if (mapping.account) {
+    return mapping;
+  }
+  return (
+    mapping[row.customerCountry] ||
+    mapping[row.taxRateValue] ||
+    mapping.default ||
+    null
+  );
+}
+
+/**
+ * Format a calendar date as YYYYMMDD
+ * @param {object} date - Calendar date { year, month, day }
+ * @returns {string} - Formatted date
+ */
+function formatDatevDate(date) {
+  return `${date.year}${formatMonth(date.month)}${String(date.day).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Format an amount with a decimal comma and no thousands separator
+ * @param {number} amount - Amount in major units
+ * @returns {string} - e.g. "1234,50"
+ */
+function formatDatevAmount(amount) {
+  return amount.toFixed(2).replace(".", ",");
+}
+
+/**
+ * Format an exchange rate for the "Kurs" field: units of the foreign
+ * currency per EUR, with up to six decimals
+ * @param {number} rate - Rate from the document currency to EUR
+ * @returns {string} - Formatted rate (e.g. "1,0844")
+ */
+function formatDatevRate(rate) {
+  return String(Number((1 / rate).toFixed(6))).replace(".", ",");
+}
+
+/**
+ * Quote a DATEV text field and cut it to the maximum length
+ * @param {string} value - Text
+ * @param {number} [maxLength] - Maximum length of the field
+ * @returns {string} - Quoted text
+ */
+function datevText(value, maxLength) {
+  const text = String(value ?? "");
+  const limited = maxLength ? text.slice(0, maxLength) : text;
+  return `"${limited.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Find the fiscal year a calendar date belongs to
+ * @param {object} date - Calendar date { year, month, day }
+ * @param {number} startMonth - First month of the fiscal year (1-12)
+ * @returns {number} - Calendar year the fiscal year starts in
+ */
+function getFiscalYear(date, startMonth) {
+  return date.month >= startMonth ? date.year : date.year - 1;
+}
+
+/**
+ * Split an export period at the fiscal year boundaries
+ * A Buchungsstapel must not span two fiscal years: its Belegdatum has no
+ * year and DATEV takes it from the date range of the header.
+ * @param {object} period - Export period
+ * @param {number} startMonth - First month of the fiscal year (1-12)
+ * @returns {Array<object>} - Per fiscal year: { fiscalYear, start, end }
+ *   with the part of the period that falls into it
+ */
+function splitByFiscalYear(period, startMonth) {
+  const batches = [];
+  const first = getFiscalYear(period.start, startMonth);
+  const last = getFiscalYear(period.end, startMonth);
+
+  for (let fiscalYear = first; fiscalYear <= last; fiscalYear++) {
+    const lastDay = new Date(Date.UTC(fiscalYear + 1, startMonth - 1, 0));
+    batches.push({
+      fiscalYear,
+      start:
+        fiscalYear === first
+          ? period.start
+          : { year: fiscalYear, month: startMonth, day: 1 },
+      end:
+        fiscalYear === last
+          ? period.end
+          : {
+              year: lastDay.getUTCFullYear(),
+              month: lastDay.getUTCMonth() + 1,
+              day: lastDay.getUTCDate(),
+            },
+    });
+  }
+  return batches;
+}
+
+/**
+ * Build the EXTF header line of a Buchungsstapel
+ * @param {object} datev - Resolved DATEV settings
+ * @param {object} batch - Fiscal year part of the period from splitByFiscalYear
+ * @param {string} label - Label of the export period
+ * @returns {string} - Header line
+ */
+function buildHeader(datev, batch, label) {
+  const now = new Date();
+  const createdAt = now
+    .toISOString()
+    .replace(/[-:TZ.]/g, "")
+    .slice(0, 17);
+
+  return [
+    datevText("EXTF"),
+    700, // Format version
+    21, // Data category: Buchungsstapel
+    datevText("Buchungsstapel"),
+    13, // Format version of the category
+    createdAt,
+    "",
+    datevText("RE"),
+    datevText(""),
+    datevText(""),
+    datev.consultantNumber,
+    datev.clientNumber,
+    formatDatevDate({
+      year: batch.fiscalYear,
+      month: datev.fiscalYearStartMonth,
+      day: 1,
+    }),
+    datev.accountLength,
+    formatDatevDate(batch.start),
+    formatDatevDate(batch.end),
+    datevText(`Stripe ${label}`, 30),
+    datevText(""),
+    1, // Booking type: financial accounting
+    0, // Accounting purpose: independent of law
+    0, // Not locked, so the tax advisor can still correct the bookings
+    datevText("EUR"),
+    "",
+    datevText(""),
+    "",
+    "",
+    datevText(datev.chartOfAccounts),
+    "",
+    "",
+    datevText(""),
+    datevText(""),
+  ].join(";");
+}
+
+/**
+ * Generate a DATEV Buchungsstapel (EXTF format) for the tax advisor
+ * Every invoice and credit note becomes one booking of the gross amount
+ * between the receivable account and the revenue account of its tax type.
+ * Credit notes are booked on the credit side. Bookings in other currencies
+ * carry the exchange rate and EUR amount of the row if its base currency is
+ * EUR. The file is semicolon separated, uses a decimal comma and is encoded
+ * as Windows-1252. A period that crosses a fiscal year boundary gets one
+ * file per fiscal year, named after the year the fiscal year starts in.
+ * @param {Array} rows - Accounting rows from buildAccountingRows
+ * @param {string} folderPath - Output folder path
+ * @param {object} options - Export options
+ * @param {object} options.datev - "datev" section of the profile
+ * @param {object} options.period - Export period
+ * @param {string} options.timezone - Timezone of the accounting day
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<Array<string>>} Paths of the generated files
+ */
+async function generateDatevExport(rows, folderPath, options) {
+  const { period, timezone } = options;
+  const datev = resolveDatevSettings(options.datev);
+
+  const batches = splitByFiscalYear(period, datev.fiscalYearStartMonth);
+  const bookings = new Map(batches.map((batch) => [batch.fiscalYear, []]));
+  const unmapped = [];
+  let foreignCurrencyCount = 0;
+
+  for (const row of rows) {
+    if (NON_BOOKING_STATUSES.includes(row.status) || row.gross === 0) {
+      continue;
+    }
+
+    const mapping = findAccountMapping(datev.accounts, row);
+    if (!mapping) {
+      unmapped.push(row);
+      continue;
+    }
+
+    const hasEurAmount =
+      row.currency !== "EUR" &&
+      row.baseCurrency === "EUR" &&
+      row.baseGross !== null &&
+      row.baseGross !== undefined;
+    if (row.currency !== "EUR" && !hasEurAmount) {
+      foreignCurrencyCount++;
+    }
+
+    const date = getZonedDateParts(row.timestamp, timezone);
+    const { month, day } = date;
+    const isCreditNote = row.documentType === DOCUMENT_TYPES.CREDIT_NOTE;
+
+    // Rows dated outside the period are booked in its nearest fiscal year
+    const fiscalYear = Math.min(
+      Math.max(
+        getFiscalYear(date, datev.fiscalYearStartMonth),
+        batches[0].fiscalYear
+      ),
+      batches[batches.length - 1].fiscalYear
+    );
+    bookings.get(fiscalYear).push(
+      [
+        formatDatevAmount(Math.abs(row.gross)),
+        datevText(row.gross >= 0 ? "S" : "H"),
+        datevText(row.currency),
+        hasEurAmount ? formatDatevRate(row.exchangeRate) : "",
+        hasEurAmount ? formatDatevAmount(Math.abs(row.baseGross)) : "",
+        datevText(hasEurAmount ? "EUR" : ""),
+        datev.receivableAccount,
+        mapping.account,
+        datevText(mapping.taxKey || ""),
+        `${String(day).padStart(2, "0")}${formatMonth(month)}`,
+        // Belegfeld 1 only allows letters, digits and $ & % * + - /
+        datevText(row.invoiceNumber.replace(/[^a-zA-Z0-9$&%*+\-/]/g, ""), 36),
+        datevText(""),
+        "",
+        datevText(
+          `${isCreditNote ? "Gutschrift " : ""}${row.customerName}`,
+          60
+        ),
+      ].join(";")
+    );
+  }
+
+  const datevPaths = [];
+  for (const batch of batches) {
+    const lines = [
+      buildHeader(datev, batch, period.label),
+      DATEV_COLUMNS.join(";"),
+      ...bookings.get(batch.fiscalYear),
+    ];
+
+    // Test data must never be importable into DATEV
+    if (options.testMode) {
+      lines.unshift(TEST_MODE_MARKER);
+    }
+
+    const datevPath = path.join(
+      folderPath,
+      batches.length === 1
+        ? DATEV_FILE
+        : DATEV_FILE.replace(".csv", `_${batch.fiscalYear}.csv`)
+    );
+    await fs.writeFile(
+      datevPath,
+      encodeWindows1252(lines.join("\r\n") + "\r\n")
+    );
+    datevPaths.push(datevPath);
+    console.log(`   🧾 DATEV: ${datevPath}`);
+  }
+
+  if (unmapped.length > 0) {
+    console.log(
+      `⚠️  DATEV: ${unmapped.length} documents skipped - no account mapping in "datev.accounts":`
+    );
+    unmapped.forEach((row) => {
+      console.log(
+        `   - ${row.invoiceNumber}: ${row.taxInfo}, ${row.taxRate}, ${row.customerCountry}`
+      );
+    });
+  }
+  if (foreignCurrencyCount > 0) {
+    console.log(
+      `⚠️  DATEV: ${foreignCurrencyCount} bookings are not in EUR and have no exchange rate - complete them in DATEV.`
+    );
+  }
+
+  return datevPaths;
+}
+
+module.exports = {
+  DEFAULT_DATEV_SETTINGS,
+  resolveDatevSettings,
+  generateDatevExport,
+};
@@ -0,0 +1,217 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { TAX_TYPES } = require("../tax/classifier");
+const { getVatIdPrefix, validateVatId } = require("../tax/vatId");
+const { createRateLookup, createEurConverter } = require("../fx/ecbRates");
+const { roundCents } = require("../utils/money");
+const { formatMonth } = require("../utils/input");
+const { getZonedDateParts } = require("../utils/timezone");
+const {
+  PERIOD_TYPES,
+  createMonthPeriod,
+  createQuarterPeriod,
+} = require("../utils/period");
+const { NON_BOOKING_STATUSES } = require("./accountingRows");
+const { toCsvLine, withTestModeMarker } = require("./csvGenerator");
+
+/**
+ * Get the reporting period (month or quarter) a timestamp falls into
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} periodType - PERIOD_TYPES.MONTH or PERIOD_TYPES.QUARTER
+ * @param {string} timeZone - IANA timezone of the accounting day
+ * @returns {object} - Period from src/utils/period
+ */
+function getReportingPeriod(timestamp, periodType, timeZone) {
+  const { year, month } = getZonedDateParts(timestamp, timeZone);
+  return periodType === PERIOD_TYPES.MONTH
+    ? createMonthPeriod(year, month)
+    : createQuarterPeriod(year, Math.ceil(month / 3));
+}
+
+/**
+ * Generate the EC Sales List (recapitulative statement) for a month or quarter
+ * Reverse-charge net amounts are summed per customer VAT ID in EUR, converted
+ * with the ECB rate of the last day of the period. Credit notes for invoices
+ * of an earlier period are listed as corrections of that period. Documents
+ * with a missing or invalid VAT ID cannot be reported and are
+ * returned as blocking errors.
+ * @param {Array} rows - Accounting rows from buildAccountingRows
+ * @param {string} folderPath - Output folder path
+ * @param {object} options - Report options
+ * @param {object} options.period - Export period (month or quarter)
+ * @param {string} options.timezone - Timezone of the accounting day
+ * @param {object} [options.rateTable] - Offline rate table from loadRateTable,
+ *   used instead of the ECB data portal
+ * @param {Function} [options.getRate] - Rate lookup, defaults to the rate
+ *   table or the ECB
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<object|null>} { csvPath, errors }, or null without reverse-charge sales
+ */
+async function generateEcSalesList(rows, folderPath, options) {
+  const {
+    period,
+    timezone,
+    rateTable = null,
+    getRate = createRateLookup(rateTable),
+    testMode = false,
+  } = options;
+  if (
+    period.type !== PERIOD_TYPES.MONTH &&
+    period.type !== PERIOD_TYPES.QUARTER
+  ) {
+    throw new Error("The EC Sales List covers a month or a quarter");
+  }
+
+  // Unverified reverse charge has no valid VAT ID and ends up as a blocking error
+  const reverseChargeRows = rows.filter(
+    (row) =>
+      (row.taxInfo === TAX_TYPES.REVERSE_CHARGE ||
+        row.taxInfo === TAX_TYPES.REVERSE_CHARGE_UNVERIFIED) &&
+      !NON_BOOKING_STATUSES.includes(row.status)
+  );
+  if (reverseChargeRows.length === 0) {
+    return null;
+  }
+
+  const supplies = {};
+  const corrections = {};
+  const errors = [];
+  const converter = createEurConverter(getRate);
+
+  for (const row of reverseChargeRows) {
+    const check = validateVatId(row.customerVatId);
+    if (!check.valid) {
+      // Documents with several tax rates are reported once
+      if (errors.some((error) => error.invoiceNumber === row.invoiceNumber)) {
+        continue;
+      }
+      errors.push({
+        invoiceNumber: row.invoiceNumber,
+        customerName: row.customerName,
+        customerCountry: row.customerCountry,
+        vatId: row.customerVatId || "",
+        reason: check.reason,
+      });
+      continue;
+    }
+
+    const countryCode = row.customerVatId.slice(0, 2);
+    const vatNumber = row.customerVatId.slice(2);
+    if (countryCode !== getVatIdPrefix(row.customerCountry)) {
+      console.log(
+        `⚠️  Warning: ${row.invoiceNumber} - VAT ID ${row.customerVatId} does not match customer country ${row.customerCountry}`
+      );
+    }
+
+    // Credit notes belong to the reporting period of the credited invoice
+    const original = row.relatedInvoiceTimestamp
+      ? getReportingPeriod(row.relatedInvoiceTimestamp, period.type, timezone)
+      : period;
+    const isCorrection =
+      original.start.year * 12 + original.start.month <
+      period.start.year * 12 + period.start.month;
+
+    const target = isCorrection ? corrections : supplies;
+    const key = `${row.customerVatId}-${isCorrection ? original.label : ""}`;
+    if (!target[key]) {
+      target[key] = {
+        countryCode,
+        vatNumber,
+        originalPeriod: isCorrection ? original.label : null,
+        netAmount: 0,
+        documents: [],
+      };
+    }
+    target[key].netAmount += await converter.convert(
+      row.net,
+      row.currency,
+      original.end
+    );
+    if (!target[key].documents.includes(row.invoiceNumber)) {
+      target[key].documents.push(row.invoiceNumber);
+    }
+  }
+
+  const byVatId = (a, b) =>
+    a.countryCode.localeCompare(b.countryCode) ||
+    a.vatNumber.localeCompare(b.vatNumber);
+  const supplyList = Object.values(supplies).sort(byVatId);
+  const correctionList = Object.values(corrections).sort(byVatId);
+
+  let csvContent = toCsvLine([`EC Sales List ${period.label}`]);
+  csvContent += "\nExchange rates (ECB, last day of the period)\n";
+  csvContent += "Currency,Period End,Rate (1 EUR =),Rate Date\n";
+  converter.getUsedRates().forEach((rate) => {
+    csvContent += toCsvLine([
+      rate.currency,
+      rate.requestedDate,
+      rate.rate,
+      rate.rateDate,
+    ]);
+  });
+  csvContent += "\nSupplies\n";
+  csvContent += "Country Code,VAT Number,Net Amount (EUR),Documents\n";
+  supplyList.forEach((supply) => {
+    csvContent += toCsvLine([
+      supply.countryCode,
+      supply.vatNumber,
+      roundCents(supply.netAmount).toFixed(2),
+      supply.documents.join(" "),
+    ]);
+  });
+  csvContent += "\nCorrections of earlier periods\n";
+  csvContent +=
+    "Country Code,VAT Number,Original Period,Net Amount (EUR),Credit Notes\n";
+  correctionList.forEach((correction) => {
+    csvContent += toCsvLine([
+      correction.countryCode,
+      correction.vatNumber,
+      correction.originalPeriod,
+      roundCents(correction.netAmount).toFixed(2),
+      correction.documents.join(" "),
+    ]);
+  });
+  if (errors.length > 0) {
+    csvContent += "\nBlocking errors - not included above\n";
+    csvContent += "Document,Customer,Country,VAT ID,Problem\n";
+    errors.forEach((error) => {
+      csvContent += toCsvLine([
+        error.invoiceNumber,
+        error.customerName,
+        error.customerCountry,
+        error.vatId,
+        error.reason,
+      ]);
+    });
+  }
+
+  const csvPath = path.join(
+    folderPath,
+    `ec_sales_list_${period.start.year}-${
+      period.type === PERIOD_TYPES.MONTH
+        ? formatMonth(period.start.month)
+        : `Q${Math.ceil(period.start.month / 3)}`
+    }.csv`
+  );
+  await fs.writeFile(csvPath, withTestModeMarker(csvContent, testMode), "utf8");
+  console.log(`   🇪🇺 EC Sales List: ${csvPath}`);
+
+  if (errors.length > 0) {
+    console.log(
+      `❌ EC Sales List: ${errors.length} reverse-charge documents without a valid VAT ID:`
+    );
+    errors.forEach((error) => {
+      console.log(
+        `   - ${error.invoiceNumber} (${error.customerName}, ${
+          error.customerCountry
+        }): VAT ID ${error.vatId || "-"} ${error.reason}`
+      );
+    });
+  }
+
+  return { csvPath, errors };
+}
+
+module.exports = {
+  generateEcSalesList,
+};
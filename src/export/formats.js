@@ -0,0 +1,46 @@
+/**
+ * Export files that can be selected per profile or per run
+ * DATEV additionally needs a "datev" section on the profile; the OSS return
+ * is only created for quarters and the EC Sales List for months and quarters.
+ */
+const EXPORT_FORMATS = {
+  // invoices_detailed.csv and invoices_summary.csv
+  ACCOUNTING: "accounting",
+  // invoice_lines.csv
+  LINES: "lines",
+  // revenue_schedule.csv
+  REVENUE: "revenue",
+  // EXTF_Buchungsstapel.csv
+  DATEV: "datev",
+  // oss_YYYY-QN_report.csv and oss_YYYY-QN_return.json
+  OSS: "oss",
+  // ec_sales_list_<period>.csv
+  EC_SALES_LIST: "ec-sales-list",
+  // invoice_sequence_gaps.csv
+  SEQUENCE: "sequence",
+};
+
+/**
+ * Parse a list of export formats
+ * @param {string|Array<string>} input - Comma-separated string or array (e.g. "accounting,datev")
+ * @returns {Array<string>|null} - Unique formats in input order, or null if one is unknown or the list is empty
+ */
+function parseExportFormats(input) {
+  const values = (Array.isArray(input) ? input : String(input).split(","))
+    .map((value) => String(value).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (
+    values.length === 0 ||
+    values.some((value) => !Object.values(EXPORT_FORMATS).includes(value))
+  ) {
+    return null;
+  }
+
+  return [...new Set(values)];
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormats,
+};
@@ -0,0 +1,145 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { DATE_BASES, getInvoiceTimestamp } = require("../stripe/dateBasis");
+const { DEFAULT_TIMEZONE, formatDateInTimeZone } = require("../utils/timezone");
+const { toCsvLine, withTestModeMarker } = require("./csvGenerator");
+
+const INVOICE_LINES_FILE = "invoice_lines.csv";
+
+/**
+ * Sum the `amount` of a list of Stripe amount objects, in major units
+ * @param {Array} entries - e.g. discount_amounts or tax_amounts
+ * @returns {number} - Sum
+ */
+function sumAmounts(entries) {
+  return (entries || []).reduce((sum, entry) => sum + entry.amount, 0) / 100;
+}
+
+/**
+ * Get the net amount of an invoice or credit note line in major units:
+ * the line amount after discounts, without inclusive taxes
+ * @param {object} line - Stripe invoice or credit note line item
+ * @returns {number} - Net amount
+ */
+function getLineNetAmount(line) {
+  const inclusiveTax = sumAmounts(
+    (line.tax_amounts || []).filter((taxAmount) => taxAmount.inclusive)
+  );
+  return line.amount / 100 - sumAmounts(line.discount_amounts) - inclusiveTax;
+}
+
+/**
+ * Get the unit amount of a line item in major units
+ * Prices with tiers or custom amounts have no unit amount; the amount per
+ * unit is derived from the line amount then.
+ * @param {object} line - Stripe invoice line item
+ * @returns {number|null} - Unit amount, or null without quantity
+ */
+function getUnitAmount(line) {
+  if (line.price && line.price.unit_amount_decimal) {
+    return parseFloat(line.price.unit_amount_decimal) / 100;
+  }
+  if (line.quantity) {
+    return line.amount / line.quantity / 100;
+  }
+  return null;
+}
+
+/**
+ * Format a unit amount with two decimals, or more for fractions of a cent
+ * @param {number|null} amount - Unit amount in major units
+ * @returns {string} - Formatted amount (e.g. "5.00" or "0.005")
+ */
+function formatUnitAmount(amount) {
+  if (amount === null) {
+    return "";
+  }
+  const precise = Number(amount.toFixed(6));
+  return precise === Number(amount.toFixed(2))
+    ? amount.toFixed(2)
+    : String(precise);
+}
+
+/**
+ * Generate invoice_lines.csv with one row per invoice line item
+ * Amounts are in the invoice currency. Amount is the line amount before
+ * discounts; Net Amount is after discounts and without tax (inclusive taxes
+ * are taken out).
+ * @param {Array} invoices - Stripe invoices with all line items
+ * @param {string} folderPath - Output folder path
+ * @param {object} [options] - Export options
+ * @param {Map} [options.productNames] - Product names from getProductNames
+ * @param {string} [options.dateBasis] - Date field used for the Invoice Date column
+ * @param {string} [options.timezone] - Timezone the dates are rendered in
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<string>} Path of the generated CSV file
+ */
+async function generateInvoiceLinesCSV(invoices, folderPath, options = {}) {
+  const {
+    productNames = new Map(),
+    dateBasis = DATE_BASES.CREATED,
+    timezone = DEFAULT_TIMEZONE,
+    testMode = false,
+  } = options;
+  const formatDate = (timestamp) =>
+    timestamp ? formatDateInTimeZone(timestamp, timezone, "de-DE") : "";
+
+  let csvContent =
+    "Invoice Number,Invoice Date,Status,Currency,Line ID,Line Type,Product ID,Product Name,Price ID,Price Name,Description,Quantity,Unit Amount,Amount,Discounts,Net Amount,Tax Amount,Tax Rates,Period Start,Period End,Proration\n";
+  let lineCount = 0;
+
+  for (const invoice of invoices) {
+    const invoiceDate = formatDate(getInvoiceTimestamp(invoice, dateBasis));
+
+    for (const line of invoice.lines?.data || []) {
+      const price = line.price || null;
+      const productId =
+        typeof price?.product === "object" ? price.product?.id : price?.product;
+      const taxAmounts = line.tax_amounts || [];
+      const taxRates = [
+        ...new Set(
+          taxAmounts
+            .map((taxAmount) => taxAmount.tax_rate)
+            .filter((taxRate) => taxRate && typeof taxRate === "object")
+            .map((taxRate) => `${taxRate.percentage}%`)
+        ),
+      ];
+
+      csvContent += toCsvLine([
+        invoice.number || invoice.id,
+        invoiceDate,
+        invoice.status,
+        invoice.currency.toUpperCase(),
+        line.id,
+        line.type,
+        productId || "",
+        (productId && productNames.get(productId)) || "",
+        price?.id || "",
+        price?.nickname || "",
+        line.description,
+        line.quantity,
+        formatUnitAmount(getUnitAmount(line)),
+        (line.amount / 100).toFixed(2),
+        sumAmounts(line.discount_amounts).toFixed(2),
+        getLineNetAmount(line).toFixed(2),
+        sumAmounts(taxAmounts).toFixed(2),
+        taxRates.join(" "),
+        formatDate(line.period?.start),
+        formatDate(line.period?.end),
+        line.proration ? "yes" : "no",
+      ]);
+      lineCount++;
+    }
+  }
+
+  const csvPath = path.join(folderPath, INVOICE_LINES_FILE);
+  await fs.writeFile(csvPath, withTestModeMarker(csvContent, testMode), "utf8");
+  console.log(`   📦 Line items: ${csvPath} (${lineCount} lines)`);
+
+  return csvPath;
+}
+
+module.exports = {
+  getLineNetAmount,
+  generateInvoiceLinesCSV,
+};
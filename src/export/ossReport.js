@@ -0,0 +1,249 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { TAX_TYPES } = require("../tax/classifier");
+const { createRateLookup, createEurConverter } = require("../fx/ecbRates");
+const { roundCents } = require("../utils/money");
+const { getZonedDateParts } = require("../utils/timezone");
+const { PERIOD_TYPES, createQuarterPeriod } = require("../utils/period");
+const { NON_BOOKING_STATUSES } = require("./accountingRows");
+const { toCsvLine, withTestModeMarker } = require("./csvGenerator");
+
+/**
+ * Get the calendar quarter a timestamp falls into
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA timezone of the accounting day
+ * @returns {object} - { year, quarter }
+ */
+function getQuarter(timestamp, timeZone) {
+  const { year, month } = getZonedDateParts(timestamp, timeZone);
+  return { year, quarter: Math.ceil(month / 3) };
+}
+
+/**
+ * Get the last day of a quarter, whose ECB rate applies to the whole quarter
+ * @param {object} quarter - { year, quarter }
+ * @returns {object} - Calendar date
+ */
+function getQuarterEnd(quarter) {
+  return createQuarterPeriod(quarter.year, quarter.quarter).end;
+}
+
+/**
+ * Generate the OSS (One-Stop-Shop, Union scheme) return report for a quarter
+ * Rows classified as OSS are grouped by member state of consumption and VAT
+ * rate and converted to EUR with the ECB rate of the last day of the quarter.
+ * Credit notes for invoices of earlier quarters are reported as corrections
+ * of their original quarter, converted with that quarter's rate. Writes a
+ * readable CSV and a JSON file mirroring the sections of the OSS return.
+ * @param {Array} rows - Accounting rows from buildAccountingRows
+ * @param {string} folderPath - Output folder path
+ * @param {object} options - Report options
+ * @param {object} options.period - Export period (must be a quarter)
+ * @param {string} options.timezone - Timezone of the accounting day
+ * @param {object} [options.rateTable] - Offline rate table from loadRateTable,
+ *   used instead of the ECB data portal
+ * @param {Function} [options.getRate] - Rate lookup, defaults to the rate
+ *   table or the ECB
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<object|null>} { csvPath, jsonPath }, or null without OSS sales
+ */
+async function generateOssReport(rows, folderPath, options) {
+  const {
+    period,
+    timezone,
+    rateTable = null,
+    getRate = createRateLookup(rateTable),
+    testMode = false,
+  } = options;
+  if (period.type !== PERIOD_TYPES.QUARTER) {
+    throw new Error("The OSS report can only be generated for a quarter");
+  }
+
+  const current = {
+    year: period.start.year,
+    quarter: Math.ceil(period.start.month / 3),
+  };
+  const ossRows = rows.filter(
+    (row) =>
+      row.taxInfo === TAX_TYPES.OSS &&
+      !NON_BOOKING_STATUSES.includes(row.status)
+  );
+  if (ossRows.length === 0) {
+    return null;
+  }
+
+  const supplies = {};
+  const corrections = {};
+  const converter = createEurConverter(getRate);
+
+  for (const row of ossRows) {
+    // Credit notes belong to the quarter of the credited invoice
+    const original = row.relatedInvoiceTimestamp
+      ? getQuarter(row.relatedInvoiceTimestamp, timezone)
+      : current;
+    const isCorrection =
+      original.year < current.year ||
+      (original.year === current.year && original.quarter < current.quarter);
+
+    if (isCorrection) {
+      const key = `${row.customerCountry}-${original.year}-${original.quarter}`;
+      if (!corrections[key]) {
+        corrections[key] = {
+          memberStateOfConsumption: row.customerCountry,
+          period: original,
+          vatAmount: 0,
+          documents: [],
+        };
+      }
+      corrections[key].vatAmount += await converter.convert(
+        row.tax,
+        row.currency,
+        getQuarterEnd(original)
+      );
+      if (!corrections[key].documents.includes(row.invoiceNumber)) {
+        corrections[key].documents.push(row.invoiceNumber);
+      }
+      continue;
+    }
+
+    const key = `${row.customerCountry}-${row.taxRateValue}`;
+    if (!supplies[key]) {
+      supplies[key] = {
+        memberStateOfConsumption: row.customerCountry,
+        vatRate: parseFloat(row.taxRateValue),
+        taxableAmount: 0,
+        vatAmount: 0,
+        documentIds: new Set(),
+      };
+    }
+    supplies[key].taxableAmount += await converter.convert(
+      row.net,
+      row.currency,
+      period.end
+    );
+    supplies[key].vatAmount += await converter.convert(
+      row.tax,
+      row.currency,
+      period.end
+    );
+    supplies[key].documentIds.add(row.documentId);
+  }
+
+  const supplyList = Object.values(supplies)
+    .map(({ documentIds, ...supply }) => ({
+      ...supply,
+      taxableAmount: roundCents(supply.taxableAmount),
+      vatAmount: roundCents(supply.vatAmount),
+      documentCount: documentIds.size,
+    }))
+    .sort(
+      (a, b) =>
+        a.memberStateOfConsumption.localeCompare(b.memberStateOfConsumption) ||
+        b.vatRate - a.vatRate
+    );
+  const correctionList = Object.values(corrections)
+    .map((correction) => ({
+      ...correction,
+      vatAmount: roundCents(correction.vatAmount),
+    }))
+    .sort(
+      (a, b) =>
+        a.memberStateOfConsumption.localeCompare(b.memberStateOfConsumption) ||
+        a.period.year - b.period.year ||
+        a.period.quarter - b.period.quarter
+    );
+
+  // VAT due per member state = supplies of the quarter + corrections
+  const totals = {};
+  [...supplyList, ...correctionList].forEach((entry) => {
+    totals[entry.memberStateOfConsumption] =
+      (totals[entry.memberStateOfConsumption] || 0) + entry.vatAmount;
+  });
+  const totalList = Object.entries(totals)
+    .map(([memberStateOfConsumption, vatAmount]) => ({
+      memberStateOfConsumption,
+      vatAmount: roundCents(vatAmount),
+    }))
+    .sort((a, b) =>
+      a.memberStateOfConsumption.localeCompare(b.memberStateOfConsumption)
+    );
+  const totalVatDue = roundCents(
+    totalList.reduce((sum, total) => sum + total.vatAmount, 0)
+  );
+  const rateList = converter.getUsedRates();
+
+  // Machine-readable return
+  const ossReturn = {
+    ...(testMode ? { testMode: true } : {}),
+    scheme: "union",
+    period: current,
+    currency: "EUR",
+    exchangeRates: rateList,
+    supplies: supplyList,
+    corrections: correctionList,
+    totals: totalList,
+    totalVatDue,
+  };
+
+  // Human-readable report
+  let csvContent = toCsvLine([
+    `OSS return Q${current.quarter}/${current.year} (Union scheme)`,
+  ]);
+  csvContent += "\nExchange rates (ECB, last day of the period)\n";
+  csvContent += "Currency,Period End,Rate (1 EUR =),Rate Date\n";
+  rateList.forEach((rate) => {
+    csvContent += toCsvLine([
+      rate.currency,
+      rate.requestedDate,
+      rate.rate,
+      rate.rateDate,
+    ]);
+  });
+  csvContent += "\nSupplies\n";
+  csvContent +=
+    "Member State,VAT Rate,Taxable Amount (EUR),VAT Amount (EUR),Documents\n";
+  supplyList.forEach((supply) => {
+    csvContent += toCsvLine([
+      supply.memberStateOfConsumption,
+      `${supply.vatRate}%`,
+      supply.taxableAmount.toFixed(2),
+      supply.vatAmount.toFixed(2),
+      supply.documentCount,
+    ]);
+  });
+  csvContent += "\nCorrections of earlier periods\n";
+  csvContent +=
+    "Member State,Original Period,VAT Correction (EUR),Credit Notes\n";
+  correctionList.forEach((correction) => {
+    csvContent += toCsvLine([
+      correction.memberStateOfConsumption,
+      `Q${correction.period.quarter}/${correction.period.year}`,
+      correction.vatAmount.toFixed(2),
+      correction.documents.join(" "),
+    ]);
+  });
+  csvContent += "\nVAT due per member state\n";
+  csvContent += "Member State,VAT Amount (EUR)\n";
+  totalList.forEach((total) => {
+    csvContent += toCsvLine([
+      total.memberStateOfConsumption,
+      total.vatAmount.toFixed(2),
+    ]);
+  });
+  csvContent += toCsvLine(["Total", totalVatDue.toFixed(2)]);
+
+  const baseName = `oss_${current.year}-Q${current.quarter}`;
+  const csvPath = path.join(folderPath, `${baseName}_report.csv`);
+  const jsonPath = path.join(folderPath, `${baseName}_return.json`);
+  await fs.writeFile(csvPath, withTestModeMarker(csvContent, testMode), "utf8");
+  await fs.writeFile(jsonPath, JSON.stringify(ossReturn, null, 2), "utf8");
+
+  console.log(`   🇪🇺 OSS report: ${csvPath}`);
+  console.log(`   🇪🇺 OSS return: ${jsonPath}`);
+
+  return { csvPath, jsonPath };
+}
+
+module.exports = {
+  generateOssReport,
+};
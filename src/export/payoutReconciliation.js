@@ -0,0 +1,284 @@
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  DEFAULT_TIMEZONE,
+  formatDateInTimeZone,
+  getZonedDateParts,
+} = require("../utils/timezone");
+const { formatDate } = require("../utils/period");
+const { toCsvLine, withTestModeMarker } = require("./csvGenerator");
+
+const PAYOUTS_SUMMARY_FILE = "payouts_summary.csv";
+const PAYOUTS_FOLDER = "payouts";
+
+/**
+ * Groups of Stripe reporting categories in the payout summary
+ * Categories that are not listed count as adjustments.
+ */
+const CATEGORY_GROUPS = {
+  charge: "charges",
+  refund: "refunds",
+  refund_failure: "refunds",
+  dispute: "disputes",
+  dispute_reversal: "disputes",
+  fee: "fees",
+};
+
+/**
+ * Sum the transactions of a payout by category group, in cents
+ * Fees are the fees charged on the transactions plus Stripe fee
+ * transactions (e.g. billing fees) as a positive amount, so that
+ * charges + refunds + disputes + adjustments - fees = net.
+ * @param {Array} transactions - Balance transactions of the payout
+ * @returns {object} - { charges, refunds, disputes, adjustments, fees, net }
+ */
+function sumTransactions(transactions) {
+  const totals = {
+    charges: 0,
+    refunds: 0,
+    disputes: 0,
+    adjustments: 0,
+    fees: 0,
+    net: 0,
+  };
+
+  for (const transaction of transactions) {
+    const group =
+      CATEGORY_GROUPS[transaction.reporting_category] || "adjustments";
+    if (group === "fees") {
+      totals.fees -= transaction.amount;
+    } else {
+      totals[group] += transaction.amount;
+    }
+    totals.fees += transaction.fee;
+    totals.net += transaction.net;
+  }
+
+  return totals;
+}
+
+/**
+ * Format an amount in cents with two decimals
+ * @param {number} cents - Amount in cents
+ * @returns {string} - Formatted amount (e.g. "12.50")
+ */
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+/**
+ * Write the listing of one payout
+ * @param {object} payout - Stripe payout
+ * @param {Array} transactions - Balance transactions of the payout
+ * @param {Map} invoiceNumbers - Invoice number per balance transaction ID
+ * @param {string} filePath - Path of the CSV file
+ * @param {string} timezone - Timezone the dates are rendered in
+ * @param {boolean} testMode - Mark the file as test-mode data
+ */
+async function writePayoutListing(
+  payout,
+  transactions,
+  invoiceNumbers,
+  filePath,
+  timezone,
+  testMode
+) {
+  let csvContent =
+    "Transaction ID,Date,Type,Category,Source ID,Invoice Number,Description,Currency,Gross,Fee,Net\n";
+  for (const transaction of transactions) {
+    csvContent += toCsvLine([
+      transaction.id,
+      formatDateInTimeZone(transaction.created, timezone, "de-DE"),
+      transaction.type,
+      transaction.reporting_category,
+      transaction.source?.id || transaction.source || "",
+      invoiceNumbers.get(transaction.id) || "",
+      transaction.description,
+      transaction.currency.toUpperCase(),
+      formatCents(transaction.amount),
+      formatCents(transaction.fee),
+      formatCents(transaction.net),
+    ]);
+  }
+
+  const gross = transactions.reduce((sum, entry) => sum + entry.amount, 0);
+  const fee = transactions.reduce((sum, entry) => sum + entry.fee, 0);
+  const net = transactions.reduce((sum, entry) => sum + entry.net, 0);
+  const currency = payout.currency.toUpperCase();
+  csvContent += toCsvLine([
+    "Total",
+    "",
+    "",
+    "",
+    "",
+    "",
+    "",
+    currency,
+    formatCents(gross),
+    formatCents(fee),
+    formatCents(net),
+  ]);
+  csvContent += toCsvLine([
+    "Payout Amount",
+    "",
+    "",
+    "",
+    payout.id,
+    "",
+    "",
+    currency,
+    "",
+    "",
+    formatCents(payout.amount),
+  ]);
+  csvContent += toCsvLine([
+    "Difference",
+    "",
+    "",
+    "",
+    "",
+    "",
+    "",
+    currency,
+    "",
+    "",
+    formatCents(payout.amount - net),
+  ]);
+
+  await fs.writeFile(
+    filePath,
+    withTestModeMarker(csvContent, testMode),
+    "utf8"
+  );
+}
+
+/**
+ * Generate the payout reconciliation for accounting
+ * Every payout gets a listing of the balance transactions it paid out -
+ * charges, refunds, disputes and adjustments with gross, fee, net and the
+ * invoice number - in the "payouts" folder. payouts_summary.csv has one row
+ * per payout with the totals per category and the difference between the
+ * payout amount and the net of its transactions. Manual payouts cannot be
+ * broken down by Stripe and are listed without transactions.
+ * @param {Array} reconciliations - [{ payout, transactions }] where
+ *   transactions is null for manual payouts
+ * @param {string} folderPath - Output folder path
+ * @param {object} [options] - Export options
+ * @param {Map} [options.invoiceNumbers] - From getTransactionInvoiceNumbers
+ * @param {string} [options.timezone] - Timezone the transaction dates are
+ *   rendered in (arrival dates are calendar dates and always read in UTC)
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<object>} - { summaryPath, mismatches } where mismatches
+ *   lists { payoutId, currency, difference } for payouts that do not tie out
+ */
+async function generatePayoutReconciliation(
+  reconciliations,
+  folderPath,
+  options = {}
+) {
+  const {
+    invoiceNumbers = new Map(),
+    timezone = DEFAULT_TIMEZONE,
+    testMode = false,
+  } = options;
+
+  const payoutsFolder = path.join(folderPath, PAYOUTS_FOLDER);
+  await fs.mkdir(payoutsFolder, { recursive: true });
+
+  const mismatches = [];
+  let summaryContent =
+    "Payout ID,Arrival Date,Status,Currency,Payout Amount,Transactions,Charges,Refunds,Disputes,Adjustments,Fees,Net,Difference,Reconciled\n";
+
+  for (const { payout, transactions } of reconciliations) {
+    const currency = payout.currency.toUpperCase();
+    // arrival_date is a calendar date stored as 00:00 UTC
+    const arrivalParts = getZonedDateParts(payout.arrival_date, "UTC");
+    const arrivalDate = formatDateInTimeZone(
+      payout.arrival_date,
+      "UTC",
+      "de-DE"
+    );
+
+    if (!transactions) {
+      summaryContent += toCsvLine([
+        payout.id,
+        arrivalDate,
+        payout.status,
+        currency,
+        formatCents(payout.amount),
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "manual payout - no transactions",
+      ]);
+      continue;
+    }
+
+    const listingPath = path.join(
+      payoutsFolder,
+      `payout_${formatDate(arrivalParts)}_${payout.id}.csv`
+    );
+    await writePayoutListing(
+      payout,
+      transactions,
+      invoiceNumbers,
+      listingPath,
+      timezone,
+      testMode
+    );
+
+    const totals = sumTransactions(transactions);
+    const difference = payout.amount - totals.net;
+    if (difference !== 0) {
+      mismatches.push({ payoutId: payout.id, currency, difference });
+    }
+
+    summaryContent += toCsvLine([
+      payout.id,
+      arrivalDate,
+      payout.status,
+      currency,
+      formatCents(payout.amount),
+      transactions.length,
+      formatCents(totals.charges),
+      formatCents(totals.refunds),
+      formatCents(totals.disputes),
+      formatCents(totals.adjustments),
+      formatCents(totals.fees),
+      formatCents(totals.net),
+      formatCents(difference),
+      difference === 0 ? "yes" : "no",
+    ]);
+  }
+
+  const summaryPath = path.join(folderPath, PAYOUTS_SUMMARY_FILE);
+  await fs.writeFile(
+    summaryPath,
+    withTestModeMarker(summaryContent, testMode),
+    "utf8"
+  );
+
+  console.log(`🏦 Payout reconciliation created:`);
+  console.log(`   📋 Summary: ${summaryPath}`);
+  console.log(`   📁 Listings per payout: ${payoutsFolder}`);
+  mismatches.forEach((mismatch) => {
+    console.log(
+      `❌ Payout ${
+        mismatch.payoutId
+      } does not reconcile: transactions differ from the payout amount by ${formatCents(
+        mismatch.difference
+      )} ${mismatch.currency}`
+    );
+  });
+
+  return { summaryPath, mismatches };
+}
+
+module.exports = {
+  generatePayoutReconciliation,
+};
@@ -0,0 +1,229 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { DEFAULT_TIMEZONE, formatDateInTimeZone } = require("../utils/timezone");
+const { sha256 } = require("../download/manifest");
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text (null and undefined become empty)
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Format an amount in cents with its currency
+ * @param {number} cents - Amount in cents
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted amount (e.g. "12.50 EUR")
+ */
+function formatAmount(cents, currency) {
+  return `${(cents / 100).toFixed(2)} ${currency}`;
+}
+
+/**
+ * Describe the payment method of a charge
+ * @param {object} charge - Stripe charge
+ * @returns {string} - e.g. "visa •••• 4242" or "sepa_debit"
+ */
+function describePaymentMethod(charge) {
+  const details = charge.payment_method_details;
+  if (!details) {
+    return "";
+  }
+  if (details.card) {
+    return `${details.card.brand} •••• ${details.card.last4}`;
+  }
+  return details.type || "";
+}
+
+/**
+ * Build a table row with a label and an amount
+ * @param {string} label - Label (not escaped yet)
+ * @param {string} amount - Formatted amount
+ * @returns {string} - HTML table row
+ */
+function summaryRow(label, amount) {
+  return `<tr><td colspan="2">${escapeHtml(
+    label
+  )}</td><td class="amount">${escapeHtml(amount)}</td></tr>`;
+}
+
+/**
+ * Render the receipt of a charge without invoice as a standalone HTML page
+ * Stripe's `receipt_url` points to a web page that cannot be archived, so
+ * the receipt is rebuilt from the charge and its Checkout session: billing
+ * details, line items, discounts, taxes per rate, total and refunds.
+ * Receipts of test-mode charges carry a visible test-mode banner.
+ * @param {object} charge - Stripe charge from getStripeReceipts
+ * @param {object} [options] - Render options
+ * @param {string} [options.timezone] - Timezone the payment date is shown in
+ * @returns {string} - HTML document
+ */
+function renderReceiptHtml(charge, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE } = options;
+  const session = charge.checkout_session;
+  const currency = charge.currency.toUpperCase();
+  const number = charge.receipt_number || charge.id;
+  const billing = charge.billing_details || {};
+  const customerDetails = session?.customer_details || {};
+  const address = billing.address || customerDetails.address || {};
+
+  const billedTo = [
+    billing.name || customerDetails.name,
+    billing.email || customerDetails.email,
+    address.line1,
+    address.line2,
+    [address.postal_code, address.city].filter(Boolean).join(" "),
+    address.country,
+    ...(customerDetails.tax_ids || []).map((taxId) => taxId.value),
+  ].filter(Boolean);
+
+  const lineItems = session?.line_items?.data || [];
+  const itemRows =
+    lineItems.length > 0
+      ? lineItems.map(
+          (item) =>
+            `<tr><td>${escapeHtml(item.description)}</td><td>${escapeHtml(
+              item.quantity
+            )}</td><td class="amount">${escapeHtml(
+              formatAmount(item.amount_total, currency)
+            )}</td></tr>`
+        )
+      : [
+          `<tr><td>${escapeHtml(
+            charge.description || "Payment"
+          )}</td><td>1</td><td class="amount">${escapeHtml(
+            formatAmount(charge.amount, currency)
+          )}</td></tr>`,
+        ];
+
+  const totals = [];
+  const totalDetails = session?.total_details;
+  if (session && typeof session.amount_subtotal === "number") {
+    totals.push(
+      summaryRow("Subtotal", formatAmount(session.amount_subtotal, currency))
+    );
+  }
+  if (totalDetails?.amount_discount) {
+    totals.push(
+      summaryRow(
+        "Discount",
+        formatAmount(-totalDetails.amount_discount, currency)
+      )
+    );
+  }
+  if (totalDetails?.amount_shipping) {
+    totals.push(
+      summaryRow(
+        "Shipping",
+        formatAmount(totalDetails.amount_shipping, currency)
+      )
+    );
+  }
+  for (const tax of totalDetails?.breakdown?.taxes || []) {
+    const label = [
+      tax.rate?.display_name || "Tax",
+      tax.rate?.percentage !== undefined ? `${tax.rate.percentage}%` : "",
+      tax.rate?.inclusive ? "(included)" : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+    totals.push(summaryRow(label, formatAmount(tax.amount, currency)));
+  }
+  totals.push(summaryRow("Total paid", formatAmount(charge.amount, currency)));
+  if (charge.amount_refunded > 0) {
+    totals.push(
+      summaryRow("Refunded", formatAmount(-charge.amount_refunded, currency))
+    );
+  }
+
+  const details = [
+    ["Receipt number", number],
+    ["Date paid", formatDateInTimeZone(charge.created, timezone, "de-DE")],
+    ["Payment method", describePaymentMethod(charge)],
+    ["Statement descriptor", charge.calculated_statement_descriptor],
+    ["Charge", charge.id],
+    ["Checkout session", session?.id],
+  ].filter(([, value]) => value);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(number)}</title>
+<style>
+body { font-family: sans-serif; max-width: 640px; margin: 2em auto; color: #222; }
+table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+td, th { padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+.amount { text-align: right; white-space: nowrap; }
+.test-mode { background: #fde68a; padding: 8px; font-weight: bold; }
+</style>
+</head>
+<body>
+${
+  charge.livemode === false
+    ? `<p class="test-mode">STRIPE TEST MODE - test data, not for bookkeeping</p>\n`
+    : ""
+}<h1>Receipt ${escapeHtml(number)}</h1>
+<table>
+${details
+  .map(
+    ([label, value]) =>
+      `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+  )
+  .join("\n")}
+</table>
+<h2>Billed to</h2>
+<p>${billedTo.map(escapeHtml).join("<br>") || "Unknown"}</p>
+<table>
+<tr><th>Description</th><th>Qty</th><th class="amount">Amount</th></tr>
+${itemRows.join("\n")}
+${totals.join("\n")}
+</table>
+${
+  charge.receipt_url
+    ? `<p><a href="${escapeHtml(
+        charge.receipt_url
+      )}">Receipt on stripe.com</a></p>\n`
+    : ""
+}</body>
+</html>
+`;
+}
+
+/**
+ * Render the receipt of a charge and save it as an HTML file
+ * @param {object} charge - Stripe charge from getStripeReceipts
+ * @param {string} folderPath - Destination folder path
+ * @param {string} filename - File path relative to the folder
+ * @param {object} [options] - Render options, see renderReceiptHtml
+ * @returns {Promise<object|null>} { filename, size, sha256 }, or null on failure
+ */
+async function saveReceiptHtml(charge, folderPath, filename, options = {}) {
+  try {
+    const filepath = path.join(folderPath, filename);
+    const buffer = Buffer.from(renderReceiptHtml(charge, options), "utf8");
+
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, buffer);
+
+    console.log(`✅ Saved receipt: ${filename}`);
+    return { filename, size: buffer.length, sha256: sha256(buffer) };
+  } catch (error) {
+    console.error(
+      `❌ Error saving the receipt of charge ${charge.id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  saveReceiptHtml,
+};
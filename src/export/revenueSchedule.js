@@ -0,0 +1,328 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { DATE_BASES, getInvoiceTimestamp } = require("../stripe/dateBasis");
+const {
+  DEFAULT_TIMEZONE,
+  formatDateInTimeZone,
+  getZonedDateParts,
+  zonedTimeToTimestamp,
+} = require("../utils/timezone");
+const { formatMonth } = require("../utils/input");
+const { roundCents, splitProportionally } = require("../utils/money");
+const { DOCUMENT_TYPES, NON_BOOKING_STATUSES } = require("./accountingRows");
+const { getLineNetAmount } = require("./invoiceLines");
+const { toCsvLine, withTestModeMarker } = require("./csvGenerator");
+
+const REVENUE_SCHEDULE_FILE = "revenue_schedule.csv";
+
+/**
+ * Get the month (in a timezone) of a timestamp as YYYY-MM
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} - Month key
+ */
+function getMonthKey(timestamp, timeZone) {
+  const { year, month } = getZonedDateParts(timestamp, timeZone);
+  return `${year}-${formatMonth(month)}`;
+}
+
+/**
+ * Get the first day of the month following a month key
+ * @param {string} monthKey - YYYY-MM
+ * @returns {object} - Calendar date { year, month, day }
+ */
+function getNextMonthStart(monthKey) {
+  const [year, month] = monthKey.split("-").map((part) => parseInt(part, 10));
+  return month === 12
+    ? { year: year + 1, month: 1, day: 1 }
+    : { year, month: month + 1, day: 1 };
+}
+
+/**
+ * Get the month following a month key
+ * @param {string} monthKey - YYYY-MM
+ * @returns {string} - Next month as YYYY-MM
+ */
+function nextMonthKey(monthKey) {
+  const { year, month } = getNextMonthStart(monthKey);
+  return `${year}-${formatMonth(month)}`;
+}
+
+/**
+ * Spread an amount over the months of a service period
+ * Each month receives the share of the period's time that falls into it.
+ * Periods without duration are recognised in the month they start.
+ * @param {number} amount - Amount in major units
+ * @param {number} start - Service period start (Unix timestamp)
+ * @param {number} end - Service period end (Unix timestamp, exclusive)
+ * @param {string} timeZone - IANA timezone defining the months
+ * @returns {Array} - [{ month, amount }]
+ */
+function allocateToMonths(amount, start, end, timeZone) {
+  if (!(end > start)) {
+    return [{ month: getMonthKey(start, timeZone), amount }];
+  }
+
+  const months = [];
+  let monthKey = getMonthKey(start, timeZone);
+  let monthStart = start;
+  while (monthStart < end) {
+    const followingStart = zonedTimeToTimestamp(
+      getNextMonthStart(monthKey),
+      timeZone
+    );
+    months.push({
+      month: monthKey,
+      seconds: Math.min(end, followingStart) - monthStart,
+    });
+    monthKey = nextMonthKey(monthKey);
+    monthStart = followingStart;
+  }
+
+  const shares = splitProportionally(
+    amount,
+    months.map((entry) => entry.seconds)
+  );
+  return months.map((entry, index) => ({
+    month: entry.month,
+    amount: shares[index],
+  }));
+}
+
+/**
+ * Build the recognition entries of an invoice: one per line with its service
+ * period, or a single entry in the booking month if the invoice has no lines
+ * @param {object} invoice - Stripe invoice with all line items
+ * @param {number} bookedAt - Booking date (Unix timestamp)
+ * @returns {Array} - [{ amount, start, end }]
+ */
+function getInvoiceEntries(invoice, bookedAt) {
+  const lines = invoice.lines?.data || [];
+  if (lines.length === 0) {
+    const tax = (invoice.total_tax_amounts || []).reduce(
+      (sum, taxAmount) => sum + taxAmount.amount,
+      0
+    );
+    return [
+      { amount: (invoice.total - tax) / 100, start: bookedAt, end: bookedAt },
+    ];
+  }
+
+  return lines.map((line) => ({
+    amount: getLineNetAmount(line),
+    start: line.period?.start ?? bookedAt,
+    end: line.period?.end ?? bookedAt,
+  }));
+}
+
+/**
+ * Build the recognition entries of a credit note
+ * A credited invoice line reduces the revenue still to be recognised: the
+ * credit is spread over the rest of the line's service period from the
+ * credit note date on. Credits after the service period, custom credit
+ * lines and lines whose invoice line is unknown are recognised at once.
+ * @param {object} creditNote - Stripe credit note with lines
+ * @param {Map} invoiceLines - Invoice line items by ID
+ * @returns {Array} - [{ amount, start, end }] with negative amounts
+ */
+function getCreditNoteEntries(creditNote, invoiceLines) {
+  const bookedAt = creditNote.created;
+  const lines = creditNote.lines?.data || [];
+  if (lines.length === 0) {
+    const tax = (creditNote.tax_amounts || []).reduce(
+      (sum, taxAmount) => sum + taxAmount.amount,
+      0
+    );
+    return [
+      {
+        amount: -(creditNote.total - tax) / 100,
+        start: bookedAt,
+        end: bookedAt,
+      },
+    ];
+  }
+
+  return lines.map((line) => {
+    const invoiceLine = invoiceLines.get(line.invoice_line_item);
+    const servicePeriod = invoiceLine?.period;
+    const start = servicePeriod
+      ? Math.max(bookedAt, servicePeriod.start)
+      : bookedAt;
+    const end =
+      servicePeriod && servicePeriod.end > start ? servicePeriod.end : start;
+    return { amount: -getLineNetAmount(line), start, end };
+  });
+}
+
+/**
+ * Generate the revenue recognition schedule
+ * Net revenue of every invoice line is recognised over its service period
+ * (`period.start` to `period.end`) instead of the invoice date, in the
+ * invoice currency. Proration lines carry their own period and amount, and
+ * credit notes reduce the revenue of the credited line from their date on.
+ * The file lists per month and currency the invoiced and recognised revenue
+ * and the deferred balance at month end, followed by an amortisation table
+ * per document. Only the documents of the export are included.
+ * @param {Array} invoices - Stripe invoices with all line items
+ * @param {string} folderPath - Output folder path
+ * @param {object} [options] - Export options
+ * @param {Array} [options.creditNotes] - Stripe credit notes of the same period
+ * @param {string} [options.dateBasis] - Date field that decides the booking month
+ * @param {string} [options.timezone] - Timezone defining the months
+ * @param {string} [options.periodLabel] - Label of the export period
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<string|null>} Path of the CSV file, or null without documents
+ */
+async function generateRevenueSchedule(invoices, folderPath, options = {}) {
+  const {
+    creditNotes = [],
+    dateBasis = DATE_BASES.CREATED,
+    timezone = DEFAULT_TIMEZONE,
+    periodLabel = "",
+    testMode = false,
+  } = options;
+
+  // Invoice lines by ID, for the service periods of credited lines
+  const invoiceLines = new Map();
+  const addLines = (invoice) =>
+    (invoice?.lines?.data || []).forEach((line) =>
+      invoiceLines.set(line.id, line)
+    );
+  invoices.forEach(addLines);
+  creditNotes.forEach((creditNote) => {
+    if (creditNote.invoice && typeof creditNote.invoice === "object") {
+      addLines(creditNote.invoice);
+    }
+  });
+
+  const documents = [];
+  for (const invoice of invoices) {
+    if (NON_BOOKING_STATUSES.includes(invoice.status)) {
+      continue;
+    }
+    const bookedAt = getInvoiceTimestamp(invoice, dateBasis);
+    documents.push({
+      number: invoice.number || invoice.id,
+      documentType: DOCUMENT_TYPES.INVOICE,
+      currency: invoice.currency.toUpperCase(),
+      bookedAt,
+      entries: getInvoiceEntries(invoice, bookedAt),
+    });
+  }
+  for (const creditNote of creditNotes) {
+    documents.push({
+      number: creditNote.number || creditNote.id,
+      documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+      currency: creditNote.currency.toUpperCase(),
+      bookedAt: creditNote.created,
+      entries: getCreditNoteEntries(creditNote, invoiceLines),
+    });
+  }
+  if (documents.length === 0) {
+    return null;
+  }
+
+  // Invoiced and recognised amounts per currency and month
+  const schedule = {};
+  const addToSchedule = (currency, month, field, amount) => {
+    const key = `${currency}-${month}`;
+    if (!schedule[key]) {
+      schedule[key] = { currency, month, invoiced: 0, recognised: 0 };
+    }
+    schedule[key][field] += amount;
+  };
+
+  const allMonths = new Set();
+  for (const document of documents) {
+    document.months = {};
+    document.serviceStart = Math.min(
+      ...document.entries.map((entry) => entry.start)
+    );
+    document.serviceEnd = Math.max(
+      ...document.entries.map((entry) => entry.end)
+    );
+    document.amount = 0;
+
+    const bookingMonth = getMonthKey(document.bookedAt, timezone);
+    allMonths.add(bookingMonth);
+
+    for (const entry of document.entries) {
+      document.amount += entry.amount;
+      addToSchedule(document.currency, bookingMonth, "invoiced", entry.amount);
+      for (const allocation of allocateToMonths(
+        entry.amount,
+        entry.start,
+        entry.end,
+        timezone
+      )) {
+        document.months[allocation.month] =
+          (document.months[allocation.month] || 0) + allocation.amount;
+        addToSchedule(
+          document.currency,
+          allocation.month,
+          "recognised",
+          allocation.amount
+        );
+        allMonths.add(allocation.month);
+      }
+    }
+  }
+
+  // Continuous month range, so the deferred balance is shown for every month
+  const sortedMonths = [...allMonths].sort();
+  const months = [sortedMonths[0]];
+  while (months[months.length - 1] < sortedMonths[sortedMonths.length - 1]) {
+    months.push(nextMonthKey(months[months.length - 1]));
+  }
+  const currencies = [...new Set(documents.map((doc) => doc.currency))].sort();
+
+  let csvContent = toCsvLine([`Revenue recognition ${periodLabel}`.trim()]);
+  csvContent += "\nRecognition by month\n";
+  csvContent += "Month,Currency,Invoiced,Recognised,Deferred Balance\n";
+  for (const currency of currencies) {
+    let deferred = 0;
+    for (const month of months) {
+      const entry = schedule[`${currency}-${month}`] || {
+        invoiced: 0,
+        recognised: 0,
+      };
+      deferred += entry.invoiced - entry.recognised;
+      csvContent += toCsvLine([
+        month,
+        currency,
+        entry.invoiced.toFixed(2),
+        entry.recognised.toFixed(2),
+        roundCents(deferred).toFixed(2),
+      ]);
+    }
+  }
+
+  csvContent += "\nAmortisation per document\n";
+  csvContent += `Document,Document Type,Currency,Booking Month,Service Start,Service End,Amount,${months.join(
+    ","
+  )}\n`;
+  for (const document of documents) {
+    csvContent += toCsvLine([
+      document.number,
+      document.documentType,
+      document.currency,
+      getMonthKey(document.bookedAt, timezone),
+      formatDateInTimeZone(document.serviceStart, timezone, "de-DE"),
+      formatDateInTimeZone(document.serviceEnd, timezone, "de-DE"),
+      document.amount.toFixed(2),
+      ...months.map((month) =>
+        document.months[month] ? document.months[month].toFixed(2) : ""
+      ),
+    ]);
+  }
+
+  const csvPath = path.join(folderPath, REVENUE_SCHEDULE_FILE);
+  await fs.writeFile(csvPath, withTestModeMarker(csvContent, testMode), "utf8");
+  console.log(`   📆 Revenue schedule: ${csvPath}`);
+
+  return csvPath;
+}
+
+module.exports = {
+  generateRevenueSchedule,
+};
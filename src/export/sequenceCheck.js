@@ -0,0 +1,169 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { toCsvLine, withTestModeMarker } = require("./csvGenerator");
+
+// Upper bound for Stripe lookups of missing numbers per run
+const MAX_GAP_LOOKUPS = 200;
+
+// Longest run of missing numbers listed one by one; longer runs (usually a
+// change of the numbering scheme) are reported as a single range
+const MAX_LISTED_GAP = 100;
+
+/**
+ * Split an invoice number into prefix and sequence number
+ * @param {string} number - Invoice number (e.g. "ABC123-0042")
+ * @returns {object|null} - { prefix, sequence, width } or null if the number has no trailing digits
+ */
+function parseInvoiceNumber(number) {
+  const match = /^(.*?)(\d+)$/.exec(number || "");
+  if (!match) {
+    return null;
+  }
+  return {
+    prefix: match[1],
+    sequence: parseInt(match[2], 10),
+    width: match[2].length,
+  };
+}
+
+/**
+ * Find missing invoice numbers between the lowest and highest number of each prefix
+ * Gaps before the first or after the last invoice of the period cannot be detected.
+ * A run of more than MAX_LISTED_GAP missing numbers becomes one range entry.
+ * @param {Array} invoices - Array of Stripe invoices
+ * @returns {Array} - Missing numbers as { prefix, number, count } where count
+ *   is 1 for a single number and the length of the range otherwise
+ */
+function findSequenceGaps(invoices) {
+  const sequences = {};
+
+  for (const invoice of invoices) {
+    const parsed = parseInvoiceNumber(invoice.number);
+    if (!parsed) {
+      continue;
+    }
+    if (!sequences[parsed.prefix]) {
+      sequences[parsed.prefix] = { width: parsed.width, numbers: new Set() };
+    }
+    sequences[parsed.prefix].numbers.add(parsed.sequence);
+  }
+
+  const gaps = [];
+  Object.entries(sequences).forEach(([prefix, { width, numbers }]) => {
+    const format = (sequence) =>
+      `${prefix}${String(sequence).padStart(width, "0")}`;
+    const sorted = [...numbers].sort((a, b) => a - b);
+    for (let i = 1; i < sorted.length; i++) {
+      const count = sorted[i] - sorted[i - 1] - 1;
+      if (count > MAX_LISTED_GAP) {
+        gaps.push({
+          prefix,
+          number: `${format(sorted[i - 1] + 1)} - ${format(sorted[i] - 1)}`,
+          count,
+        });
+        continue;
+      }
+      for (let missing = sorted[i - 1] + 1; missing < sorted[i]; missing++) {
+        gaps.push({ prefix, number: format(missing), count: 1 });
+      }
+    }
+  });
+
+  return gaps;
+}
+
+/**
+ * Check the invoice number sequence for gaps and explain each gap
+ * Every missing number is looked up in Stripe; its status (e.g. void or
+ * uncollectible) explains why it is not part of the export. Ranges of
+ * missing numbers are reported without lookup. Writes
+ * invoice_sequence_gaps.csv when gaps are found.
+ * @param {Array} invoices - Array of Stripe invoices of the period
+ * @param {string} folderPath - Output folder path
+ * @param {object} options - Check options
+ * @param {Function} options.lookupInvoice - async (number) => invoice or null
+ * @param {Array<string>} [options.statuses] - Statuses selected for this run
+ * @param {boolean} [options.testMode] - Mark the file as test-mode data
+ * @returns {Promise<object>} { gaps, reportPath }
+ */
+async function checkInvoiceSequence(invoices, folderPath, options) {
+  const { lookupInvoice, statuses = [], testMode = false } = options;
+  const gaps = findSequenceGaps(invoices);
+
+  if (gaps.length === 0) {
+    console.log("✅ Invoice number sequence has no gaps");
+    return { gaps, reportPath: null };
+  }
+
+  console.log(`🔎 Found ${gaps.length} gaps in the invoice number sequence`);
+  if (gaps.length > MAX_GAP_LOOKUPS) {
+    console.log(
+      `⚠️  Only the first ${MAX_GAP_LOOKUPS} missing numbers are looked up in Stripe`
+    );
+  }
+
+  for (const [index, gap] of gaps.entries()) {
+    gap.explainedBy = "not looked up";
+    gap.invoiceId = "";
+    gap.note = "";
+
+    if (gap.count > 1) {
+      gap.note = `${gap.count} missing numbers - check for a change of the numbering scheme`;
+      continue;
+    }
+    if (index >= MAX_GAP_LOOKUPS) {
+      continue;
+    }
+
+    try {
+      const invoice = await lookupInvoice(gap.number);
+      if (!invoice) {
+        gap.explainedBy = "not found";
+        gap.note = "No invoice with this number exists in Stripe";
+        continue;
+      }
+
+      gap.explainedBy = invoice.status;
+      gap.invoiceId = invoice.id;
+      if (statuses.includes(invoice.status)) {
+        gap.note = "Outside the selected period or date basis";
+      }
+    } catch (error) {
+      gap.explainedBy = "lookup failed";
+      gap.note = error.message;
+    }
+  }
+
+  gaps.forEach((gap) => {
+    console.log(
+      `   ${gap.number}: ${gap.explainedBy}${gap.note ? ` (${gap.note})` : ""}`
+    );
+  });
+
+  let reportContent = "Prefix,Missing Number,Explained By,Invoice ID,Note\n";
+  gaps.forEach((gap) => {
+    reportContent += toCsvLine([
+      gap.prefix,
+      gap.number,
+      gap.explainedBy,
+      gap.invoiceId,
+      gap.note,
+    ]);
+  });
+
+  const reportPath = path.join(folderPath, "invoice_sequence_gaps.csv");
+  await fs.writeFile(
+    reportPath,
+    withTestModeMarker(reportContent, testMode),
+    "utf8"
+  );
+  console.log(`   📄 Sequence gaps: ${reportPath}`);
+
+  return { gaps, reportPath };
+}
+
+module.exports = {
+  parseInvoiceNumber,
+  findSequenceGaps,
+  checkInvoiceSequence,
+};
@@ -0,0 +1,157 @@
+const { DEFAULT_TIMEZONE, getZonedDateParts } = require("../utils/timezone");
+const { roundCents } = require("../utils/money");
+
+// Base currency when none is configured and no invoice was settled by Stripe
+const DEFAULT_BASE_CURRENCY = "EUR";
+
+/**
+ * Where the exchange rate of a document comes from
+ */
+const RATE_SOURCES = {
+  SAME_CURRENCY: "Base currency",
+  BALANCE_TRANSACTION: "Stripe balance transaction",
+  RATE_TABLE: "Rate table",
+};
+
+/**
+ * Check whether a base currency setting is an ISO currency code
+ * @param {string} currency - Currency code (e.g. "EUR")
+ * @returns {boolean} - Whether the code is valid
+ */
+function isValidCurrency(currency) {
+  return typeof currency === "string" && /^[A-Za-z]{3}$/.test(currency);
+}
+
+/**
+ * Get the expanded balance transaction of a charge
+ * @param {object} charge - Stripe charge (may be an ID or missing)
+ * @returns {object|null} - Balance transaction, or null if not expanded
+ */
+function getBalanceTransaction(charge) {
+  const balanceTransaction =
+    charge && typeof charge === "object" ? charge.balance_transaction : null;
+  return balanceTransaction && typeof balanceTransaction === "object"
+    ? balanceTransaction
+    : null;
+}
+
+/**
+ * Find the currency Stripe settles the invoices in
+ * @param {Array} invoices - Stripe invoices with expanded charge balance transactions
+ * @returns {string|null} - Most frequent settlement currency, or null without charges
+ */
+function detectSettlementCurrency(invoices) {
+  const counts = {};
+  for (const invoice of invoices) {
+    const balanceTransaction = getBalanceTransaction(invoice.charge);
+    if (balanceTransaction) {
+      const currency = balanceTransaction.currency.toUpperCase();
+      counts[currency] = (counts[currency] || 0) + 1;
+    }
+  }
+  const [mostFrequent] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return mostFrequent ? mostFrequent[0] : null;
+}
+
+/**
+ * Create a converter to the company's base currency
+ * Documents paid through Stripe use the exchange rate and settlement amount
+ * of their charge's balance transaction - the rate Stripe actually applied.
+ * Documents without one (paid outside Stripe, or settled in another
+ * currency) fall back to the offline rate table, with the rate of their
+ * booking date in the given timezone.
+ * @param {string} baseCurrency - ISO currency code of the base currency
+ * @param {object} [options] - Converter options
+ * @param {object} [options.rateTable] - Table from loadRateTable
+ * @param {string} [options.timezone] - Timezone defining the booking date
+ * @returns {object} - { baseCurrency, getConversion(document) }
+ */
+function createBaseCurrencyConverter(baseCurrency, options = {}) {
+  const { rateTable = null, timezone = DEFAULT_TIMEZONE } = options;
+  const base = baseCurrency.toUpperCase();
+
+  return {
+    baseCurrency: base,
+
+    /**
+     * Find the exchange rate of a document
+     * @param {object} document - { currency, timestamp, charge }
+     * @returns {object|null} - { rate, source, rateDate, settledAmount, settledFor }
+     *   where settledAmount (base currency) is what Stripe settled for
+     *   settledFor (cents in the document currency), or null without a rate
+     */
+    getConversion({ currency, timestamp, charge }) {
+      const code = currency.toUpperCase();
+      if (code === base) {
+        return {
+          rate: 1,
+          source: RATE_SOURCES.SAME_CURRENCY,
+          rateDate: "",
+          settledAmount: null,
+          settledFor: null,
+        };
+      }
+
+      const balanceTransaction = getBalanceTransaction(charge);
+      if (
+        balanceTransaction &&
+        balanceTransaction.currency.toUpperCase() === base &&
+        balanceTransaction.exchange_rate &&
+        charge.currency.toUpperCase() === code
+      ) {
+        return {
+          rate: balanceTransaction.exchange_rate,
+          source: RATE_SOURCES.BALANCE_TRANSACTION,
+          rateDate: "",
+          settledAmount: balanceTransaction.amount / 100,
+          settledFor: charge.amount,
+        };
+      }
+
+      if (rateTable && timestamp) {
+        const date = getZonedDateParts(timestamp, timezone);
+        const documentRate = rateTable.getRate(code, date);
+        const baseRate = rateTable.getRate(base, date);
+        if (documentRate && baseRate) {
+          return {
+            rate: baseRate.rate / documentRate.rate,
+            source: RATE_SOURCES.RATE_TABLE,
+            // Publication date of the rate, for EUR documents that of the base
+            rateDate: code === "EUR" ? baseRate.date : documentRate.date,
+            settledAmount: null,
+            settledFor: null,
+          };
+        }
+      }
+
+      return null;
+    },
+  };
+}
+
+/**
+ * Convert an amount to the base currency
+ * If the balance transaction settled exactly this amount, its settlement
+ * amount is used, so the base amount matches the Stripe balance.
+ * @param {number} amount - Amount in the document currency (major units)
+ * @param {object} conversion - Result of getConversion
+ * @returns {number} - Amount in the base currency, rounded to cents
+ */
+function toBaseAmount(amount, conversion) {
+  if (
+    conversion.settledAmount !== null &&
+    Math.round(Math.abs(amount) * 100) === conversion.settledFor
+  ) {
+    return Math.sign(amount) * conversion.settledAmount;
+  }
+  return roundCents(amount * conversion.rate);
+}
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  RATE_SOURCES,
+  isValidCurrency,
+  detectSettlementCurrency,
+  createBaseCurrencyConverter,
+  toBaseAmount,
+};
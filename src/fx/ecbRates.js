@@ -0,0 +1,164 @@
+const { downloadWithRetry } = require("../download/http");
+const { formatDate } = require("../utils/period");
+
+// ECB data portal, series EXR (euro foreign exchange reference rates)
+const ECB_API_URL = "https://data-api.ecb.europa.eu/service/data/EXR";
+
+// Days searched after the requested date for the next publication (holidays)
+const PUBLICATION_WINDOW_DAYS = 10;
+
+// Rates fetched during this run, keyed by currency and date
+const rateCache = new Map();
+
+/**
+ * Add days to a calendar date
+ * @param {object} date - Calendar date { year, month, day }
+ * @param {number} days - Number of days to add
+ * @returns {object} - Calendar date
+ */
+function addDays(date, days) {
+  const result = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return {
+    year: result.getUTCFullYear(),
+    month: result.getUTCMonth() + 1,
+    day: result.getUTCDate(),
+  };
+}
+
+/**
+ * Parse the observations of an ECB "csvdata" response
+ * @param {string} csv - Response body (requested with detail=dataonly)
+ * @returns {Array} - Observations as { date, rate }, sorted by date
+ */
+function parseEcbCsv(csv) {
+  if (!csv.trim()) {
+    return [];
+  }
+  const [headerLine, ...lines] = csv.trim().split(/\r?\n/);
+  const header = headerLine.split(",");
+  const dateIndex = header.indexOf("TIME_PERIOD");
+  const valueIndex = header.indexOf("OBS_VALUE");
+  if (dateIndex === -1 || valueIndex === -1) {
+    throw new Error("Unexpected response format from the ECB data portal");
+  }
+
+  return lines
+    .map((line) => line.split(","))
+    .map((cells) => ({
+      date: cells[dateIndex],
+      rate: parseFloat(cells[valueIndex]),
+    }))
+    .filter((observation) => !isNaN(observation.rate))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the ECB reference rate of a currency for a date
+ * If the ECB published no rate on that day (weekend, holiday), the rate of
+ * the next publication day is used, as the OSS rules require.
+ * @param {string} currency - ISO currency code (e.g. "USD")
+ * @param {object} date - Calendar date { year, month, day }
+ * @returns {Promise<object>} - { rate, date } where 1 EUR = rate units of the currency
+ * @throws {Error} - If the ECB has no rate for the currency in the window
+ */
+async function getEcbRate(currency, date) {
+  const code = currency.toUpperCase();
+  if (code === "EUR") {
+    return { rate: 1, date: formatDate(date) };
+  }
+
+  const cacheKey = `${code}-${formatDate(date)}`;
+  if (rateCache.has(cacheKey)) {
+    return rateCache.get(cacheKey);
+  }
+
+  const startPeriod = formatDate(date);
+  const endPeriod = formatDate(addDays(date, PUBLICATION_WINDOW_DAYS));
+  const url = `${ECB_API_URL}/D.${code}.EUR.SP00.A?startPeriod=${startPeriod}&endPeriod=${endPeriod}&format=csvdata&detail=dataonly`;
+
+  const body = await downloadWithRetry(url, { label: `ECB rate ${code}` });
+  const observations = parseEcbCsv(body.toString("utf8"));
+  if (observations.length === 0) {
+    throw new Error(
+      `No ECB reference rate for ${code} between ${startPeriod} and ${endPeriod}`
+    );
+  }
+
+  const result = observations[0];
+  rateCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Create the rate lookup for conversions to EUR
+ * With an offline rate table (--fx-rates) the rates are taken from the table,
+ * otherwise from the ECB data portal. Both use the rate of the date itself or,
+ * if none was published that day, of the next publication day.
+ * @param {object|null} [rateTable] - Table from loadRateTable
+ * @returns {Function} - async (currency, date) => { rate, date }
+ */
+function createRateLookup(rateTable = null) {
+  if (!rateTable) {
+    return getEcbRate;
+  }
+
+  return async (currency, date) => {
+    const requested = formatDate(date);
+    for (let days = 0; days <= PUBLICATION_WINDOW_DAYS; days++) {
+      const observation = rateTable.getRate(currency, addDays(date, days));
+      if (observation && observation.date >= requested) {
+        return observation;
+      }
+    }
+    throw new Error(
+      `No ${currency.toUpperCase()} rate for ${requested} or the following ${PUBLICATION_WINDOW_DAYS} days in ${
+        rateTable.filePath
+      }`
+    );
+  };
+}
+
+/**
+ * Create a converter to EUR that remembers every rate it used
+ * @param {Function} [getRate] - Rate lookup (currency, date) => { rate, date }
+ * @returns {object} - { convert(amount, currency, date), getUsedRates() }
+ */
+function createEurConverter(getRate = getEcbRate) {
+  const usedRates = new Map();
+
+  return {
+    /**
+     * Convert an amount to EUR with the rate of a date
+     * @param {number} amount - Amount in the original currency
+     * @param {string} currency - ISO currency code
+     * @param {object} date - Calendar date whose rate applies
+     * @returns {Promise<number>} - Amount in EUR
+     */
+    async convert(amount, currency, date) {
+      if (currency.toUpperCase() === "EUR") {
+        return amount;
+      }
+      const { rate, date: rateDate } = await getRate(currency, date);
+      usedRates.set(`${currency}-${formatDate(date)}`, {
+        currency,
+        requestedDate: formatDate(date),
+        rate,
+        rateDate,
+      });
+      return amount / rate;
+    },
+
+    /**
+     * @returns {Array} - Used rates as { currency, requestedDate, rate, rateDate }
+     */
+    getUsedRates() {
+      return [...usedRates.values()];
+    },
+  };
+}
+
+module.exports = {
+  getEcbRate,
+  createRateLookup,
+  createEurConverter,
+};
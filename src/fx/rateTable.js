@@ -0,0 +1,134 @@
+const fs = require("fs").promises;
+const { formatDate } = require("../utils/period");
+
+// Days a rate stays valid when the table has no rate for the day itself
+// (weekends and holidays without ECB publication)
+const MAX_RATE_AGE_DAYS = 10;
+
+/**
+ * Split a CSV line into cells, removing surrounding quotes
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Cells
+ */
+function splitCsvLine(line) {
+  return line.split(",").map((cell) =>
+    cell
+      .trim()
+      .replace(/^"(.*)"$/, "$1")
+      .trim()
+  );
+}
+
+/**
+ * Add a rate to the table
+ * @param {Map} rates - Rates per currency
+ * @param {string} currency - ISO currency code
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} value - Rate as text
+ */
+function addRate(rates, currency, date, value) {
+  const rate = parseFloat(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(rate) || rate <= 0) {
+    return;
+  }
+  const code = currency.toUpperCase();
+  if (!rates.has(code)) {
+    rates.set(code, []);
+  }
+  rates.get(code).push({ date, rate });
+}
+
+/**
+ * Parse an ECB exchange rate CSV
+ * Two layouts are supported:
+ * - the historical reference rates file (eurofxref-hist.csv): a Date column
+ *   followed by one column per currency
+ * - a download from the ECB data portal (format=csvdata) with CURRENCY,
+ *   TIME_PERIOD and OBS_VALUE columns, one row per currency and day
+ * @param {string} csv - File content
+ * @returns {Map} - Observations per currency as [{ date, rate }], sorted by
+ *   date, where 1 EUR = rate units of the currency
+ * @throws {Error} - If the layout is not recognised
+ */
+function parseRateTable(csv) {
+  const [headerLine, ...lines] = csv
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .split(/\r?\n/);
+  const header = splitCsvLine(headerLine || "");
+  const rates = new Map();
+
+  const currencyIndex = header.indexOf("CURRENCY");
+  const dateIndex = header.indexOf("TIME_PERIOD");
+  const valueIndex = header.indexOf("OBS_VALUE");
+
+  if (currencyIndex !== -1 && dateIndex !== -1 && valueIndex !== -1) {
+    lines.map(splitCsvLine).forEach((cells) => {
+      addRate(rates, cells[currencyIndex], cells[dateIndex], cells[valueIndex]);
+    });
+  } else if (header[0] === "Date") {
+    lines.map(splitCsvLine).forEach((cells) => {
+      header.forEach((currency, index) => {
+        if (index > 0 && /^[A-Z]{3}$/.test(currency)) {
+          addRate(rates, currency, cells[0], cells[index]);
+        }
+      });
+    });
+  } else {
+    throw new Error(
+      "Unknown exchange rate file format - expected the ECB eurofxref-hist.csv or a csvdata download from the ECB data portal"
+    );
+  }
+
+  rates.forEach((observations) =>
+    observations.sort((a, b) => a.date.localeCompare(b.date))
+  );
+  return rates;
+}
+
+/**
+ * Load an offline exchange rate table from an ECB CSV file
+ * @param {string} filePath - Path of the CSV file
+ * @returns {Promise<object>} - { filePath, currencies, getRate(currency, date) }
+ *   getRate returns { rate, date } where 1 EUR = rate units of the currency,
+ *   using the last rate published on or before the date, or null if the
+ *   table has no rate within MAX_RATE_AGE_DAYS
+ * @throws {Error} - If the file cannot be read or has no rates
+ */
+async function loadRateTable(filePath) {
+  const rates = parseRateTable(await fs.readFile(filePath, "utf8"));
+  if (rates.size === 0) {
+    throw new Error(`No exchange rates found in ${filePath}`);
+  }
+
+  return {
+    filePath,
+    currencies: [...rates.keys()].sort(),
+
+    getRate(currency, date) {
+      const code = currency.toUpperCase();
+      const requested = formatDate(date);
+      if (code === "EUR") {
+        return { rate: 1, date: requested };
+      }
+
+      const observations = rates.get(code) || [];
+      const oldest = new Date(
+        Date.UTC(date.year, date.month - 1, date.day - MAX_RATE_AGE_DAYS)
+      )
+        .toISOString()
+        .slice(0, 10);
+      for (let i = observations.length - 1; i >= 0; i--) {
+        const observation = observations[i];
+        if (observation.date <= requested) {
+          return observation.date >= oldest ? observation : null;
+        }
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  loadRateTable,
+};
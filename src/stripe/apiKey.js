@@ -0,0 +1,65 @@
+/**
+ * Modes of a Stripe API key
+ */
+const KEY_MODES = {
+  LIVE: "live",
+  TEST: "test",
+  UNKNOWN: "unknown",
+};
+
+// Secret (sk_) and restricted (rk_) keys in live or test mode
+const API_KEY_PATTERN = /^(sk|rk)_(live|test)_\S+$/;
+
+/**
+ * Check whether a value looks like a usable Stripe API key
+ * Publishable keys (pk_) cannot read invoices and are rejected.
+ * @param {string} apiKey - API key
+ * @returns {boolean} - Whether it is a secret or restricted key
+ */
+function isValidApiKey(apiKey) {
+  return API_KEY_PATTERN.test(apiKey || "");
+}
+
+/**
+ * Get the mode of a Stripe API key from its prefix
+ * @param {string} apiKey - API key (e.g. "sk_live_..." or "rk_test_...")
+ * @returns {string} - One of KEY_MODES
+ */
+function getKeyMode(apiKey) {
+  const match = API_KEY_PATTERN.exec(apiKey || "");
+  return match ? match[2] : KEY_MODES.UNKNOWN;
+}
+
+/**
+ * Check whether an API key is a restricted key
+ * Restricted keys may lack permissions; secret keys can read everything.
+ * @param {string} apiKey - API key
+ * @returns {boolean} - Whether the key starts with rk_
+ */
+function isRestrictedKey(apiKey) {
+  return /^rk_/.test(apiKey || "");
+}
+
+/**
+ * Redact an API key for display
+ * Only the type and mode prefix and the last four characters are kept, the
+ * way the Stripe dashboard shows keys.
+ * @param {string} apiKey - API key
+ * @returns {string} - e.g. "rk_live_...4f2a"
+ */
+function redactApiKey(apiKey) {
+  const key = apiKey || "";
+  const match = /^([a-z]+_(?:live|test)_)/.exec(key);
+  const prefix = match ? match[1] : "";
+  // Short values would give away most of the key
+  const suffix = key.length >= prefix.length + 8 ? key.slice(-4) : "";
+  return `${prefix}...${suffix}`;
+}
+
+module.exports = {
+  KEY_MODES,
+  isValidApiKey,
+  getKeyMode,
+  isRestrictedKey,
+  redactApiKey,
+};
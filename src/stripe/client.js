@@ -1,10 +1,34 @@
 const fs = require("fs").promises;
 const path = require("path");
 const Stripe = require("stripe");
-const { formatMonth } = require("../utils/input");
+const { getPeriodTimestamps } = require("../utils/period");
+const { DEFAULT_TIMEZONE, formatDateInTimeZone } = require("../utils/timezone");
+const { DATE_BASES, getInvoiceTimestamp } = require("./dateBasis");
+const { INVOICE_STATUSES, getStatusFolderName } = require("./invoiceStatus");
+const { downloadWithRetry } = require("../download/http");
+const { sha256 } = require("../download/manifest");
+const { toBaseAmount } = require("../fx/baseCurrency");
 
 let stripe = null;
 
+// Export access of a key that may read every object (see getExportAccess)
+const FULL_ACCESS = {
+  charges: true,
+  balanceTransactions: true,
+  checkoutSessions: true,
+};
+
+/**
+ * Create a Stripe client for an API key
+ * @param {string} apiKey - Secret (sk_) or restricted (rk_) key
+ * @returns {object} - Stripe client
+ */
+function createStripeClient(apiKey) {
+  return new Stripe(apiKey, {
+    apiVersion: "2024-12-18.acacia",
+  });
+}
+
 /**
  * Initialize Stripe client with profile
  * @param {object} profile - Profile containing secret key
@@ -12,9 +36,7 @@ let stripe = null;
  */
 function initializeStripe(profile) {
   try {
-    stripe = new Stripe(profile.secretKey, {
-      apiVersion: "2024-12-18.acacia",
-    });
+    stripe = createStripeClient(profile.secretKey);
     console.log(`🔌 Connected to Stripe with profile: ${profile.name}`);
     return true;
   } catch (error) {
@@ -24,22 +46,46 @@ function initializeStripe(profile) {
 }
 
 /**
- * Create download folder with new structure: downloads/ProfileName/YYYY/MM/
+ * Get the Stripe account behind the API key
+ * A single cheap authenticated request, used to test a key.
+ * @returns {Promise<object>} - Stripe account
+ */
+async function getStripeAccount() {
+  return await stripe.accounts.retrieve();
+}
+
+// Default base directory for downloads
+const DEFAULT_DOWNLOAD_DIR = path.join(process.cwd(), "downloads");
+
+// Folder below the base directory that holds all test-mode downloads
+const TEST_MODE_FOLDER = "TEST-MODE";
+
+/**
+ * Create download folder with new structure: downloads/ProfileName/<period>/
+ * (e.g. 2024/05, 2025/Q1, 2025/full-year or range/2025-01-15_2025-02-14)
+ * Test-mode data goes to downloads/TEST-MODE/ProfileName/<period>/ so it
+ * never ends up next to real bookkeeping data.
  * @param {string} profileName - Profile name for folder organization
- * @param {number} month - Month number
- * @param {number} year - Year number
+ * @param {object} period - Period from src/utils/period
+ * @param {string} [baseDir] - Base directory (defaults to ./downloads)
+ * @param {object} [options] - Folder options
+ * @param {boolean} [options.testMode] - Whether the API key is a test key
  * @returns {Promise<string>} Folder path
  */
-async function createDownloadFolder(profileName, month, year) {
+async function createDownloadFolder(
+  profileName,
+  period,
+  baseDir = DEFAULT_DOWNLOAD_DIR,
+  options = {}
+) {
   // Create safe profile name for folder
   const safeProfileName = profileName.replace(/[^a-zA-Z0-9_\-]/g, "_");
 
   const folderPath = path.join(
-    process.cwd(),
-    "downloads",
+    path.resolve(baseDir),
+    ...(options.testMode ? [TEST_MODE_FOLDER] : []),
     safeProfileName,
-    year.toString(),
-    formatMonth(month)
+    ...period.folderSegments
   );
 
   try {
@@ -53,29 +99,249 @@ async function createDownloadFolder(profileName, month, year) {
 }
 
 /**
- * Fetch Stripe invoices for a specific month and year
- * @param {number} month - Month number (1-12)
- * @param {number} year - Year number
+ * Fetch the remaining line items of invoices whose embedded `lines` list is
+ * paginated, so that every invoice carries all of its lines
+ * @param {Array} invoices - Stripe invoices (updated in place)
+ * @returns {Promise<void>}
+ */
+async function fetchRemainingInvoiceLines(invoices) {
+  const truncatedInvoices = invoices.filter(
+    (invoice) => invoice.lines && invoice.lines.has_more
+  );
+  if (truncatedInvoices.length === 0) {
+    return;
+  }
+
+  console.log(
+    `🔍 Fetching all line items of ${truncatedInvoices.length} invoices with paginated lines...`
+  );
+
+  for (const invoice of truncatedInvoices) {
+    const lines = [...invoice.lines.data];
+    let hasMore = true;
+    let startingAfter = lines.length > 0 ? lines[lines.length - 1].id : null;
+
+    while (hasMore) {
+      const params = {
+        limit: 100,
+        expand: ["data.tax_rates"],
+      };
+
+      if (startingAfter) {
+        params.starting_after = startingAfter;
+      }
+
+      try {
+        const result = await stripe.invoices.listLineItems(invoice.id, params);
+        lines.push(...result.data);
+
+        hasMore = result.has_more;
+        if (hasMore && result.data.length > 0) {
+          startingAfter = result.data[result.data.length - 1].id;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error fetching line items of invoice ${
+            invoice.number || invoice.id
+          }:`,
+          error
+        );
+        throw error;
+      }
+    }
+
+    invoice.lines = { ...invoice.lines, data: lines, has_more: false };
+  }
+}
+
+/**
+ * Fetch Stripe invoices for a period
+ * Stripe can only filter on `created`. For the finalized_at and paid_at date
+ * bases the fetch window is extended backwards by the lookback and the
+ * result is filtered locally on the chosen date field. Invoices are returned
+ * with all of their line items.
+ * @param {object} period - Period from src/utils/period
+ * @param {object} [options] - Fetch options
+ * @param {Array<string>} [options.statuses] - Invoice statuses (default: paid)
+ * @param {string} [options.dateBasis] - One of DATE_BASES (default: created)
+ * @param {number} [options.lookbackDays] - Extra days fetched before the period
+ * @param {string} [options.timezone] - IANA timezone defining the accounting day
+ * @param {object} [options.access] - Result of getExportAccess; charges and
+ *   their balance transactions are only expanded if the key may read them
  * @returns {Promise<Array>} Array of invoices
  */
-async function getStripeInvoices(month, year) {
+async function getStripeInvoices(period, options = {}) {
+  const {
+    statuses = [INVOICE_STATUSES.PAID],
+    dateBasis = DATE_BASES.CREATED,
+    lookbackDays = 0,
+    timezone = DEFAULT_TIMEZONE,
+    access = FULL_ACCESS,
+  } = options;
+
   console.log(
-    `🔍 Searching for Stripe invoices for ${formatMonth(month)}/${year}...`
+    `🔍 Searching for Stripe invoices for ${period.label} (${timezone})...`
+  );
+
+  const { startTimestamp, endTimestamp } = getPeriodTimestamps(
+    period,
+    timezone
   );
 
-  const startDate = new Date(year, month - 1, 1);
-  const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+  // An invoice is always created before it is finalized or paid
+  const fetchStartTimestamp =
+    dateBasis === DATE_BASES.CREATED
+      ? startTimestamp
+      : startTimestamp - lookbackDays * 24 * 60 * 60;
 
-  const startTimestamp = Math.floor(startDate.getTime() / 1000);
-  const endTimestamp = Math.floor(endDate.getTime() / 1000);
+  if (dateBasis !== DATE_BASES.CREATED) {
+    console.log(
+      `📅 Date basis: ${dateBasis} - including invoices created up to ${lookbackDays} days before the period`
+    );
+  }
 
   const invoices = [];
+  const statusLabel = statuses.join(", ");
+
+  // Stripe filters on one status per request
+  for (const status of statuses) {
+    let hasMore = true;
+    let startingAfter = null;
+
+    while (hasMore) {
+      const params = {
+        status,
+        created: {
+          gte: fetchStartTimestamp,
+          lte: endTimestamp,
+        },
+        limit: 100,
+        expand: [
+          ...(access.charges ? ["data.charge"] : []),
+          ...(access.charges && access.balanceTransactions
+            ? ["data.charge.balance_transaction"]
+            : []),
+          "data.customer",
+          "data.customer.address",
+          "data.customer.tax_ids",
+          "data.lines",
+          "data.lines.data.tax_rates",
+          "data.total_tax_amounts",
+          "data.total_tax_amounts.tax_rate",
+        ],
+      };
+
+      if (startingAfter) {
+        params.starting_after = startingAfter;
+      }
+
+      try {
+        const result = await stripe.invoices.list(params);
+        invoices.push(...result.data);
+
+        hasMore = result.has_more;
+        if (hasMore && result.data.length > 0) {
+          startingAfter = result.data[result.data.length - 1].id;
+        }
+      } catch (error) {
+        console.error("❌ Error fetching Stripe invoices:", error);
+        throw error;
+      }
+    }
+  }
+
+  if (dateBasis === DATE_BASES.CREATED) {
+    console.log(`📊 Found ${invoices.length} Stripe invoices (${statusLabel})`);
+    await fetchRemainingInvoiceLines(invoices);
+    return invoices;
+  }
+
+  const matchingInvoices = invoices.filter((invoice) => {
+    const timestamp = getInvoiceTimestamp(invoice, dateBasis);
+    return (
+      timestamp !== null &&
+      timestamp >= startTimestamp &&
+      timestamp <= endTimestamp
+    );
+  });
+
+  console.log(
+    `📊 Found ${matchingInvoices.length} Stripe invoices (${statusLabel}) by ${dateBasis} (${invoices.length} fetched by created date)`
+  );
+  await fetchRemainingInvoiceLines(matchingInvoices);
+  return matchingInvoices;
+}
+
+/**
+ * Look up the names of the products sold on invoices
+ * Product names cannot be expanded on invoice lists (too deep), so they are
+ * fetched in batches of 100. Failures are logged and leave names empty.
+ * @param {Array} invoices - Stripe invoices with all line items
+ * @returns {Promise<Map>} Map of product ID to product name
+ */
+async function getProductNames(invoices) {
+  const productNames = new Map();
+  const productIds = new Set();
+
+  for (const invoice of invoices) {
+    for (const line of invoice.lines?.data || []) {
+      const product = line.price?.product;
+      if (product && typeof product === "object") {
+        productNames.set(product.id, product.name);
+      } else if (product) {
+        productIds.add(product);
+      }
+    }
+  }
+
+  const missingIds = [...productIds].filter((id) => !productNames.has(id));
+  for (let i = 0; i < missingIds.length; i += 100) {
+    try {
+      const result = await stripe.products.list({
+        ids: missingIds.slice(i, i + 100),
+        limit: 100,
+      });
+      result.data.forEach((product) =>
+        productNames.set(product.id, product.name)
+      );
+    } catch (error) {
+      console.error(
+        "⚠️  Warning: Could not fetch product names:",
+        error.message
+      );
+      break;
+    }
+  }
+
+  return productNames;
+}
+
+/**
+ * Fetch Stripe credit notes created in a period
+ * Voided credit notes are skipped. The original invoice is expanded so that
+ * credit notes can be linked to its number and customer address.
+ * @param {object} period - Period from src/utils/period
+ * @param {object} [options] - Fetch options
+ * @param {string} [options.timezone] - IANA timezone defining the accounting day
+ * @param {object} [options.access] - Result of getExportAccess
+ * @returns {Promise<Array>} Array of credit notes
+ */
+async function getStripeCreditNotes(period, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, access = FULL_ACCESS } = options;
+
+  console.log(`🔍 Searching for Stripe credit notes for ${period.label}...`);
+
+  const { startTimestamp, endTimestamp } = getPeriodTimestamps(
+    period,
+    timezone
+  );
+
+  const creditNotes = [];
   let hasMore = true;
   let startingAfter = null;
 
   while (hasMore) {
     const params = {
-      status: "paid",
       created: {
         gte: startTimestamp,
         lte: endTimestamp,
@@ -83,11 +349,14 @@ async function getStripeInvoices(month, year) {
       limit: 100,
       expand: [
         "data.customer",
-        "data.customer.address",
+        "data.customer.tax_ids",
+        "data.invoice",
+        ...(access.charges ? ["data.invoice.charge"] : []),
+        ...(access.charges && access.balanceTransactions
+          ? ["data.invoice.charge.balance_transaction"]
+          : []),
         "data.lines",
-        "data.lines.data.tax_rates",
-        "data.total_tax_amounts",
-        "data.total_tax_amounts.tax_rate",
+        "data.tax_amounts.tax_rate",
       ],
     };
 
@@ -96,104 +365,683 @@ async function getStripeInvoices(month, year) {
     }
 
     try {
-      const result = await stripe.invoices.list(params);
-      invoices.push(...result.data);
+      const result = await stripe.creditNotes.list(params);
+      creditNotes.push(...result.data);
+
+      hasMore = result.has_more;
+      if (hasMore && result.data.length > 0) {
+        startingAfter = result.data[result.data.length - 1].id;
+      }
+    } catch (error) {
+      console.error("❌ Error fetching Stripe credit notes:", error);
+      throw error;
+    }
+  }
+
+  const issuedCreditNotes = creditNotes.filter(
+    (creditNote) => creditNote.status !== "void"
+  );
+
+  console.log(`📊 Found ${issuedCreditNotes.length} Stripe credit notes`);
+  return issuedCreditNotes;
+}
+
+/**
+ * Fetch succeeded charges without invoice created in a period
+ * Checkout sessions in payment mode and direct PaymentIntents never create
+ * an invoice, so their revenue is only visible as charges. The Checkout
+ * session of each charge is looked up for its tax breakdown and customer
+ * details and attached as `checkout_session` (null without session, without
+ * access to Checkout sessions or if the lookup fails - with a warning).
+ * @param {object} period - Period from src/utils/period
+ * @param {object} [options] - Fetch options
+ * @param {string} [options.timezone] - IANA timezone defining the accounting day
+ * @param {object} [options.access] - Result of getExportAccess
+ * @returns {Promise<Array>} Array of charges
+ */
+async function getStripeReceipts(period, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, access = FULL_ACCESS } = options;
+
+  console.log(
+    `🔍 Searching for Stripe charges without invoice for ${period.label}...`
+  );
+
+  const { startTimestamp, endTimestamp } = getPeriodTimestamps(
+    period,
+    timezone
+  );
+
+  const charges = [];
+  let hasMore = true;
+  let startingAfter = null;
+
+  while (hasMore) {
+    const params = {
+      created: {
+        gte: startTimestamp,
+        lte: endTimestamp,
+      },
+      limit: 100,
+      expand: [
+        "data.customer",
+        ...(access.balanceTransactions ? ["data.balance_transaction"] : []),
+      ],
+    };
+
+    if (startingAfter) {
+      params.starting_after = startingAfter;
+    }
+
+    try {
+      const result = await stripe.charges.list(params);
+      charges.push(...result.data);
+
+      hasMore = result.has_more;
+      if (hasMore && result.data.length > 0) {
+        startingAfter = result.data[result.data.length - 1].id;
+      }
+    } catch (error) {
+      console.error("❌ Error fetching Stripe charges:", error);
+      throw error;
+    }
+  }
+
+  const receipts = charges.filter(
+    (charge) => charge.status === "succeeded" && charge.paid && !charge.invoice
+  );
+
+  for (const charge of receipts) {
+    charge.checkout_session = null;
+    const paymentIntent = getObjectId(charge.payment_intent);
+    if (!paymentIntent || !access.checkoutSessions) {
+      continue;
+    }
+    try {
+      const sessions = await stripe.checkout.sessions.list({
+        payment_intent: paymentIntent,
+        limit: 1,
+        expand: ["data.line_items", "data.total_details.breakdown"],
+      });
+      charge.checkout_session = sessions.data[0] || null;
+    } catch (error) {
+      console.error(
+        `⚠️  Warning: Could not fetch the Checkout session of charge ${charge.id}, the receipt has no line items or taxes:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(`📊 Found ${receipts.length} Stripe charges without invoice`);
+  return receipts;
+}
+
+/**
+ * Find an invoice by its number, regardless of status and date
+ * @param {string} number - Invoice number
+ * @returns {Promise<object|null>} Stripe invoice or null if none exists
+ */
+async function findInvoiceByNumber(number) {
+  const result = await stripe.invoices.search({
+    query: `number:"${number.replace(/"/g, '\\"')}"`,
+    limit: 1,
+  });
+  return result.data[0] || null;
+}
+
+/**
+ * Fetch every page of a Stripe list
+ * @param {Function} list - Bound list method (e.g. stripe.refunds.list)
+ * @param {object} params - List parameters without pagination
+ * @returns {Promise<Array>} All objects of the list
+ */
+async function listAllPages(list, params) {
+  const items = [];
+  let hasMore = true;
+  let startingAfter = null;
+
+  while (hasMore) {
+    const pageParams = { ...params, limit: 100 };
+    if (startingAfter) {
+      pageParams.starting_after = startingAfter;
+    }
+
+    const result = await list(pageParams);
+    items.push(...result.data);
+
+    hasMore = result.has_more;
+    if (hasMore && result.data.length > 0) {
+      startingAfter = result.data[result.data.length - 1].id;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Look up refunds issued against the charges of invoices
+ * Only charges with a refunded amount are queried. Refunds that belong to a
+ * credit note of the invoice are skipped, because the credit note already
+ * appears in the exports. An invoice whose refunds cannot be fetched is
+ * reported as a warning and left unreconciled.
+ * @param {Array} invoices - Stripe invoices (with expanded charge)
+ * @returns {Promise<Map>} Map of invoice ID to { amount, refunds } (amounts in cents)
+ */
+async function getInvoiceRefunds(invoices) {
+  const refundsByInvoice = new Map();
+  const refundedInvoices = invoices.filter(
+    (invoice) => invoice.charge?.amount_refunded > 0
+  );
+
+  if (refundedInvoices.length === 0) {
+    return refundsByInvoice;
+  }
+
+  console.log(
+    `🔍 Reconciling refunds for ${refundedInvoices.length} refunded invoices...`
+  );
+
+  for (const invoice of refundedInvoices) {
+    try {
+      const creditNotes = await listAllPages(
+        (params) => stripe.creditNotes.list(params),
+        { invoice: invoice.id }
+      );
+      const creditNoteRefunds = new Set(
+        creditNotes
+          .map((creditNote) => creditNote.refund?.id || creditNote.refund)
+          .filter(Boolean)
+      );
+
+      const chargeRefunds = await listAllPages(
+        (params) => stripe.refunds.list(params),
+        { charge: invoice.charge.id }
+      );
+      const refunds = chargeRefunds.filter(
+        (refund) =>
+          refund.status !== "failed" &&
+          refund.status !== "canceled" &&
+          !creditNoteRefunds.has(refund.id)
+      );
+
+      if (refunds.length > 0) {
+        const amount = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        refundsByInvoice.set(invoice.id, { amount, refunds });
+        console.log(
+          `   ↩️  ${invoice.number || invoice.id}: refunded ${(
+            amount / 100
+          ).toFixed(2)} ${invoice.currency.toUpperCase()}`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `⚠️  Warning: Could not fetch refunds for invoice ${
+          invoice.number || invoice.id
+        }, refunds without credit note are not reconciled:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(
+    `📊 Found refunds without credit note on ${refundsByInvoice.size} invoices`
+  );
+  return refundsByInvoice;
+}
+
+/**
+ * Fetch Stripe payouts that arrive at the bank in a period
+ * Canceled payouts never left the balance and are skipped.
+ * @param {object} period - Period from src/utils/period
+ * @returns {Promise<Array>} Array of payouts, oldest first
+ */
+async function getStripePayouts(period) {
+  console.log(`🔍 Searching for Stripe payouts arriving in ${period.label}...`);
+
+  // arrival_date is the bank's calendar date, stored as 00:00 UTC - the
+  // period days are matched in UTC rather than in the profile's timezone
+  const { startTimestamp, endTimestamp } = getPeriodTimestamps(period, "UTC");
+
+  const payouts = [];
+  let hasMore = true;
+  let startingAfter = null;
+
+  while (hasMore) {
+    const params = {
+      arrival_date: {
+        gte: startTimestamp,
+        lte: endTimestamp,
+      },
+      limit: 100,
+    };
+
+    if (startingAfter) {
+      params.starting_after = startingAfter;
+    }
+
+    try {
+      const result = await stripe.payouts.list(params);
+      payouts.push(...result.data);
+
+      hasMore = result.has_more;
+      if (hasMore && result.data.length > 0) {
+        startingAfter = result.data[result.data.length - 1].id;
+      }
+    } catch (error) {
+      console.error("❌ Error fetching Stripe payouts:", error);
+      throw error;
+    }
+  }
+
+  const activePayouts = payouts
+    .filter((payout) => payout.status !== "canceled")
+    .sort((a, b) => a.arrival_date - b.arrival_date);
+
+  console.log(`📊 Found ${activePayouts.length} Stripe payouts`);
+  return activePayouts;
+}
+
+/**
+ * Fetch the balance transactions paid out with a payout
+ * Stripe only lists the transactions of automatic payouts. The payout's own
+ * balance transaction is left out, so the result adds up to the payout amount.
+ * @param {object} payout - Stripe payout
+ * @returns {Promise<Array>} Balance transactions with expanded source
+ */
+async function getPayoutTransactions(payout) {
+  const transactions = [];
+  let hasMore = true;
+  let startingAfter = null;
+
+  while (hasMore) {
+    const params = {
+      payout: payout.id,
+      limit: 100,
+      expand: ["data.source"],
+    };
+
+    if (startingAfter) {
+      params.starting_after = startingAfter;
+    }
+
+    try {
+      const result = await stripe.balanceTransactions.list(params);
+      transactions.push(...result.data);
 
       hasMore = result.has_more;
       if (hasMore && result.data.length > 0) {
         startingAfter = result.data[result.data.length - 1].id;
       }
     } catch (error) {
-      console.error("❌ Error fetching Stripe invoices:", error);
+      console.error(
+        `❌ Error fetching balance transactions of payout ${payout.id}:`,
+        error
+      );
       throw error;
     }
   }
 
-  console.log(`📊 Found ${invoices.length} paid Stripe invoices`);
-  return invoices;
+  return transactions.filter(
+    (transaction) =>
+      transaction.type !== "payout" && transaction.source?.id !== payout.id
+  );
+}
+
+/**
+ * Get the ID of an object that may be expanded
+ * @param {string|object|null} value - ID or expanded object
+ * @returns {string|null} - ID
+ */
+function getObjectId(value) {
+  return value && typeof value === "object" ? value.id : value || null;
+}
+
+/**
+ * Link balance transactions to the invoice they belong to
+ * Charges reference their invoice directly; refunds and disputes through
+ * their charge. Charges and invoices are looked up once each. Failed
+ * lookups are logged and leave the invoice number empty.
+ * @param {Array} transactions - Balance transactions with expanded source
+ * @returns {Promise<Map>} Map of balance transaction ID to invoice number
+ */
+async function getTransactionInvoiceNumbers(transactions) {
+  const chargeInvoices = new Map();
+  const invoiceNumbers = new Map();
+  const result = new Map();
+
+  for (const transaction of transactions) {
+    const source = transaction.source;
+    if (!source || typeof source !== "object") {
+      continue;
+    }
+
+    try {
+      let invoiceId = null;
+      if (source.object === "charge") {
+        invoiceId = getObjectId(source.invoice);
+      } else if (source.charge) {
+        const chargeId = getObjectId(source.charge);
+        if (!chargeInvoices.has(chargeId)) {
+          const charge = await stripe.charges.retrieve(chargeId);
+          chargeInvoices.set(chargeId, getObjectId(charge.invoice));
+        }
+        invoiceId = chargeInvoices.get(chargeId);
+      }
+      if (!invoiceId) {
+        continue;
+      }
+
+      if (!invoiceNumbers.has(invoiceId)) {
+        const invoice = await stripe.invoices.retrieve(invoiceId);
+        invoiceNumbers.set(invoiceId, invoice.number || invoice.id);
+      }
+      result.set(transaction.id, invoiceNumbers.get(invoiceId));
+    } catch (error) {
+      console.error(
+        `⚠️  Warning: Could not find the invoice of balance transaction ${transaction.id}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Download a PDF file, retrying transient failures
+ * The file is written under a temporary name and renamed when complete, so
+ * an interrupted run never leaves a partial PDF under the final name.
+ * @param {string} url - PDF URL
+ * @param {string} filepath - Destination file path
+ * @param {object} [options] - { timeoutMs, retries }
+ * @returns {Promise<object>} - { size, sha256 } of the written file
+ */
+async function downloadPdf(url, filepath, options = {}) {
+  const buffer = await downloadWithRetry(url, {
+    ...options,
+    label: path.basename(filepath),
+  });
+
+  const tempPath = `${filepath}.part`;
+  await fs.writeFile(tempPath, buffer);
+  await fs.rename(tempPath, filepath);
+
+  return { size: buffer.length, sha256: sha256(buffer) };
+}
+
+/**
+ * Get the customer name shown for an invoice or credit note
+ * @param {object} customer - Expanded Stripe customer (may be missing)
+ * @param {object} invoice - Stripe invoice carrying customer_* fallbacks
+ * @returns {string} - Customer name, email or "Unknown"
+ */
+function getCustomerName(customer, invoice) {
+  return (
+    customer?.name ||
+    invoice?.customer_name ||
+    customer?.email ||
+    invoice?.customer_email ||
+    "Unknown"
+  );
+}
+
+/**
+ * Collect the filename template values of an invoice
+ * Invoices that are not paid are stored in a subfolder named after their
+ * status (e.g. void/).
+ * @param {object} invoice - Stripe invoice object
+ * @param {string} [dateBasis] - Date basis for {date}
+ * @returns {object} - { id, created, subfolder, values } for assignFilenames
+ */
+function getInvoiceFilenameEntry(invoice, dateBasis) {
+  const customer = invoice.customer;
+  return {
+    id: invoice.id,
+    created: invoice.created,
+    subfolder: getStatusFolderName(invoice.status),
+    values: {
+      number: invoice.number || invoice.id,
+      customer_name: getCustomerName(customer, invoice),
+      customer_email: customer?.email || invoice.customer_email || "",
+      customer_id: customer?.id || customer || "",
+      timestamp: getInvoiceTimestamp(invoice, dateBasis),
+      amount: (invoice.total / 100).toFixed(2),
+      currency: invoice.currency.toUpperCase(),
+      status: invoice.status,
+      metadata: invoice.metadata,
+    },
+  };
+}
+
+/**
+ * Collect the filename template values of a credit note
+ * The amount is negative to tell credit notes apart from invoices.
+ * @param {object} creditNote - Stripe credit note object
+ * @returns {object} - { id, created, subfolder, values } for assignFilenames
+ */
+function getCreditNoteFilenameEntry(creditNote) {
+  const customer = creditNote.customer;
+  const invoice = creditNote.invoice;
+  return {
+    id: creditNote.id,
+    created: creditNote.created,
+    subfolder: "",
+    values: {
+      number: creditNote.number || creditNote.id,
+      customer_name: getCustomerName(customer, invoice),
+      customer_email: customer?.email || invoice?.customer_email || "",
+      customer_id: customer?.id || customer || "",
+      timestamp: creditNote.created,
+      amount: `-${(creditNote.total / 100).toFixed(2)}`,
+      currency: creditNote.currency.toUpperCase(),
+      status: creditNote.status,
+      metadata: creditNote.metadata,
+    },
+  };
+}
+
+/**
+ * Collect the filename template values of a receipt (charge without invoice)
+ * Receipts are archived in the "receipts" subfolder.
+ * @param {object} charge - Stripe charge from getStripeReceipts
+ * @returns {object} - { id, created, subfolder, values } for assignFilenames
+ */
+function getReceiptFilenameEntry(charge) {
+  const customer = charge.customer;
+  const customerDetails = charge.checkout_session?.customer_details;
+  return {
+    id: charge.id,
+    created: charge.created,
+    subfolder: "receipts",
+    values: {
+      number: charge.receipt_number || charge.id,
+      customer_name:
+        charge.billing_details?.name ||
+        customerDetails?.name ||
+        getCustomerName(customer, null),
+      customer_email:
+        charge.billing_details?.email ||
+        customerDetails?.email ||
+        customer?.email ||
+        "",
+      customer_id: customer?.id || customer || "",
+      timestamp: charge.created,
+      amount: (charge.amount / 100).toFixed(2),
+      currency: charge.currency.toUpperCase(),
+      status: charge.status,
+      metadata: charge.metadata,
+    },
+  };
 }
 
 /**
  * Download a single Stripe invoice PDF
  * @param {object} invoice - Stripe invoice object
  * @param {string} folderPath - Destination folder path
- * @returns {Promise<boolean>} Success status
+ * @param {string} filename - File path relative to the folder (see assignFilenames)
+ * @param {object} [downloadOptions] - { timeoutMs, retries } for the PDF request
+ * @returns {Promise<object|null>} { filename, size, sha256 }, or null on failure
  */
-async function downloadStripeInvoice(invoice, folderPath) {
+async function downloadStripeInvoice(
+  invoice,
+  folderPath,
+  filename,
+  downloadOptions
+) {
   try {
-    const customer = invoice.customer;
-    const customerName =
-      customer?.name ||
-      invoice.customer_name ||
-      customer?.email ||
-      invoice.customer_email ||
-      "Unknown";
-    const invoiceNumber = invoice.number || invoice.id;
-    // Use amount_paid if available, otherwise use total amount
-    const amount = ((invoice.amount_paid || invoice.total) / 100).toFixed(2);
-    const currency = invoice.currency.toUpperCase();
-
-    // Create safe filenames
-    const safeCustomerName = customerName.replace(/[^a-zA-Z0-9_\-]/g, "_");
-    const safeInvoiceNumber = invoiceNumber.replace(/[^a-zA-Z0-9_\-]/g, "_");
-
-    const filename = `${safeInvoiceNumber}_${safeCustomerName}_${amount}${currency}.pdf`;
     const filepath = path.join(folderPath, filename);
 
     // Check if invoice has PDF URL
     if (invoice.invoice_pdf) {
-      const response = await fetch(invoice.invoice_pdf);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch PDF: ${response.statusText}`);
-      }
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+      const file = await downloadPdf(
+        invoice.invoice_pdf,
+        filepath,
+        downloadOptions
+      );
+
+      console.log(`✅ Downloaded: ${filename}`);
+      return { filename, ...file };
+    } else {
+      console.log(
+        `⚠️  No PDF available for invoice ${invoice.number || invoice.id}`
+      );
+      return null;
+    }
+  } catch (error) {
+    console.error(
+      `❌ Error downloading Stripe invoice ${invoice.id}:`,
+      error.message
+    );
+    return null;
+  }
+}
 
-      const buffer = await response.arrayBuffer();
-      await fs.writeFile(filepath, Buffer.from(buffer));
+/**
+ * Download a single Stripe credit note PDF
+ * @param {object} creditNote - Stripe credit note object
+ * @param {string} folderPath - Destination folder path
+ * @param {string} filename - File path relative to the folder (see assignFilenames)
+ * @param {object} [downloadOptions] - { timeoutMs, retries } for the PDF request
+ * @returns {Promise<object|null>} { filename, size, sha256 }, or null on failure
+ */
+async function downloadStripeCreditNote(
+  creditNote,
+  folderPath,
+  filename,
+  downloadOptions
+) {
+  try {
+    const filepath = path.join(folderPath, filename);
+
+    if (creditNote.pdf) {
+      const file = await downloadPdf(creditNote.pdf, filepath, downloadOptions);
 
       console.log(`✅ Downloaded: ${filename}`);
-      return true;
+      return { filename, ...file };
     } else {
-      console.log(`⚠️  No PDF available for invoice ${invoiceNumber}`);
-      return false;
+      console.log(
+        `⚠️  No PDF available for credit note ${
+          creditNote.number || creditNote.id
+        }`
+      );
+      return null;
     }
   } catch (error) {
-    console.error(`❌ Error downloading Stripe invoice ${invoice.id}:`, error);
-    return false;
+    console.error(
+      `❌ Error downloading Stripe credit note ${creditNote.id}:`,
+      error.message
+    );
+    return null;
   }
 }
 
+/**
+ * Display receipt (charge without invoice) details summary
+ * @param {Array} charges - Charges from getStripeReceipts
+ * @param {object} [options] - Display options
+ * @param {string} [options.timezone] - Timezone the dates are shown in
+ */
+function displayReceiptDetails(charges, options = {}) {
+  console.log("\n📋 Found Charges without Invoice:");
+  console.log("=================================");
+
+  const currencyCount = {};
+
+  charges.forEach((charge, index) => {
+    const customerName =
+      charge.billing_details?.name ||
+      charge.checkout_session?.customer_details?.name ||
+      getCustomerName(charge.customer, null);
+    const amount = charge.amount / 100;
+    const currency = charge.currency.toUpperCase();
+    const date = formatDateInTimeZone(
+      charge.created,
+      options.timezone || DEFAULT_TIMEZONE,
+      "en-US"
+    );
+    const source = charge.checkout_session ? "Checkout" : "Payment";
+
+    console.log(
+      `${index + 1}. ${
+        charge.receipt_number || charge.id
+      } - ${customerName} - ${amount} ${currency} - ${date} (${source})`
+    );
+
+    currencyCount[currency] = (currencyCount[currency] || 0) + amount;
+  });
+
+  console.log("\n💰 Receipts:");
+  Object.entries(currencyCount).forEach(([currency, amount]) => {
+    console.log(`   ${currency}: ${amount.toFixed(2)}`);
+  });
+  console.log("");
+}
+
 /**
  * Display invoice details summary
  * @param {Array} invoices - Array of invoices
+ * @param {object} [options] - Display options
+ * @param {string} [options.dateBasis] - Date field shown per invoice
+ * @param {string} [options.timezone] - Timezone the dates are shown in
+ * @param {object} [options.converter] - Base currency converter for the total
  */
-function displayInvoiceDetails(invoices) {
+function displayInvoiceDetails(invoices, options = {}) {
   console.log("\n📋 Found Invoices:");
   console.log("==================");
 
-  let totalAmount = 0;
+  const { converter = null } = options;
+  let baseTotal = 0;
+  let unconvertedCount = 0;
   const currencyCount = {};
 
   invoices.forEach((invoice, index) => {
-    const customer = invoice.customer;
-    const customerName =
-      customer?.name ||
-      invoice.customer_name ||
-      customer?.email ||
-      invoice.customer_email ||
-      "Unknown";
-    // Use amount_paid if available, otherwise use total amount
-    const amount = (invoice.amount_paid || invoice.total) / 100;
+    const customerName = getCustomerName(invoice.customer, invoice);
+    const amount = invoice.total / 100;
     const currency = invoice.currency.toUpperCase();
-    const date = new Date(invoice.created * 1000).toLocaleDateString("en-US");
+    const date = formatDateInTimeZone(
+      getInvoiceTimestamp(invoice, options.dateBasis),
+      options.timezone || DEFAULT_TIMEZONE,
+      "en-US"
+    );
+
+    const status =
+      invoice.status === INVOICE_STATUSES.PAID ? "" : ` [${invoice.status}]`;
 
     console.log(
       `${index + 1}. ${
-        invoice.number
-      } - ${customerName} - ${amount} ${currency} - ${date}`
+        invoice.number || invoice.id
+      } - ${customerName} - ${amount} ${currency} - ${date}${status}`
     );
 
-    if (currency === "EUR") {
-      totalAmount += amount;
+    const conversion = converter?.getConversion({
+      currency,
+      timestamp: getInvoiceTimestamp(invoice, options.dateBasis),
+      charge: invoice.charge,
+    });
+    if (conversion) {
+      baseTotal += toBaseAmount(amount, conversion);
+    } else {
+      unconvertedCount++;
     }
 
     currencyCount[currency] = (currencyCount[currency] || 0) + amount;
@@ -203,13 +1051,99 @@ function displayInvoiceDetails(invoices) {
   Object.entries(currencyCount).forEach(([currency, amount]) => {
     console.log(`   ${currency}: ${amount.toFixed(2)}`);
   });
+  if (converter) {
+    const missing =
+      unconvertedCount > 0
+        ? ` (without ${unconvertedCount} invoices that have no exchange rate)`
+        : "";
+    console.log(
+      `   Total in ${converter.baseCurrency}: ${baseTotal.toFixed(2)}${missing}`
+    );
+  }
   console.log("");
 }
 
+/**
+ * Display credit note details summary
+ * @param {Array} creditNotes - Array of credit notes
+ * @param {object} [options] - Display options
+ * @param {string} [options.timezone] - Timezone the dates are shown in
+ */
+function displayCreditNoteDetails(creditNotes, options = {}) {
+  console.log("\n📋 Found Credit Notes:");
+  console.log("======================");
+
+  const currencyCount = {};
+
+  creditNotes.forEach((creditNote, index) => {
+    const invoice = creditNote.invoice;
+    const customerName = getCustomerName(creditNote.customer, invoice);
+    const invoiceNumber = invoice?.number || invoice?.id || invoice || "N/A";
+    const amount = creditNote.total / 100;
+    const currency = creditNote.currency.toUpperCase();
+    const date = formatDateInTimeZone(
+      creditNote.created,
+      options.timezone || DEFAULT_TIMEZONE,
+      "en-US"
+    );
+
+    console.log(
+      `${index + 1}. ${
+        creditNote.number
+      } - ${customerName} - -${amount} ${currency} - ${date} (for ${invoiceNumber})`
+    );
+
+    currencyCount[currency] = (currencyCount[currency] || 0) + amount;
+  });
+
+  console.log("\n💰 Credited:");
+  Object.entries(currencyCount).forEach(([currency, amount]) => {
+    console.log(`   ${currency}: -${amount.toFixed(2)}`);
+  });
+  console.log("");
+}
+
+/**
+ * Display the details of a Stripe account
+ * @param {object} account - Stripe account from getStripeAccount
+ * @param {string} keyMode - "live" or "test", from the API key
+ */
+function displayAccountDetails(account, keyMode) {
+  const name =
+    account.settings?.dashboard?.display_name ||
+    account.business_profile?.name ||
+    "N/A";
+  console.log(`\n🏢 Account: ${account.id} (${name})`);
+  console.log(`🌍 Country: ${account.country || "N/A"}`);
+  console.log(
+    `💶 Default currency: ${(account.default_currency || "N/A").toUpperCase()}`
+  );
+  console.log(`🔑 Mode: ${keyMode}`);
+}
+
 module.exports = {
+  FULL_ACCESS,
+  DEFAULT_DOWNLOAD_DIR,
+  createStripeClient,
   initializeStripe,
+  getStripeAccount,
   createDownloadFolder,
   getStripeInvoices,
+  getStripeCreditNotes,
+  getStripeReceipts,
+  getInvoiceRefunds,
+  getStripePayouts,
+  getPayoutTransactions,
+  getTransactionInvoiceNumbers,
+  getProductNames,
+  findInvoiceByNumber,
+  getInvoiceFilenameEntry,
+  getCreditNoteFilenameEntry,
+  getReceiptFilenameEntry,
   downloadStripeInvoice,
+  downloadStripeCreditNote,
   displayInvoiceDetails,
+  displayCreditNoteDetails,
+  displayReceiptDetails,
+  displayAccountDetails,
 };
@@ -0,0 +1,52 @@
+/**
+ * Invoice fields that can decide which period an invoice belongs to
+ */
+const DATE_BASES = {
+  CREATED: "created",
+  FINALIZED: "status_transitions.finalized_at",
+  PAID: "status_transitions.paid_at",
+};
+
+// Short names accepted on the command line and in config.json
+const DATE_BASIS_ALIASES = {
+  created: DATE_BASES.CREATED,
+  finalized: DATE_BASES.FINALIZED,
+  finalized_at: DATE_BASES.FINALIZED,
+  paid: DATE_BASES.PAID,
+  paid_at: DATE_BASES.PAID,
+};
+
+/**
+ * Parse a date basis name
+ * @param {string} input - "created", "finalized_at", "paid_at" or a full field path
+ * @returns {string|null} - One of DATE_BASES, or null if unknown
+ */
+function parseDateBasis(input) {
+  const value = String(input).trim().toLowerCase();
+  if (Object.values(DATE_BASES).includes(value)) {
+    return value;
+  }
+  return DATE_BASIS_ALIASES[value] || null;
+}
+
+/**
+ * Get the timestamp of an invoice according to the date basis
+ * @param {object} invoice - Stripe invoice object
+ * @param {string} dateBasis - One of DATE_BASES
+ * @returns {number|null} - Unix timestamp, or null if the invoice has no such date
+ */
+function getInvoiceTimestamp(invoice, dateBasis = DATE_BASES.CREATED) {
+  if (dateBasis === DATE_BASES.FINALIZED) {
+    return invoice.status_transitions?.finalized_at || null;
+  }
+  if (dateBasis === DATE_BASES.PAID) {
+    return invoice.status_transitions?.paid_at || null;
+  }
+  return invoice.created;
+}
+
+module.exports = {
+  DATE_BASES,
+  parseDateBasis,
+  getInvoiceTimestamp,
+};
@@ -0,0 +1,47 @@
+/**
+ * Invoice statuses that can be selected for download
+ */
+const INVOICE_STATUSES = {
+  DRAFT: "draft",
+  OPEN: "open",
+  PAID: "paid",
+  UNCOLLECTIBLE: "uncollectible",
+  VOID: "void",
+};
+
+/**
+ * Parse a list of invoice statuses
+ * @param {string|Array<string>} input - Comma-separated string or array (e.g. "paid,void")
+ * @returns {Array<string>|null} - Unique statuses in input order, or null if one is unknown or the list is empty
+ */
+function parseInvoiceStatuses(input) {
+  const values = (Array.isArray(input) ? input : String(input).split(","))
+    .map((value) => String(value).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (
+    values.length === 0 ||
+    values.some((value) => !Object.values(INVOICE_STATUSES).includes(value))
+  ) {
+    return null;
+  }
+
+  return [...new Set(values)];
+}
+
+/**
+ * Get the folder name for invoices of a status
+ * Paid invoices stay in the period folder itself; other statuses get their
+ * own subfolder so they can never be mistaken for booked revenue.
+ * @param {string} status - Invoice status
+ * @returns {string} - Subfolder name, empty for paid invoices
+ */
+function getStatusFolderName(status) {
+  return status === INVOICE_STATUSES.PAID ? "" : status;
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  parseInvoiceStatuses,
+  getStatusFolderName,
+};
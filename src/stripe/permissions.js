@@ -0,0 +1,165 @@
+const { FULL_ACCESS, createStripeClient } = require("./client");
+const { isRestrictedKey } = require("./apiKey");
+
+/**
+ * API permissions the tool uses, with a cheap request that needs each one
+ * Without a required permission no export is possible; the others only
+ * disable the features named in `purpose`.
+ */
+const PERMISSION_CHECKS = [
+  {
+    permission: "invoices:read",
+    required: true,
+    purpose: "list and download invoices",
+    probe: (stripe) => stripe.invoices.list({ limit: 1 }),
+  },
+  {
+    permission: "customers:read",
+    required: true,
+    purpose: "customer names and VAT IDs",
+    probe: (stripe) => stripe.customers.list({ limit: 1 }),
+  },
+  {
+    permission: "credit_notes:read",
+    required: true,
+    purpose: "list and download credit notes",
+    probe: (stripe) => stripe.creditNotes.list({ limit: 1 }),
+  },
+  {
+    permission: "charges:read",
+    required: false,
+    purpose:
+      "refunds without credit note, --receipts and Stripe's exchange rates",
+    probe: (stripe) => stripe.charges.list({ limit: 1 }),
+  },
+  {
+    permission: "balance_transactions:read",
+    required: false,
+    purpose:
+      "Stripe's exchange rates (the --fx-rates table is used instead) and --reconcile",
+    probe: (stripe) => stripe.balanceTransactions.list({ limit: 1 }),
+  },
+  {
+    permission: "products:read",
+    required: false,
+    purpose: "product names in invoice_lines.csv",
+    probe: (stripe) => stripe.products.list({ limit: 1 }),
+  },
+  {
+    permission: "payouts:read",
+    required: false,
+    purpose: "--reconcile",
+    probe: (stripe) => stripe.payouts.list({ limit: 1 }),
+  },
+  {
+    permission: "checkout_sessions:read",
+    required: false,
+    purpose: "line items and taxes of --receipts",
+    probe: (stripe) => stripe.checkout.sessions.list({ limit: 1 }),
+  },
+];
+
+/**
+ * Find out which of the needed permissions an API key has
+ * Every check is a list request for a single object. A rejected key stops
+ * the probe; other failures (e.g. network errors) leave the permission
+ * unknown.
+ * @param {string} apiKey - Secret or restricted API key
+ * @returns {Promise<Array>} - [{ permission, required, purpose, granted, error }]
+ *   where granted is true, false or null if it could not be checked
+ * @throws {Error} - If Stripe rejects the key itself
+ */
+async function probeKeyPermissions(apiKey) {
+  const stripe = createStripeClient(apiKey);
+  const results = [];
+
+  for (const { probe, ...check } of PERMISSION_CHECKS) {
+    try {
+      await probe(stripe);
+      results.push({ ...check, granted: true, error: null });
+    } catch (error) {
+      if (error.type === "StripeAuthenticationError") {
+        throw error;
+      }
+      results.push({
+        ...check,
+        granted: error.type === "StripePermissionError" ? false : null,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Find out which optional objects an export may request
+ * Stripe checks the permissions of expanded objects as well: a restricted
+ * key without charges:read or balance_transactions:read fails the whole
+ * invoice list if charges or their balance transactions are expanded. The
+ * probe is only needed for restricted keys; permissions that could not be
+ * checked count as granted. Checkout sessions are looked up per receipt and
+ * skipped without checkout_sessions:read.
+ * @param {string} apiKey - Secret or restricted API key
+ * @returns {Promise<object>} - { charges, balanceTransactions,
+ *   checkoutSessions } as booleans
+ * @throws {Error} - If Stripe rejects the key itself
+ */
+async function getExportAccess(apiKey) {
+  if (!isRestrictedKey(apiKey)) {
+    return FULL_ACCESS;
+  }
+
+  const results = await probeKeyPermissions(apiKey);
+  const isGranted = (permission) =>
+    results.find((result) => result.permission === permission).granted !==
+    false;
+  return {
+    charges: isGranted("charges:read"),
+    balanceTransactions: isGranted("balance_transactions:read"),
+    checkoutSessions: isGranted("checkout_sessions:read"),
+  };
+}
+
+/**
+ * Display the result of a permission probe
+ * @param {Array} results - Results of probeKeyPermissions
+ * @returns {Array} - Required permissions the key is missing
+ */
+function displayPermissionReport(results) {
+  console.log("\n🔑 API key permissions:");
+  results.forEach((result) => {
+    const icon =
+      result.granted === true ? "✅" : result.granted === false ? "❌" : "❔";
+    const note =
+      result.granted === true
+        ? ""
+        : result.granted === false
+        ? ` - missing, ${result.required ? "required to" : "disables"} ${
+            result.purpose
+          }`
+        : ` - could not be checked: ${result.error}`;
+    console.log(`   ${icon} ${result.permission}${note}`);
+  });
+
+  const missing = results.filter(
+    (result) => result.required && result.granted === false
+  );
+  if (missing.length > 0) {
+    console.log(
+      `\n⚠️  Grant ${missing
+        .map((result) => result.permission)
+        .join(
+          ", "
+        )} (Read) to the restricted key in the Stripe dashboard under Developers > API keys.`
+    );
+  }
+  return missing;
+}
+
+module.exports = {
+  PERMISSION_CHECKS,
+  probeKeyPermissions,
+  getExportAccess,
+  displayPermissionReport,
+};
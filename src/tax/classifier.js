@@ -35,6 +35,8 @@ const EU_COUNTRIES = [
 const TAX_TYPES = {
   STANDARD: "Standard",
   REVERSE_CHARGE: "Reverse Charge",
+  // Reverse charge assumed, but the customer has no valid EU VAT ID
+  REVERSE_CHARGE_UNVERIFIED: "Reverse Charge (unverified)",
   OSS: "OSS",
   EXPORT: "Export",
   TAX_FREE: "Tax-free",
@@ -42,13 +44,24 @@ const TAX_TYPES = {
 
 /**
  * Classify tax type based on company and customer countries and tax amount
+ * Reverse charge requires a business customer, so when a VAT ID check is
+ * given and fails, the invoice is downgraded to Reverse Charge (unverified).
+ * The untaxed remainder of an otherwise taxed invoice (see
+ * extractTaxBuckets) is Tax-free, whatever the countries.
  * @param {string} companyCountry - Company's country code
  * @param {string} customerCountry - Customer's country code
  * @param {number} taxAmount - Tax amount
  * @param {object} taxRateInfo - Tax rate information from Stripe
+ * @param {object} [vatIdCheck] - Result of validateVatId for the customer's EU VAT ID
  * @returns {object} Classification result with taxInfo, isReverseCharge, and taxRateDisplay
  */
-function classifyTax(companyCountry, customerCountry, taxAmount, taxRateInfo) {
+function classifyTax(
+  companyCountry,
+  customerCountry,
+  taxAmount,
+  taxRateInfo,
+  vatIdCheck
+) {
   const isCompanyEU = EU_COUNTRIES.includes(companyCountry);
   const isCustomerEU = EU_COUNTRIES.includes(customerCountry);
 
@@ -56,8 +69,13 @@ function classifyTax(companyCountry, customerCountry, taxAmount, taxRateInfo) {
   let isReverseCharge = false;
   let taxRate = taxRateInfo.rate || "0";
 
+  // Lines without tax on an invoice that is taxed otherwise
+  if (taxRateInfo.untaxedRemainder) {
+    taxInfo = TAX_TYPES.TAX_FREE;
+  }
+
   // Check for explicit reverse charge indicators
-  if (
+  else if (
     taxRateInfo.displayName &&
     (taxRateInfo.displayName.toLowerCase().includes("reverse charge") ||
       taxRateInfo.displayName.toLowerCase().includes("reverse") ||
@@ -173,10 +191,25 @@ function classifyTax(companyCountry, customerCountry, taxAmount, taxRateInfo) {
     }
   }
 
+  // Without a valid VAT ID the customer may be a consumer
+  if (isReverseCharge && vatIdCheck && !vatIdCheck.valid) {
+    isReverseCharge = false;
+    taxInfo = TAX_TYPES.REVERSE_CHARGE_UNVERIFIED;
+    console.log(
+      `⚠️  Warning: Invoice ${
+        taxRateInfo.invoiceId || "unknown"
+      } - Reverse charge without a valid VAT ID (${
+        vatIdCheck.reason
+      }), check whether the customer is a business`
+    );
+  }
+
   // Format tax rate with tax info
   let taxRateDisplay = `${taxRate}%`;
   if (isReverseCharge) {
     taxRateDisplay = `${taxRate}% (RC)`;
+  } else if (taxInfo === TAX_TYPES.REVERSE_CHARGE_UNVERIFIED) {
+    taxRateDisplay = `${taxRate}% (RC unverified)`;
   } else if (taxInfo === TAX_TYPES.EXPORT) {
     taxRateDisplay = `${taxRate}% (Export)`;
   } else if (taxInfo === TAX_TYPES.TAX_FREE) {
@@ -192,10 +225,111 @@ function classifyTax(companyCountry, customerCountry, taxAmount, taxRateInfo) {
   };
 }
 
+/**
+ * Group the tax amounts of an invoice into one bucket per rate
+ * Buckets come from `total_tax_amounts`, or from the line items' `tax_amounts`
+ * if the invoice has no totals. Parts of the invoice without any tax amount
+ * become a 0% bucket, so the gross amounts of all buckets add up to the
+ * invoice total. If other buckets carry tax, that remainder is flagged as
+ * `untaxedRemainder` - it is not reverse charge or export just because it
+ * has no tax, and classifyTax treats it as Tax-free. Taxes stacked on the
+ * same amount (e.g. state and county tax) cannot be split per rate and fall
+ * back to a single bucket.
+ * @param {object} invoice - Stripe invoice object
+ * @param {object} fallback - Single-rate result of extractTaxInfo
+ * @returns {Array} Buckets { rate, jurisdiction, displayName, taxableAmount,
+ *   taxAmount, taxabilityReason, untaxedRemainder }
+ */
+function extractTaxBuckets(invoice, fallback) {
+  const singleBucket = {
+    rate: fallback.rate,
+    jurisdiction: null,
+    displayName: fallback.displayName,
+    taxableAmount: invoice.total / 100 - fallback.amount,
+    taxAmount: fallback.amount,
+    taxabilityReason: fallback.taxabilityReason,
+  };
+
+  let entries = invoice.total_tax_amounts || [];
+  if (entries.length === 0 && invoice.lines && invoice.lines.data) {
+    entries = invoice.lines.data.flatMap((line) => line.tax_amounts || []);
+  }
+  if (
+    entries.length === 0 ||
+    entries.some((entry) => typeof entry.taxable_amount !== "number")
+  ) {
+    return [singleBucket];
+  }
+
+  // Sum in cents per rate, jurisdiction and taxability reason
+  const buckets = {};
+  for (const entry of entries) {
+    const taxRate =
+      entry.tax_rate && typeof entry.tax_rate === "object"
+        ? entry.tax_rate
+        : {};
+    const rate =
+      entry.amount > 0 && taxRate.percentage
+        ? taxRate.percentage.toString()
+        : "0";
+    const jurisdiction = taxRate.jurisdiction || taxRate.country || null;
+    const taxabilityReason = entry.taxability_reason || null;
+    const key = `${rate}-${jurisdiction}-${taxabilityReason}`;
+    if (!buckets[key]) {
+      buckets[key] = {
+        rate,
+        jurisdiction,
+        displayName: taxRate.display_name || null,
+        taxableCents: 0,
+        taxCents: 0,
+        taxabilityReason,
+      };
+    }
+    buckets[key].taxableCents += entry.taxable_amount;
+    buckets[key].taxCents += entry.amount;
+  }
+
+  const bucketList = Object.values(buckets);
+  const coveredCents = bucketList.reduce(
+    (sum, bucket) => sum + bucket.taxableCents + bucket.taxCents,
+    0
+  );
+  const uncoveredCents = invoice.total - coveredCents;
+
+  // Allow one cent of rounding per bucket
+  if (uncoveredCents < -bucketList.length) {
+    console.log(
+      `🔧 Debug: Invoice ${
+        invoice.number || invoice.id
+      } - Stacked taxes on the same amount, using a single tax bucket`
+    );
+    return [singleBucket];
+  }
+  if (uncoveredCents > bucketList.length) {
+    bucketList.push({
+      rate: "0",
+      jurisdiction: null,
+      displayName: null,
+      taxableCents: uncoveredCents,
+      taxCents: 0,
+      taxabilityReason: null,
+      untaxedRemainder: bucketList.some((bucket) => bucket.taxCents > 0),
+    });
+  }
+
+  return bucketList.map(({ taxableCents, taxCents, ...bucket }) => ({
+    ...bucket,
+    taxableAmount: taxableCents / 100,
+    taxAmount: taxCents / 100,
+  }));
+}
+
 /**
  * Extract tax information from invoice line items
+ * `amount` and `rate` describe the invoice as a whole (the rate is the last
+ * one seen), `buckets` break the invoice down per rate.
  * @param {object} invoice - Stripe invoice object
- * @returns {object} Tax information with rate, amount, and display name
+ * @returns {object} Tax information with rate, amount, display name and per-rate buckets
  */
 function extractTaxInfo(invoice) {
   let taxAmount = 0;
@@ -288,7 +422,7 @@ function extractTaxInfo(invoice) {
 
   // Method 3: Calculate tax rate from amounts if we have tax but no rate
   if (taxAmount > 0 && (taxRate === "0" || !taxRate)) {
-    const totalAmount = (invoice.amount_paid || invoice.total) / 100;
+    const totalAmount = invoice.total / 100;
     const netAmount = totalAmount - taxAmount;
 
     if (netAmount > 0) {
@@ -315,7 +449,7 @@ function extractTaxInfo(invoice) {
     taxAmount = invoice.tax / 100;
 
     // Calculate rate from total if we have tax amount
-    const totalAmount = (invoice.amount_paid || invoice.total) / 100;
+    const totalAmount = invoice.total / 100;
     const netAmount = totalAmount - taxAmount;
 
     if (netAmount > 0) {
@@ -351,12 +485,60 @@ function extractTaxInfo(invoice) {
     taxRate = "0";
   }
 
-  return {
+  const result = {
     amount: taxAmount,
     rate: taxRate,
     displayName,
     taxabilityReason,
   };
+  result.buckets = extractTaxBuckets(invoice, result);
+  return result;
+}
+
+/**
+ * Extract tax information from a credit note
+ * Credit notes carry their taxes in `tax_amounts` instead of
+ * `total_tax_amounts`, so they are mapped onto the invoice shape and run
+ * through the same extraction as invoices.
+ * @param {object} creditNote - Stripe credit note object
+ * @returns {object} Tax information with rate, amount, display name and buckets (amounts positive)
+ */
+function extractCreditNoteTaxInfo(creditNote) {
+  return extractTaxInfo({
+    id: creditNote.id,
+    number: creditNote.number,
+    lines: creditNote.lines,
+    total_tax_amounts: creditNote.tax_amounts,
+    total: creditNote.total,
+  });
+}
+
+/**
+ * Extract tax information from a charge without invoice
+ * Taxes come from the Checkout session that created the charge
+ * (`total_details.breakdown.taxes`). Charges without a Checkout session,
+ * such as direct PaymentIntents, carry no tax information and are treated
+ * as untaxed.
+ * @param {object} charge - Stripe charge with `checkout_session` from getStripeReceipts
+ * @returns {object} Tax information with rate, amount, display name and buckets
+ */
+function extractReceiptTaxInfo(charge) {
+  const totalDetails = charge.checkout_session?.total_details;
+  const taxes = totalDetails?.breakdown?.taxes || [];
+  return extractTaxInfo({
+    id: charge.id,
+    number: charge.receipt_number || charge.id,
+    total_tax_amounts: taxes.map((tax) => ({
+      amount: tax.amount,
+      inclusive: Boolean(tax.rate?.inclusive),
+      taxability_reason: tax.taxability_reason,
+      taxable_amount: tax.taxable_amount,
+      tax_rate: tax.rate,
+    })),
+    // Tax total without breakdown, for Method 4 of extractTaxInfo
+    tax: taxes.length === 0 ? totalDetails?.amount_tax || 0 : 0,
+    total: charge.amount,
+  });
 }
 
 module.exports = {
@@ -364,4 +546,6 @@ module.exports = {
   TAX_TYPES,
   classifyTax,
   extractTaxInfo,
+  extractCreditNoteTaxInfo,
+  extractReceiptTaxInfo,
 };
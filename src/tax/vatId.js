@@ -0,0 +1,198 @@
+const {
+  VAT_ID_CHECKSUMS,
+  checkUkVatNumber,
+  mod11CheckDigit,
+  toDigits,
+} = require("./vatIdChecksums");
+
+// Syntax of EU VAT identification numbers after the country prefix
+const VAT_ID_PATTERNS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  EL: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{10}01$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+  // Northern Ireland (goods only)
+  XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+};
+
+/**
+ * Get the VAT ID prefix of a country (Greece uses EL instead of GR)
+ * @param {string} countryCode - ISO country code
+ * @returns {string} - VAT ID prefix
+ */
+function getVatIdPrefix(countryCode) {
+  return countryCode === "GR" ? "EL" : countryCode;
+}
+
+/**
+ * Normalize a VAT ID: upper case without spaces, dots and dashes
+ * @param {string} vatId - VAT ID as entered
+ * @returns {string} - Normalized VAT ID (e.g. "DE123456789")
+ */
+function normalizeVatId(vatId) {
+  return String(vatId || "")
+    .toUpperCase()
+    .replace(/[\s.\-]/g, "");
+}
+
+/**
+ * Get the EU VAT ID of an invoice's customer
+ * The tax IDs copied onto the invoice at finalization win over the current
+ * tax IDs of the customer, so later changes do not rewrite history.
+ * @param {object} invoice - Stripe invoice (may be missing for credit notes)
+ * @param {object} customer - Expanded Stripe customer with tax_ids (may be missing)
+ * @returns {string|null} - Normalized VAT ID or null if none is known
+ */
+function getCustomerVatId(invoice, customer) {
+  const isVatId = (taxId) => taxId && taxId.type === "eu_vat" && taxId.value;
+
+  const fromInvoice = (invoice?.customer_tax_ids || []).find(isVatId);
+  if (fromInvoice) {
+    return normalizeVatId(fromInvoice.value);
+  }
+
+  const fromCustomer = (customer?.tax_ids?.data || []).find(isVatId);
+  return fromCustomer ? normalizeVatId(fromCustomer.value) : null;
+}
+
+/**
+ * Validate an EU VAT ID offline: country prefix, number format and check digits
+ * @param {string} vatId - VAT ID
+ * @returns {object} - { valid, reason } (reason explains why it is invalid)
+ */
+function validateVatId(vatId) {
+  const normalized = normalizeVatId(vatId);
+  if (!normalized) {
+    return { valid: false, reason: "missing" };
+  }
+
+  const prefix = normalized.slice(0, 2);
+  const pattern = VAT_ID_PATTERNS[prefix];
+  if (!pattern) {
+    return { valid: false, reason: `unknown country prefix "${prefix}"` };
+  }
+  if (!pattern.test(normalized.slice(2))) {
+    return { valid: false, reason: `invalid format for ${prefix}` };
+  }
+  if (!VAT_ID_CHECKSUMS[prefix](normalized.slice(2))) {
+    return { valid: false, reason: "wrong check digits" };
+  }
+
+  return { valid: true, reason: null };
+}
+
+// Validators of non-EU VAT numbers by Stripe tax ID type
+const TAX_ID_VALIDATORS = {
+  gb_vat: (value) => {
+    const match = /^(?:GB)?(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/.exec(value);
+    if (!match) {
+      return { valid: false, reason: "invalid format for GB" };
+    }
+    return checkUkVatNumber(match[1])
+      ? { valid: true, reason: null }
+      : { valid: false, reason: "wrong check digits" };
+  },
+  ch_vat: (value) => {
+    const match = /^CHE(\d{9})(?:MWST|TVA|IVA|TPV)?$/.exec(value);
+    if (!match) {
+      return { valid: false, reason: "invalid format for CH" };
+    }
+    const digits = toDigits(match[1]);
+    return mod11CheckDigit(digits, [5, 4, 3, 2, 7, 6, 5, 4]) === digits[8]
+      ? { valid: true, reason: null }
+      : { valid: false, reason: "wrong check digits" };
+  },
+  no_vat: (value) => {
+    const match = /^(?:NO)?(\d{9})(?:MVA)?$/.exec(value);
+    if (!match) {
+      return { valid: false, reason: "invalid format for NO" };
+    }
+    const digits = toDigits(match[1]);
+    return mod11CheckDigit(digits, [3, 2, 7, 6, 5, 4, 3, 2]) === digits[8]
+      ? { valid: true, reason: null }
+      : { valid: false, reason: "wrong check digits" };
+  },
+};
+
+/**
+ * Get the tax ID shown for a customer: the EU VAT ID if there is one,
+ * otherwise the first tax ID of any type
+ * @param {object} invoice - Stripe invoice (may be missing for credit notes)
+ * @param {object} customer - Expanded Stripe customer with tax_ids (may be missing)
+ * @returns {object|null} - { type, value } or null if the customer has no tax ID
+ */
+function getCustomerTaxId(invoice, customer) {
+  const taxIds = invoice?.customer_tax_ids?.length
+    ? invoice.customer_tax_ids
+    : customer?.tax_ids?.data || [];
+  const taxId =
+    taxIds.find((entry) => entry.type === "eu_vat" && entry.value) ||
+    taxIds.find((entry) => entry.value);
+  return taxId ? { type: taxId.type, value: taxId.value } : null;
+}
+
+/**
+ * Validate a Stripe tax ID offline
+ * EU, UK, Swiss and Norwegian VAT numbers are checked for format and check
+ * digits. Other tax ID types are passed through unchecked.
+ * @param {object|null} taxId - { type, value } from getCustomerTaxId
+ * @returns {object} - { valid, reason } with valid true, false, or null if not checked
+ */
+function validateTaxId(taxId) {
+  if (!taxId) {
+    return { valid: false, reason: "missing" };
+  }
+  if (taxId.type === "eu_vat") {
+    return validateVatId(taxId.value);
+  }
+  const validator = TAX_ID_VALIDATORS[taxId.type];
+  if (!validator) {
+    return { valid: null, reason: `${taxId.type} is not checked` };
+  }
+  return validator(normalizeVatId(taxId.value));
+}
+
+/**
+ * Describe a validation result for the CSV exports
+ * @param {object} result - Result of validateTaxId
+ * @returns {string} - "valid", "invalid: <reason>" or "not checked"
+ */
+function formatTaxIdCheck(result) {
+  if (result.valid === null) {
+    return "not checked";
+  }
+  return result.valid ? "valid" : `invalid: ${result.reason}`;
+}
+
+module.exports = {
+  getVatIdPrefix,
+  normalizeVatId,
+  getCustomerVatId,
+  getCustomerTaxId,
+  validateVatId,
+  validateTaxId,
+  formatTaxIdCheck,
+};
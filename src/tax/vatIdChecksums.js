@@ -0,0 +1,349 @@
+// Check digit algorithms of VAT identification numbers, keyed by prefix.
+// Each function receives the number without prefix, already matching the
+// format pattern, and returns whether the check digits are correct.
+
+/**
+ * Convert a string of digits to an array of numbers
+ * @param {string} number - Digits
+ * @returns {Array<number>} - Digit values
+ */
+function toDigits(number) {
+  return number.split("").map((char) => parseInt(char, 10));
+}
+
+/**
+ * Weighted sum of digits
+ * @param {Array<number>} digits - Digit values
+ * @param {Array<number>} weights - Weight per position
+ * @returns {number} - Sum of digit times weight
+ */
+function weightedSum(digits, weights) {
+  return weights.reduce(
+    (sum, weight, index) => sum + digits[index] * weight,
+    0
+  );
+}
+
+/**
+ * Luhn check over all digits (check digit last)
+ * @param {string} number - Digits
+ * @returns {boolean} - Whether the Luhn check passes
+ */
+function luhn(number) {
+  const sum = toDigits(number)
+    .reverse()
+    .reduce((total, digit, index) => {
+      if (index % 2 === 0) {
+        return total + digit;
+      }
+      const doubled = digit * 2;
+      return total + (doubled > 9 ? doubled - 9 : doubled);
+    }, 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 7064 MOD 11,10 check (check digit last)
+ * @param {string} number - Digits
+ * @returns {boolean} - Whether the check passes
+ */
+function mod11And10(number) {
+  const digits = toDigits(number);
+  let product = 10;
+  for (const digit of digits.slice(0, -1)) {
+    let sum = (digit + product) % 10;
+    if (sum === 0) {
+      sum = 10;
+    }
+    product = (2 * sum) % 11;
+  }
+  return (11 - product) % 10 === digits[digits.length - 1];
+}
+
+/**
+ * Remainder of a long numeric string, which may exceed the safe integer range
+ * @param {string} number - Digits
+ * @param {number} divisor - Divisor
+ * @returns {number} - Remainder
+ */
+function modulo(number, divisor) {
+  return number
+    .split("")
+    .reduce((rest, char) => (rest * 10 + parseInt(char, 10)) % divisor, 0);
+}
+
+/**
+ * Check digit from a weighted sum modulo 11, where 10 is not a valid result
+ * @param {Array<number>} digits - Digit values
+ * @param {Array<number>} weights - Weights of the leading digits
+ * @returns {number|null} - Check digit, or null if none exists
+ */
+function mod11CheckDigit(digits, weights) {
+  const check = 11 - (weightedSum(digits, weights) % 11);
+  if (check === 10) {
+    return null;
+  }
+  return check === 11 ? 0 : check;
+}
+
+/**
+ * Check digit with two passes modulo 11 (Bulgaria, Lithuania)
+ * @param {Array<number>} digits - Digit values
+ * @param {Array<number>} firstWeights - Weights of the first pass
+ * @param {Array<number>} secondWeights - Weights if the first pass yields 10
+ * @returns {number} - Check digit
+ */
+function twoPassMod11(digits, firstWeights, secondWeights) {
+  let check = weightedSum(digits, firstWeights) % 11;
+  if (check === 10) {
+    check = weightedSum(digits, secondWeights) % 11;
+  }
+  return check === 10 ? 0 : check;
+}
+
+/**
+ * UK (and Northern Ireland) VAT registration number check
+ * @param {string} number - 9 or 12 digits (12 with branch number)
+ * @returns {boolean} - Whether the check passes
+ */
+function checkUkVatNumber(number) {
+  if (/^(GD|HA)\d{3}$/.test(number)) {
+    // Government departments (GD000-499) and health authorities (HA500-999)
+    const value = parseInt(number.slice(2), 10);
+    return number.startsWith("GD") ? value < 500 : value >= 500;
+  }
+  const digits = toDigits(number.slice(0, 9));
+  const total =
+    weightedSum(digits, [8, 7, 6, 5, 4, 3, 2]) +
+    parseInt(number.slice(7, 9), 10);
+  return total % 97 === 0 || (total + 55) % 97 === 0;
+}
+
+/**
+ * Irish VAT number check (old format is converted to the new one first)
+ * @param {string} number - IE number without prefix
+ * @returns {boolean} - Whether the check passes
+ */
+function checkIrishVatNumber(number) {
+  const normalized = /^\d[A-Z+*]/.test(number)
+    ? `0${number.slice(2, 7)}${number[0]}${number[7]}`
+    : number;
+  const letters = "WABCDEFGHIJKLMNOPQRSTUV";
+  const digits = toDigits(normalized.slice(0, 7));
+  let sum = weightedSum(digits, [8, 7, 6, 5, 4, 3, 2]);
+  if (normalized.length === 9) {
+    sum += 9 * letters.indexOf(normalized[8]);
+  }
+  return letters[sum % 23] === normalized[7];
+}
+
+/**
+ * Spanish NIF check for companies, residents and foreigners
+ * @param {string} number - ES number without prefix
+ * @returns {boolean} - Whether the check passes
+ */
+function checkSpanishVatNumber(number) {
+  const personLetters = "TRWAGMYFPDXBNJZSQVHLCKE";
+
+  // DNI of Spanish residents: 8 digits and a letter
+  if (/^\d{8}[A-Z]$/.test(number)) {
+    return personLetters[parseInt(number.slice(0, 8), 10) % 23] === number[8];
+  }
+  // NIE of foreigners: X, Y or Z replaced by 0, 1 or 2
+  if (/^[XYZ]\d{7}[A-Z]$/.test(number)) {
+    const value = parseInt("XYZ".indexOf(number[0]) + number.slice(1, 8), 10);
+    return personLetters[value % 23] === number[8];
+  }
+  // Special NIF of persons without DNI
+  if (/^[KLM]\d{7}[A-Z]$/.test(number)) {
+    return personLetters[parseInt(number.slice(1, 8), 10) % 23] === number[8];
+  }
+  // CIF of legal entities: letter, 7 digits and a check digit or letter
+  if (/^[A-HJNP-SUVW]\d{7}[0-9A-J]$/.test(number)) {
+    const digits = toDigits(number.slice(1, 8));
+    const sum = digits.reduce((total, digit, index) => {
+      if (index % 2 === 1) {
+        return total + digit;
+      }
+      const doubled = digit * 2;
+      return total + Math.floor(doubled / 10) + (doubled % 10);
+    }, 0);
+    const check = (10 - (sum % 10)) % 10;
+    return number[8] === String(check) || number[8] === "JABCDEFGHI"[check];
+  }
+  return false;
+}
+
+/**
+ * Dutch VAT number check: the old elfproef or the MOD 97 check of 2020
+ * @param {string} number - NL number without prefix (e.g. 123456789B01)
+ * @returns {boolean} - Whether the check passes
+ */
+function checkDutchVatNumber(number) {
+  const digits = toDigits(number.slice(0, 9));
+  if (weightedSum(digits, [9, 8, 7, 6, 5, 4, 3, 2]) % 11 === digits[8]) {
+    return true;
+  }
+  // Letters count as 10 (A) to 35 (Z), including the NL prefix
+  const numeric = `NL${number}`.replace(/[A-Z]/g, (char) =>
+    String(char.charCodeAt(0) - 55)
+  );
+  return modulo(numeric, 97) === 1;
+}
+
+const VAT_ID_CHECKSUMS = {
+  AT: (number) => {
+    const digits = toDigits(number.slice(1));
+    const sum = digits.slice(0, 7).reduce((total, digit, index) => {
+      if (index % 2 === 0) {
+        return total + digit;
+      }
+      const doubled = digit * 2;
+      return total + Math.floor(doubled / 10) + (doubled % 10);
+    }, 0);
+    return (10 - ((sum + 4) % 10)) % 10 === digits[7];
+  },
+  BE: (number) =>
+    97 - (parseInt(number.slice(0, 8), 10) % 97) ===
+    parseInt(number.slice(8), 10),
+  BG: (number) => {
+    const digits = toDigits(number);
+    if (number.length === 9) {
+      return (
+        twoPassMod11(
+          digits,
+          [1, 2, 3, 4, 5, 6, 7, 8],
+          [3, 4, 5, 6, 7, 8, 9, 10]
+        ) === digits[8]
+      );
+    }
+    // Personal number (EGN), foreigner number or other 10 digit numbers
+    const personal =
+      (weightedSum(digits, [2, 4, 8, 5, 10, 9, 7, 3, 6]) % 11) % 10;
+    const foreigner =
+      weightedSum(digits, [21, 19, 17, 13, 11, 9, 7, 3, 1]) % 10;
+    const other = mod11CheckDigit(digits, [4, 3, 2, 7, 6, 5, 4, 3, 2]);
+    return [personal, foreigner, other].includes(digits[9]);
+  },
+  CY: (number) => {
+    const oddValues = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21];
+    const sum = toDigits(number.slice(0, 8)).reduce(
+      (total, digit, index) =>
+        total + (index % 2 === 0 ? oddValues[digit] : digit),
+      0
+    );
+    return String.fromCharCode(65 + (sum % 26)) === number[8];
+  },
+  CZ: (number) => {
+    const digits = toDigits(number);
+    if (number.length === 8) {
+      const check = 11 - (weightedSum(digits, [8, 7, 6, 5, 4, 3, 2]) % 11);
+      return check % 10 === digits[7];
+    }
+    if (number.length === 10) {
+      // Birth number of individuals, divisible by 11
+      return (
+        modulo(number, 11) === 0 ||
+        (modulo(number.slice(0, 9), 11) === 10 && digits[9] === 0)
+      );
+    }
+    // 9 digits: birth numbers before 1954 and special numbers, no check digit
+    return true;
+  },
+  DE: (number) => number[0] !== "0" && mod11And10(number),
+  DK: (number) =>
+    weightedSum(toDigits(number), [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0,
+  EE: (number) => {
+    const digits = toDigits(number);
+    return (
+      (10 - (weightedSum(digits, [3, 7, 1, 3, 7, 1, 3, 7]) % 10)) % 10 ===
+      digits[8]
+    );
+  },
+  EL: (number) => {
+    const digits = toDigits(number);
+    return (
+      (weightedSum(digits, [256, 128, 64, 32, 16, 8, 4, 2]) % 11) % 10 ===
+      digits[8]
+    );
+  },
+  ES: checkSpanishVatNumber,
+  FI: (number) => {
+    const digits = toDigits(number);
+    return mod11CheckDigit(digits, [7, 9, 10, 5, 8, 4, 2]) === digits[7];
+  },
+  FR: (number) => {
+    // Numeric keys are derived from the SIREN; alphanumeric keys are not checkable
+    if (!/^\d{2}/.test(number)) {
+      return true;
+    }
+    const siren = parseInt(number.slice(2), 10);
+    return (12 + 3 * (siren % 97)) % 97 === parseInt(number.slice(0, 2), 10);
+  },
+  HR: mod11And10,
+  HU: (number) => {
+    const digits = toDigits(number);
+    return (
+      (10 - (weightedSum(digits, [9, 7, 3, 1, 9, 7, 3]) % 10)) % 10 ===
+      digits[7]
+    );
+  },
+  IE: checkIrishVatNumber,
+  IT: luhn,
+  LT: (number) => {
+    const digits = toDigits(number);
+    const length = digits.length - 1;
+    const first = Array.from({ length }, (_, index) => (index % 9) + 1);
+    const second = Array.from({ length }, (_, index) => ((index + 2) % 9) + 1);
+    return twoPassMod11(digits, first, second) === digits[length];
+  },
+  LU: (number) =>
+    parseInt(number.slice(0, 6), 10) % 89 === parseInt(number.slice(6), 10),
+  LV: (number) => {
+    // Personal codes of individuals start with 0-3 and carry a birth date
+    if (parseInt(number[0], 10) <= 3) {
+      return true;
+    }
+    return (
+      weightedSum(toDigits(number), [9, 1, 4, 8, 3, 10, 2, 5, 7, 6, 1]) % 11 ===
+      3
+    );
+  },
+  MT: (number) =>
+    weightedSum(toDigits(number), [3, 4, 6, 7, 8, 9, 10, 1]) % 37 === 0,
+  NL: checkDutchVatNumber,
+  PL: (number) => {
+    const digits = toDigits(number);
+    return weightedSum(digits, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11 === digits[9];
+  },
+  PT: (number) => {
+    const digits = toDigits(number);
+    const check = 11 - (weightedSum(digits, [9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+    return (check >= 10 ? 0 : check) === digits[8];
+  },
+  RO: (number) => {
+    const digits = toDigits(number.padStart(10, "0"));
+    return (
+      ((weightedSum(digits, [7, 5, 3, 2, 1, 7, 5, 3, 2]) * 10) % 11) % 10 ===
+      digits[9]
+    );
+  },
+  SE: (number) => luhn(number.slice(0, 10)),
+  SI: (number) => {
+    const digits = toDigits(number);
+    const check = 11 - (weightedSum(digits, [8, 7, 6, 5, 4, 3, 2]) % 11);
+    return number[0] !== "0" && check !== 11 && check % 10 === digits[7];
+  },
+  SK: (number) =>
+    number[0] !== "0" &&
+    "234789".includes(number[2]) &&
+    modulo(number, 11) === 0,
+  XI: checkUkVatNumber,
+};
+
+module.exports = {
+  VAT_ID_CHECKSUMS,
+  mod11CheckDigit,
+  checkUkVatNumber,
+  toDigits,
+};
@@ -0,0 +1,312 @@
+/**
+ * Process exit codes - documented in the README and in the --help output
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  UNEXPECTED_ERROR: 1,
+  BAD_ARGUMENTS: 2,
+  AUTH_FAILED: 3,
+  NO_INVOICES: 4,
+  DOWNLOADS_FAILED: 5,
+  BLOCKING_ERRORS: 6,
+};
+
+/**
+ * Supported command line options
+ * Boolean options never take a value, string options always do.
+ */
+const OPTIONS = {
+  config: { type: "string" },
+  profile: { type: "string" },
+  "all-profiles": { type: "boolean" },
+  tag: { type: "string" },
+  month: { type: "string" },
+  year: { type: "string" },
+  quarter: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  status: { type: "string" },
+  "date-basis": { type: "string" },
+  "lookback-days": { type: "string" },
+  timezone: { type: "string" },
+  yes: { type: "boolean", alias: "y" },
+  "no-download": { type: "boolean" },
+  csv: { type: "boolean" },
+  "no-csv": { type: "boolean" },
+  "output-dir": { type: "string" },
+  formats: { type: "string" },
+  concurrency: { type: "string" },
+  timeout: { type: "string" },
+  retries: { type: "string" },
+  "retry-failed": { type: "boolean" },
+  "filename-template": { type: "string" },
+  "base-currency": { type: "string" },
+  "fx-rates": { type: "string" },
+  reconcile: { type: "boolean" },
+  receipts: { type: "boolean" },
+  "non-interactive": { type: "boolean" },
+  help: { type: "boolean", alias: "h" },
+};
+
+/**
+ * Supported commands with their subcommands and the number of arguments each
+ * subcommand takes at most
+ */
+const COMMANDS = {
+  config: { show: 0 },
+  vault: { "change-passphrase": 0, reencrypt: 0 },
+  profile: { list: 0, test: 1, rename: 2, delete: 1, "rotate-key": 1, set: 3 },
+};
+
+/**
+ * Convert a kebab-case option name to camelCase
+ * @param {string} name - Option name (e.g. "output-dir")
+ * @returns {string} - camelCase name (e.g. "outputDir")
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Find the option spec for a long name or short alias
+ * @param {string} name - Name without leading dashes
+ * @returns {Array|null} - [longName, spec] or null if unknown
+ */
+function findOption(name) {
+  if (OPTIONS[name]) {
+    return [name, OPTIONS[name]];
+  }
+  const entry = Object.entries(OPTIONS).find(([, spec]) => spec.alias === name);
+  return entry || null;
+}
+
+/**
+ * Check the positional arguments against the supported commands
+ * Without a command no positional is allowed - a stray one is usually the
+ * second half of an unquoted option value (e.g. --quarter Q1 2025).
+ * @param {Array<string>} positionals - Arguments that are not options
+ * @throws {Error} - On unknown commands or surplus arguments
+ */
+function validatePositionals(positionals) {
+  if (positionals.length === 0) {
+    return;
+  }
+
+  const [command, subcommand] = positionals;
+  const subcommands = COMMANDS[command];
+  if (!subcommands) {
+    throw new Error(
+      `Unexpected argument: "${command}" - quote option values that contain spaces`
+    );
+  }
+
+  const maxArguments = subcommands[subcommand];
+  if (maxArguments === undefined) {
+    throw new Error(
+      `Unknown ${command} command "${subcommand || ""}" - use ${Object.keys(
+        subcommands
+      ).join(", ")}`
+    );
+  }
+
+  const surplus = positionals.slice(2 + maxArguments);
+  if (surplus.length > 0) {
+    throw new Error(
+      `Unexpected argument for "${command} ${subcommand}": "${surplus[0]}"`
+    );
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {object} - Parsed options (camelCase keys) and positionals
+ * @throws {Error} - On unknown options, commands or missing values
+ */
+function parseArgs(argv) {
+  const options = { positionals: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("-") || arg === "-") {
+      options.positionals.push(arg);
+      continue;
+    }
+
+    const withoutDashes = arg.replace(/^--?/, "");
+    const equalsIndex = withoutDashes.indexOf("=");
+    const name =
+      equalsIndex === -1 ? withoutDashes : withoutDashes.slice(0, equalsIndex);
+    const inlineValue =
+      equalsIndex === -1 ? undefined : withoutDashes.slice(equalsIndex + 1);
+
+    const option = findOption(name);
+    if (!option) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    const [longName, spec] = option;
+    const key = toCamelCase(longName);
+
+    if (spec.type === "boolean") {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option --${longName} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Option --${longName} requires a value`);
+      }
+      i++;
+    }
+    options[key] = value;
+  }
+
+  if (options.yes && options.noDownload) {
+    throw new Error("Options --yes and --no-download cannot be combined");
+  }
+  if (options.retryFailed && options.noDownload) {
+    throw new Error(
+      "Options --retry-failed and --no-download cannot be combined"
+    );
+  }
+  if (options.reconcile && (options.yes || options.retryFailed)) {
+    throw new Error(
+      "Option --reconcile cannot be combined with --yes or --retry-failed"
+    );
+  }
+  if (options.allProfiles && options.tag !== undefined) {
+    throw new Error("Options --all-profiles and --tag cannot be combined");
+  }
+  if (options.profile && (options.allProfiles || options.tag !== undefined)) {
+    throw new Error(
+      "Option --profile cannot be combined with --all-profiles or --tag"
+    );
+  }
+  if (options.csv && options.noCsv) {
+    throw new Error("Options --csv and --no-csv cannot be combined");
+  }
+
+  validatePositionals(options.positionals);
+  return options;
+}
+
+/**
+ * Print usage information including exit codes
+ */
+function printUsage() {
+  console.log(`Usage: stripe-invoice-downloader [options]
+       stripe-invoice-downloader profile <command> [arguments]
+       stripe-invoice-downloader vault <change-passphrase|reencrypt>
+       stripe-invoice-downloader config show
+
+Without options every value is asked for interactively. Each option given
+on the command line skips the matching prompt.
+
+Commands:
+  profile list          List profiles with key mode and last use
+  profile test <name>   Check the API key and show account ID, country,
+                        default currency and live/test mode
+  profile rename <name> <new name>
+                        Rename a profile
+  profile delete <name> Delete a profile and its key (asks, or --yes)
+  profile rotate-key <name>
+                        Replace the API key after checking it with Stripe
+  profile set <name> <setting> <value>
+                        Store a setting on the profile, e.g. outputDir,
+                        timezone, exportFormats or tags (empty value:
+                        default)
+  vault change-passphrase
+                        Encrypt all API keys under a new vault passphrase
+                        (or STRIPE_VAULT_NEW_PASSPHRASE)
+  vault reencrypt       Encrypt all API keys again with a fresh salt and the
+                        current key derivation settings
+  config show           Print the config file, profile, API key source
+                        (redacted) and every setting with its source
+
+The vault passphrase is asked for, or read from STRIPE_VAULT_PASSPHRASE.
+
+Configuration file (first match wins): --config <path>, then
+$XDG_CONFIG_HOME/stripe-invoice-downloader/config.json (default:
+~/.config/...), then config.json in the current directory (legacy).
+
+Environment variables (e.g. for containers):
+  STRIPE_PROFILE        Profile to use when --profile is not given
+  STRIPE_API_KEY        API key to use instead of the stored one; works
+                        without a config file and without the vault
+
+Options:
+  --config <path>       Configuration file to use (created if missing)
+  --profile <name>      Profile from config.json to use
+  --all-profiles        Export every profile in turn and write a summary of
+                        all of them to downloads/batch_summary_<period>.csv
+  --tag <tag>           Like --all-profiles, for the profiles with this tag
+                        (profile set <name> tags <list>)
+  --month <MM>          Month to export (1-12), together with --year
+  --quarter <Q>         Quarter to export: "Q1 2025", or Q1 with --year
+  --year <YYYY>         Year of --month/--quarter; on its own the full year
+  --from <YYYY-MM-DD>   First day of a custom date range (with --to)
+  --to <YYYY-MM-DD>     Last day of a custom date range (inclusive)
+  --status <list>       Invoice statuses to fetch, comma-separated: paid
+                        (default), open, void, uncollectible, draft
+  --date-basis <field>  Date that decides the period of an invoice:
+                        created (default), finalized_at or paid_at
+  --lookback-days <n>   Days fetched before the period for finalized_at/
+                        paid_at (default: 90)
+  --timezone <tz>       IANA timezone of the accounting day (overrides the
+                        profile setting, e.g. Europe/Berlin)
+  -y, --yes             Download all found invoices without asking
+  --no-download         Skip the PDF download
+  --csv                 Generate the accounting CSV files without asking
+  --no-csv              Skip the CSV export
+  --output-dir <path>   Base directory for downloads (overrides the profile
+                        setting, default: ./downloads)
+  --formats <list>      Export files to create, comma-separated: accounting,
+                        lines, revenue, datev, oss, ec-sales-list, sequence
+                        (overrides the profile setting, default: all)
+  --concurrency <n>     Parallel PDF downloads (default: 5)
+  --timeout <seconds>   Timeout per PDF request (default: 30)
+  --retries <n>         Retries for timeouts, network errors, 429 and 5xx
+                        responses, with exponential backoff (default: 3)
+  --retry-failed        Download only the documents that failed in the last
+                        run for the period (from failed_downloads.json)
+  --filename-template <t>
+                        PDF file name, e.g. "{date:YYYY-MM-DD}_{number}"
+                        (overrides the profile setting)
+  --base-currency <cur> Currency all amounts are converted to (default: the
+                        currency Stripe settles in)
+  --fx-rates <file>     ECB exchange rate CSV for invoices paid outside Stripe
+  --receipts            Also export charges without invoice (Checkout
+                        sessions, PaymentIntents) as receipts
+  --reconcile           Reconcile the payouts arriving in the period with
+                        their transactions, fees and invoices instead of
+                        exporting invoices
+  --non-interactive     Never prompt; fail on missing values instead
+                        (implied when stdin is not a terminal)
+  -h, --help            Show this help
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  Success
+  ${EXIT_CODES.UNEXPECTED_ERROR}  Unexpected error
+  ${EXIT_CODES.BAD_ARGUMENTS}  Bad or missing arguments
+  ${EXIT_CODES.AUTH_FAILED}  Stripe authentication failed or wrong vault passphrase
+  ${EXIT_CODES.NO_INVOICES}  No invoices (or payouts with --reconcile) found for the
+     selected period
+  ${EXIT_CODES.DOWNLOADS_FAILED}  Some downloads failed
+  ${EXIT_CODES.BLOCKING_ERRORS}  Reports are incomplete (e.g. reverse-charge sales without
+     a valid VAT ID in the EC Sales List, payouts that do not reconcile, or
+     accounting CSVs, DATEV export, OSS report or EC Sales List that could
+     not be generated)
+`);
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  printUsage,
+};
@@ -0,0 +1,56 @@
+// Windows-1252 differs from Latin-1 only in 0x80-0x9F
+const WINDOWS_1252_EXTRAS = {
+  "€": 0x80,
+  "‚": 0x82,
+  ƒ: 0x83,
+  "„": 0x84,
+  "…": 0x85,
+  "†": 0x86,
+  "‡": 0x87,
+  ˆ: 0x88,
+  "‰": 0x89,
+  Š: 0x8a,
+  "‹": 0x8b,
+  Œ: 0x8c,
+  Ž: 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "˜": 0x98,
+  "™": 0x99,
+  š: 0x9a,
+  "›": 0x9b,
+  œ: 0x9c,
+  ž: 0x9e,
+  Ÿ: 0x9f,
+};
+
+/**
+ * Encode text as Windows-1252 (the encoding DATEV and many German tools expect)
+ * Characters without a Windows-1252 equivalent are replaced with "?".
+ * @param {string} text - Text to encode
+ * @returns {Buffer} - Encoded bytes
+ */
+function encodeWindows1252(text) {
+  const characters = [...text.normalize("NFC")];
+  const bytes = Buffer.alloc(characters.length);
+
+  characters.forEach((character, index) => {
+    const code = character.codePointAt(0);
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      bytes[index] = code;
+    } else {
+      bytes[index] = WINDOWS_1252_EXTRAS[character] ?? 0x3f;
+    }
+  });
+
+  return bytes;
+}
+
+module.exports = {
+  encodeWindows1252,
+};
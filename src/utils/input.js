@@ -87,6 +87,16 @@ function validateMonth(month) {
   return monthNum >= 1 && monthNum <= 12;
 }
 
+/**
+ * Validate year input
+ * @param {number} year - Year to validate
+ * @returns {boolean} - Whether the year is a valid four-digit year since 1970
+ */
+function validateYear(year) {
+  const yearNum = parseInt(year, 10);
+  return yearNum >= 1970 && yearNum <= 9999;
+}
+
 /**
  * Format month with leading zero
  * @param {number} month - Month number
@@ -107,6 +117,7 @@ module.exports = {
   askQuestion,
   askSecretQuestion,
   validateMonth,
+  validateYear,
   formatMonth,
   closeInterface,
 };
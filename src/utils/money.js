@@ -0,0 +1,37 @@
+/**
+ * Round an amount in major units to cents
+ * @param {number} amount - Amount (e.g. 19.999)
+ * @returns {number} - Rounded amount (e.g. 20)
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Split an amount in proportion to weights, rounded to cents
+ * The last share absorbs the rounding difference, so the shares always add
+ * up to the amount.
+ * @param {number} amount - Amount in major units
+ * @param {Array<number>} weights - Weight per share (e.g. gross amounts)
+ * @returns {Array<number>} - One share per weight
+ */
+function splitProportionally(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const cents = Math.round(amount * 100);
+  let remaining = cents;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return remaining / 100;
+    }
+    const share =
+      totalWeight === 0 ? 0 : Math.round((cents * weight) / totalWeight);
+    remaining -= share;
+    return share / 100;
+  });
+}
+
+module.exports = {
+  roundCents,
+  splitProportionally,
+};
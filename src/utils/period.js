@@ -0,0 +1,204 @@
+const { formatMonth, validateMonth, validateYear } = require("./input");
+const { DEFAULT_TIMEZONE, zonedTimeToTimestamp } = require("./timezone");
+
+/**
+ * Period types enum
+ */
+const PERIOD_TYPES = {
+  MONTH: "month",
+  QUARTER: "quarter",
+  YEAR: "year",
+  RANGE: "range",
+};
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year number
+ * @param {number} month - Month number (1-12)
+ * @returns {number} - Number of days
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {object} date - Calendar date { year, month, day }
+ * @returns {string} - Formatted date
+ */
+function formatDate(date) {
+  return `${date.year}-${formatMonth(date.month)}-${String(date.day).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD date string into a calendar date
+ * @param {string} input - Date string
+ * @returns {object|null} - Calendar date { year, month, day } or null if invalid
+ */
+function parseDate(input) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(input).trim());
+  if (!match) {
+    return null;
+  }
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+
+  if (
+    !validateYear(year) ||
+    !validateMonth(month) ||
+    day < 1 ||
+    day > daysInMonth(year, month)
+  ) {
+    return null;
+  }
+
+  return { year, month, day };
+}
+
+/**
+ * Parse a quarter such as "Q1", "Q1 2025", "2025-Q1" or "Q1/2025"
+ * @param {string} input - Quarter string
+ * @returns {object|null} - { quarter, year } (year may be null) or null if invalid
+ */
+function parseQuarter(input) {
+  const value = String(input).trim().toUpperCase();
+  const match =
+    /^Q([1-4])(?:[\s/-]+(\d{4}))?$/.exec(value) ||
+    /^(\d{4})[\s/-]+Q([1-4])$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const yearFirst = /^\d{4}/.test(value);
+  const quarter = parseInt(yearFirst ? match[2] : match[1], 10);
+  const yearString = yearFirst ? match[1] : match[2];
+  const year = yearString ? parseInt(yearString, 10) : null;
+
+  if (year !== null && !validateYear(year)) {
+    return null;
+  }
+
+  return { quarter, year };
+}
+
+/**
+ * Create a period covering one calendar month
+ * @param {number} year - Year number
+ * @param {number} month - Month number (1-12)
+ * @returns {object} - Period
+ */
+function createMonthPeriod(year, month) {
+  return {
+    type: PERIOD_TYPES.MONTH,
+    start: { year, month, day: 1 },
+    end: { year, month, day: daysInMonth(year, month) },
+    label: `${formatMonth(month)}/${year}`,
+    folderSegments: [year.toString(), formatMonth(month)],
+  };
+}
+
+/**
+ * Create a period covering one calendar quarter
+ * @param {number} year - Year number
+ * @param {number} quarter - Quarter number (1-4)
+ * @returns {object} - Period
+ */
+function createQuarterPeriod(year, quarter) {
+  const firstMonth = (quarter - 1) * 3 + 1;
+  const lastMonth = firstMonth + 2;
+  return {
+    type: PERIOD_TYPES.QUARTER,
+    start: { year, month: firstMonth, day: 1 },
+    end: { year, month: lastMonth, day: daysInMonth(year, lastMonth) },
+    label: `Q${quarter}/${year}`,
+    folderSegments: [year.toString(), `Q${quarter}`],
+  };
+}
+
+/**
+ * Create a period covering one calendar year
+ * @param {number} year - Year number
+ * @returns {object} - Period
+ */
+function createYearPeriod(year) {
+  return {
+    type: PERIOD_TYPES.YEAR,
+    start: { year, month: 1, day: 1 },
+    end: { year, month: 12, day: 31 },
+    label: year.toString(),
+    folderSegments: [year.toString(), "full-year"],
+  };
+}
+
+/**
+ * Create a period covering an arbitrary date range (both days inclusive)
+ * @param {object} from - First calendar date { year, month, day }
+ * @param {object} to - Last calendar date { year, month, day }
+ * @returns {object} - Period
+ */
+function createRangePeriod(from, to) {
+  return {
+    type: PERIOD_TYPES.RANGE,
+    start: from,
+    end: to,
+    label: `${formatDate(from)} – ${formatDate(to)}`,
+    folderSegments: ["range", `${formatDate(from)}_${formatDate(to)}`],
+  };
+}
+
+/**
+ * Compare two calendar dates
+ * @param {object} a - Calendar date
+ * @param {object} b - Calendar date
+ * @returns {number} - Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareDates(a, b) {
+  return a.year - b.year || a.month - b.month || a.day - b.day;
+}
+
+/**
+ * Get the calendar date following a date
+ * @param {object} date - Calendar date { year, month, day }
+ * @returns {object} - Next calendar date
+ */
+function nextDate(date) {
+  const next = new Date(Date.UTC(date.year, date.month - 1, date.day + 1));
+  return {
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate(),
+  };
+}
+
+/**
+ * Get Unix timestamps for the first and last second of a period
+ * Days start at local midnight in the given timezone, so the range is the
+ * same on every machine and DST transitions inside the period are respected.
+ * @param {object} period - Period
+ * @param {string} [timeZone] - IANA timezone defining the accounting day
+ * @returns {object} - { startTimestamp, endTimestamp } (both inclusive)
+ */
+function getPeriodTimestamps(period, timeZone = DEFAULT_TIMEZONE) {
+  return {
+    startTimestamp: zonedTimeToTimestamp(period.start, timeZone),
+    endTimestamp: zonedTimeToTimestamp(nextDate(period.end), timeZone) - 1,
+  };
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  parseDate,
+  parseQuarter,
+  formatDate,
+  compareDates,
+  createMonthPeriod,
+  createQuarterPeriod,
+  createYearPeriod,
+  createRangePeriod,
+  getPeriodTimestamps,
+};
@@ -0,0 +1,131 @@
+// Fallback for profiles without a configured timezone
+const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name (e.g. "Europe/Berlin")
+ * @returns {boolean} - Whether the timezone is supported
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the timezone of the machine running the script
+ * @returns {string} - IANA timezone name
+ */
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the calendar date and wall clock time of an instant in a timezone
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} - { year, month, day, hour, minute, second }
+ */
+function getZonedDateParts(timestamp, timeZone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp * 1000)).forEach((part) => {
+    if (part.type !== "literal") {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Get the UTC offset of a timezone at a given instant
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Offset in seconds (e.g. 7200 for CEST)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getZonedDateParts(timestamp, timeZone);
+  const wallClockAsUtc =
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) / 1000;
+  return wallClockAsUtc - Math.floor(timestamp);
+}
+
+/**
+ * Convert a wall clock time in a timezone to a Unix timestamp
+ * The offset is looked up at the resulting instant, so DST transitions are
+ * respected. Wall clock times skipped by a DST change move forward by the
+ * length of the gap (02:30 becomes 03:30), so a skipped midnight resolves to
+ * the first instant of the day.
+ * @param {object} date - { year, month, day, hour?, minute?, second? }
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Unix timestamp in seconds
+ */
+function zonedTimeToTimestamp(date, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = date;
+  const wallClockAsUtc =
+    Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+
+  const firstOffset = getTimeZoneOffset(wallClockAsUtc, timeZone);
+  const firstGuess = wallClockAsUtc - firstOffset;
+  const secondOffset = getTimeZoneOffset(firstGuess, timeZone);
+  if (secondOffset === firstOffset) {
+    return firstGuess;
+  }
+
+  const secondGuess = wallClockAsUtc - secondOffset;
+  return getTimeZoneOffset(secondGuess, timeZone) === secondOffset
+    ? secondGuess
+    : Math.max(firstGuess, secondGuess);
+}
+
+/**
+ * Format a Unix timestamp as a date in a timezone
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} locale - Locale for formatting (e.g. "de-DE")
+ * @returns {string} - Formatted date
+ */
+function formatDateInTimeZone(timestamp, timeZone, locale) {
+  return new Date(timestamp * 1000).toLocaleDateString(locale, { timeZone });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getSystemTimeZone,
+  getZonedDateParts,
+  getTimeZoneOffset,
+  zonedTimeToTimestamp,
+  formatDateInTimeZone,
+};
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  TAX_TYPES,
+  classifyTax,
+  extractTaxInfo,
+} = require("../src/tax/classifier");
+
+/**
+ * Build a total_tax_amounts entry
+ * @param {number} taxableAmount - Taxable amount in cents
+ * @param {number} amount - Tax amount in cents
+ * @param {number} percentage - Tax rate in percent
+ * @param {string} [taxabilityReason] - Stripe taxability reason
+ * @returns {object} - Entry of total_tax_amounts
+ */
+function taxAmount(taxableAmount, amount, percentage, taxabilityReason) {
+  return {
+    amount,
+    taxable_amount: taxableAmount,
+    taxability_reason: taxabilityReason || null,
+    tax_rate: { percentage, display_name: "VAT", country: "DE" },
+  };
+}
+
+/**
+ * Classify every tax bucket of an invoice the way buildAccountingRows does
+ * @param {object} invoice - Stripe invoice with total and total_tax_amounts
+ * @param {string} customerCountry - Customer's country code
+ * @param {object} [vatIdCheck] - Result of validateVatId
+ * @returns {Array<object>} - Per bucket: { rate, gross, taxInfo }
+ */
+function classifyInvoice(invoice, customerCountry, vatIdCheck) {
+  const taxRateInfo = extractTaxInfo({ id: "in_test", ...invoice });
+  return taxRateInfo.buckets.map((bucket) => ({
+    rate: bucket.rate,
+    gross: Math.round((bucket.taxableAmount + bucket.taxAmount) * 100),
+    taxInfo: classifyTax(
+      "DE",
+      customerCountry,
+      bucket.taxAmount,
+      { ...bucket, invoiceId: "in_test" },
+      vatIdCheck
+    ).taxInfo,
+  }));
+}
+
+const VALID_VAT_ID = { valid: true, reason: null };
+
+test("DE domestic invoice with 19% VAT is Standard", () => {
+  const buckets = classifyInvoice(
+    { total: 11900, total_tax_amounts: [taxAmount(10000, 1900, 19)] },
+    "DE"
+  );
+  assert.deepStrictEqual(buckets, [
+    { rate: "19", gross: 11900, taxInfo: TAX_TYPES.STANDARD },
+  ]);
+});
+
+test("EU B2B invoice without VAT is Reverse Charge", () => {
+  const buckets = classifyInvoice(
+    {
+      total: 10000,
+      total_tax_amounts: [taxAmount(10000, 0, 0, "reverse_charge")],
+    },
+    "FR",
+    VALID_VAT_ID
+  );
+  assert.deepStrictEqual(buckets, [
+    { rate: "0", gross: 10000, taxInfo: TAX_TYPES.REVERSE_CHARGE },
+  ]);
+});
+
+test("EU B2B invoice without a valid VAT ID is Reverse Charge (unverified)", () => {
+  const buckets = classifyInvoice(
+    { total: 10000, total_tax_amounts: [taxAmount(10000, 0, 0)] },
+    "FR",
+    { valid: false, reason: "missing" }
+  );
+  assert.strictEqual(buckets[0].taxInfo, TAX_TYPES.REVERSE_CHARGE_UNVERIFIED);
+});
+
+test("EU B2C invoice with the customer's VAT rate is OSS", () => {
+  const buckets = classifyInvoice(
+    { total: 12000, total_tax_amounts: [taxAmount(10000, 2000, 20)] },
+    "FR"
+  );
+  assert.deepStrictEqual(buckets, [
+    { rate: "20", gross: 12000, taxInfo: TAX_TYPES.OSS },
+  ]);
+});
+
+test("invoice to a non-EU customer without VAT is Export", () => {
+  const buckets = classifyInvoice(
+    { total: 10000, total_tax_amounts: [taxAmount(10000, 0, 0)] },
+    "US"
+  );
+  assert.deepStrictEqual(buckets, [
+    { rate: "0", gross: 10000, taxInfo: TAX_TYPES.EXPORT },
+  ]);
+});
+
+test("mixed-rate invoice gets one bucket per rate and a Tax-free remainder", () => {
+  const buckets = classifyInvoice(
+    {
+      // 119.00 at 19%, 53.50 at 7% and 30.00 without any tax entry
+      total: 20250,
+      total_tax_amounts: [taxAmount(10000, 1900, 19), taxAmount(5000, 350, 7)],
+    },
+    "DE"
+  );
+  assert.deepStrictEqual(buckets, [
+    { rate: "19", gross: 11900, taxInfo: TAX_TYPES.STANDARD },
+    { rate: "7", gross: 5350, taxInfo: TAX_TYPES.STANDARD },
+    { rate: "0", gross: 3000, taxInfo: TAX_TYPES.TAX_FREE },
+  ]);
+});
+
+test("untaxed remainder of an OSS invoice is not Reverse Charge, even with a VAT ID", () => {
+  const buckets = classifyInvoice(
+    {
+      total: 17000,
+      total_tax_amounts: [taxAmount(10000, 2000, 20)],
+    },
+    "FR",
+    VALID_VAT_ID
+  );
+  assert.deepStrictEqual(buckets, [
+    { rate: "20", gross: 12000, taxInfo: TAX_TYPES.OSS },
+    { rate: "0", gross: 5000, taxInfo: TAX_TYPES.TAX_FREE },
+  ]);
+});
+
+test("remainder of an untaxed invoice keeps the invoice's treatment", () => {
+  const buckets = classifyInvoice(
+    {
+      total: 15000,
+      total_tax_amounts: [taxAmount(10000, 0, 0)],
+    },
+    "FR",
+    VALID_VAT_ID
+  );
+  assert.deepStrictEqual(
+    buckets.map((bucket) => bucket.taxInfo),
+    [TAX_TYPES.REVERSE_CHARGE, TAX_TYPES.REVERSE_CHARGE]
+  );
+});
@@ -0,0 +1,197 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { generateDatevExport } = require("../src/export/datevGenerator");
+const { closeInterface } = require("../src/utils/input");
+const { TAX_TYPES } = require("../src/tax/classifier");
+const { DOCUMENT_TYPES } = require("../src/export/accountingRows");
+const {
+  createMonthPeriod,
+  createYearPeriod,
+  createRangePeriod,
+} = require("../src/utils/period");
+
+const DATEV = { consultantNumber: "29098", clientNumber: "55003" };
+
+// The readline interface of src/utils/input would keep the test running
+test.after(closeInterface);
+
+/**
+ * Build a booked DE invoice row at 19%
+ * @param {string} invoiceNumber - Invoice number
+ * @param {string} isoDate - Invoice date (noon UTC)
+ * @param {object} [overrides] - Further row fields
+ * @returns {object} - Accounting row
+ */
+function invoiceRow(invoiceNumber, isoDate, overrides = {}) {
+  return {
+    invoiceNumber,
+    customerName: "Kunde GmbH",
+    customerCountry: "DE",
+    timestamp: Date.parse(`${isoDate}T12:00:00Z`) / 1000,
+    currency: "EUR",
+    gross: 119,
+    taxInfo: TAX_TYPES.STANDARD,
+    taxRateValue: "19",
+    documentType: DOCUMENT_TYPES.INVOICE,
+    status: "paid",
+    ...overrides,
+  };
+}
+
+/**
+ * Generate the DATEV export into a fresh folder and read the files back
+ * @param {Array} rows - Accounting rows
+ * @param {object} period - Export period
+ * @param {object} [datev] - Additional DATEV settings
+ * @returns {Promise<Array<object>>} - Per file: { name, header, bookings }
+ */
+async function exportDatev(rows, period, datev = {}) {
+  const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), "datev-"));
+  try {
+    const paths = await generateDatevExport(rows, folderPath, {
+      datev: { ...DATEV, ...datev },
+      period,
+      timezone: "Europe/Berlin",
+    });
+    return await Promise.all(
+      paths.map(async (filePath) => {
+        const lines = (await fs.readFile(filePath, "latin1"))
+          .trim()
+          .split("\r\n");
+        return {
+          name: path.basename(filePath),
+          header: lines[0].split(";"),
+          bookings: lines.slice(2).map((line) => line.split(";")),
+        };
+      })
+    );
+  } finally {
+    await fs.rm(folderPath, { recursive: true, force: true });
+  }
+}
+
+test("period within one fiscal year gives a single Buchungsstapel", async () => {
+  const files = await exportDatev(
+    [invoiceRow("INV-1", "2024-05-10")],
+    createMonthPeriod(2024, 5)
+  );
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0].name, "EXTF_Buchungsstapel.csv");
+  assert.deepStrictEqual(files[0].header.slice(12, 16), [
+    "20240101",
+    "4",
+    "20240501",
+    "20240531",
+  ]);
+  assert.strictEqual(files[0].bookings[0][9], "1005");
+});
+
+test("range across the year end is split into one file per fiscal year", async () => {
+  const files = await exportDatev(
+    [invoiceRow("INV-1", "2024-12-20"), invoiceRow("INV-2", "2025-01-05")],
+    createRangePeriod(
+      { year: 2024, month: 12, day: 15 },
+      { year: 2025, month: 1, day: 14 }
+    )
+  );
+  assert.deepStrictEqual(
+    files.map((file) => file.name),
+    ["EXTF_Buchungsstapel_2024.csv", "EXTF_Buchungsstapel_2025.csv"]
+  );
+  assert.deepStrictEqual(files[0].header.slice(12, 16), [
+    "20240101",
+    "4",
+    "20241215",
+    "20241231",
+  ]);
+  assert.deepStrictEqual(files[1].header.slice(12, 16), [
+    "20250101",
+    "4",
+    "20250101",
+    "20250114",
+  ]);
+  assert.deepStrictEqual(
+    files.map((file) => file.bookings.map((booking) => booking[9])),
+    [["2012"], ["0501"]]
+  );
+});
+
+test("calendar year with a fiscal year starting in July is split at July", async () => {
+  const files = await exportDatev(
+    [invoiceRow("INV-1", "2024-06-30"), invoiceRow("INV-2", "2024-07-01")],
+    createYearPeriod(2024),
+    { fiscalYearStartMonth: 7 }
+  );
+  assert.deepStrictEqual(
+    files.map((file) => file.header.slice(12, 16)),
+    [
+      ["20230701", "4", "20240101", "20240630"],
+      ["20240701", "4", "20240701", "20241231"],
+    ]
+  );
+  assert.deepStrictEqual(
+    files.map((file) => file.bookings.map((booking) => booking[10])),
+    [['"INV-1"'], ['"INV-2"']]
+  );
+});
+
+test("books each tax type on its account, credit notes on the credit side", async () => {
+  const [file] = await exportDatev(
+    [
+      invoiceRow("INV-1", "2024-05-10", { taxRateValue: "7", gross: 107 }),
+      invoiceRow("INV-2", "2024-05-11", {
+        customerCountry: "AT",
+        taxInfo: TAX_TYPES.REVERSE_CHARGE,
+        taxRateValue: "0",
+        gross: 100,
+      }),
+      invoiceRow("INV-1-CN-01", "2024-05-12", {
+        documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+        gross: -11.9,
+      }),
+      invoiceRow("INV-3", "2024-05-13", { status: "void" }),
+      invoiceRow("INV-4", "2024-05-14", { taxRateValue: "16" }),
+    ],
+    createMonthPeriod(2024, 5)
+  );
+  assert.deepStrictEqual(
+    file.bookings.map((booking) => [
+      booking[0],
+      booking[1],
+      booking[6],
+      booking[7],
+      booking[13],
+    ]),
+    [
+      ["107,00", '"S"', "10000", "8300", '"Kunde GmbH"'],
+      ["100,00", '"S"', "10000", "8336", '"Kunde GmbH"'],
+      ["11,90", '"H"', "10000", "8400", '"Gutschrift Kunde GmbH"'],
+    ]
+  );
+});
+
+test("foreign currency bookings carry the rate and the EUR amount", async () => {
+  const [file] = await exportDatev(
+    [
+      invoiceRow("INV-1", "2024-05-10", {
+        currency: "USD",
+        gross: 108.7,
+        baseCurrency: "EUR",
+        baseGross: 100,
+        exchangeRate: 0.92,
+      }),
+      invoiceRow("INV-2", "2024-05-11", { currency: "USD", gross: 50 }),
+    ],
+    createMonthPeriod(2024, 5)
+  );
+  assert.deepStrictEqual(
+    file.bookings.map((booking) => booking.slice(0, 6)),
+    [
+      ["108,70", '"S"', '"USD"', "1,086957", "100,00", '"EUR"'],
+      ["50,00", '"S"', '"USD"', "", "", '""'],
+    ]
+  );
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createRateLookup, createEurConverter } = require("../src/fx/ecbRates");
+const { loadRateTable } = require("../src/fx/rateTable");
+const { closeInterface } = require("../src/utils/input");
+
+// eurofxref-hist.csv layout; 2024-06-29/30 is a weekend without rates
+const RATES_CSV = [
+  "Date,USD,GBP,",
+  "2024-07-01,1.0745,0.8479,",
+  "2024-06-28,1.0705,0.8464,",
+  "2024-06-14,1.0686,N/A,",
+].join("\n");
+
+let rateTable;
+
+// The readline interface of src/utils/input would keep the test running
+test.after(closeInterface);
+
+test.before(async () => {
+  const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), "rates-"));
+  const filePath = path.join(folderPath, "eurofxref-hist.csv");
+  await fs.writeFile(filePath, RATES_CSV, "utf8");
+  rateTable = await loadRateTable(filePath);
+  await fs.rm(folderPath, { recursive: true, force: true });
+});
+
+test("uses the rate published on the date itself", async () => {
+  const getRate = createRateLookup(rateTable);
+  assert.deepStrictEqual(
+    await getRate("usd", { year: 2024, month: 6, day: 28 }),
+    { date: "2024-06-28", rate: 1.0705 }
+  );
+});
+
+test("falls forward to the next publication day, not back", async () => {
+  const getRate = createRateLookup(rateTable);
+  assert.deepStrictEqual(
+    await getRate("USD", { year: 2024, month: 6, day: 30 }),
+    { date: "2024-07-01", rate: 1.0745 }
+  );
+});
+
+test("fails when no rate follows within the publication window", async () => {
+  const getRate = createRateLookup(rateTable);
+  await assert.rejects(
+    getRate("GBP", { year: 2024, month: 6, day: 10 }),
+    /No GBP rate for 2024-06-10 or the following 10 days/
+  );
+  await assert.rejects(
+    getRate("CHF", { year: 2024, month: 6, day: 28 }),
+    /No CHF rate/
+  );
+});
+
+test("converter divides by the rate and lists the rates it used", async () => {
+  const converter = createEurConverter(createRateLookup(rateTable));
+  const date = { year: 2024, month: 6, day: 30 };
+  assert.strictEqual(await converter.convert(107.45, "USD", date), 100);
+  assert.strictEqual(await converter.convert(50, "EUR", date), 50);
+  assert.deepStrictEqual(converter.getUsedRates(), [
+    {
+      currency: "USD",
+      requestedDate: "2024-06-30",
+      rate: 1.0745,
+      rateDate: "2024-07-01",
+    },
+  ]);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEFAULT_FILENAME_TEMPLATE,
+  validateFilenameTemplate,
+  sanitizeFilenamePart,
+  renderFilename,
+  assignFilenames,
+} = require("../src/download/filename");
+
+const VALUES = {
+  number: "INV-0001",
+  customer_name: "Müller GmbH",
+  amount: "-119.00",
+  currency: "EUR",
+  // 01:30 on June 1st in Berlin
+  timestamp: Date.parse("2024-05-31T23:30:00Z") / 1000,
+  metadata: { project: "a/b" },
+};
+
+test("keeps letters of any script and replaces everything else", () => {
+  assert.strictEqual(
+    sanitizeFilenamePart("Müller GmbH & Co. KG/Berlin"),
+    "Müller_GmbH___Co__KG_Berlin"
+  );
+  assert.strictEqual(sanitizeFilenamePart("Ωμέγα 株式会社"), "Ωμέγα_株式会社");
+});
+
+test("renders placeholders with dates in the profile's timezone", () => {
+  assert.strictEqual(
+    renderFilename(DEFAULT_FILENAME_TEMPLATE, VALUES, "UTC"),
+    "INV-0001_Müller_GmbH_-119.00EUR.pdf"
+  );
+  assert.strictEqual(
+    renderFilename("{date:YYYY-MM}_{number}", VALUES, "Europe/Berlin"),
+    "2024-06_INV-0001.pdf"
+  );
+});
+
+test("never creates folders from template text or values", () => {
+  assert.strictEqual(
+    renderFilename("{date:YYYY/MM}_{metadata.project}", VALUES, "UTC"),
+    "2024_05_a_b.pdf"
+  );
+});
+
+test("falls back to the document number when the name renders empty", () => {
+  assert.strictEqual(
+    renderFilename("{metadata.missing}", VALUES, "UTC"),
+    "INV-0001.pdf"
+  );
+});
+
+test("shortens long names without splitting multi-byte characters", () => {
+  const filename = renderFilename(
+    "{customer_name}",
+    { ...VALUES, customer_name: "ä".repeat(100) },
+    "UTC"
+  );
+  assert.strictEqual(filename, `${"ä".repeat(90)}.pdf`);
+  assert.strictEqual(Buffer.byteLength(filename, "utf8"), 184);
+});
+
+test("numbers colliding names oldest first, ignoring case", () => {
+  const filenames = assignFilenames(
+    [
+      { id: "in_b", created: 2, values: { number: "X" } },
+      { id: "in_a", created: 2, values: { number: "x" } },
+      { id: "in_c", created: 1, values: { number: "X" } },
+      { id: "in_d", created: 0, subfolder: "void", values: { number: "X" } },
+    ],
+    "{number}",
+    "UTC"
+  );
+  assert.deepStrictEqual(Object.fromEntries(filenames), {
+    in_d: "void/X.pdf",
+    in_c: "X.pdf",
+    in_a: "x_2.pdf",
+    in_b: "X_3.pdf",
+  });
+});
+
+test("validates templates", () => {
+  assert.strictEqual(validateFilenameTemplate("{date:YYYY}_{number}"), null);
+  assert.strictEqual(
+    validateFilenameTemplate("{foo}"),
+    "Unknown placeholder {foo}"
+  );
+  assert.strictEqual(
+    validateFilenameTemplate("{number:upper}"),
+    "Placeholder {number} does not take a format"
+  );
+  assert.strictEqual(
+    validateFilenameTemplate("invoice"),
+    "Filename template must contain at least one placeholder"
+  );
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { roundCents, splitProportionally } = require("../src/utils/money");
+
+test("shares add up to the amount, the last share takes the rounding", () => {
+  assert.deepStrictEqual(
+    splitProportionally(100, [1, 1, 1]),
+    [33.33, 33.33, 33.34]
+  );
+  assert.deepStrictEqual(splitProportionally(-10, [1, 2]), [-3.33, -6.67]);
+});
+
+test("shares follow the weights", () => {
+  assert.deepStrictEqual(
+    splitProportionally(50, [119, 107, 0]),
+    [26.33, 23.67, 0]
+  );
+});
+
+test("zero weights give the whole amount to the last share", () => {
+  assert.deepStrictEqual(splitProportionally(12.5, [0, 0]), [0, 12.5]);
+  assert.deepStrictEqual(splitProportionally(12.5, [3]), [12.5]);
+});
+
+test("rounds to cents", () => {
+  assert.strictEqual(roundCents(19.999), 20);
+  assert.strictEqual(roundCents(0.1 + 0.2), 0.3);
+});
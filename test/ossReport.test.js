@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { generateOssReport } = require("../src/export/ossReport");
+const { closeInterface } = require("../src/utils/input");
+const { TAX_TYPES } = require("../src/tax/classifier");
+const { DOCUMENT_TYPES } = require("../src/export/accountingRows");
+const {
+  createMonthPeriod,
+  createQuarterPeriod,
+  formatDate,
+} = require("../src/utils/period");
+
+// The readline interface of src/utils/input would keep the test running
+test.after(closeInterface);
+
+/**
+ * Build an OSS accounting row
+ * @param {string} documentId - Stripe document ID
+ * @param {string} country - Member state of consumption
+ * @param {string} rate - VAT rate
+ * @param {number} net - Net amount in major units
+ * @param {object} [overrides] - Further row fields
+ * @returns {object} - Accounting row
+ */
+function ossRow(documentId, country, rate, net, overrides = {}) {
+  return {
+    documentId,
+    invoiceNumber: documentId.toUpperCase(),
+    documentType: DOCUMENT_TYPES.INVOICE,
+    customerCountry: country,
+    taxInfo: TAX_TYPES.OSS,
+    taxRateValue: rate,
+    currency: "EUR",
+    net,
+    tax: Math.round(net * parseFloat(rate)) / 100,
+    status: "paid",
+    ...overrides,
+  };
+}
+
+/**
+ * Fake rate lookup: USD is 1.25 at the end of Q2 and 1.10 at the end of Q1
+ * @param {string} currency - ISO currency code
+ * @param {object} date - Calendar date
+ * @returns {Promise<object>} - { rate, date }
+ */
+async function getRate(currency, date) {
+  return { rate: date.month === 6 ? 1.25 : 1.1, date: formatDate(date) };
+}
+
+/**
+ * Generate the OSS report into a fresh folder and read the JSON return back
+ * @param {Array} rows - Accounting rows
+ * @returns {Promise<object|null>} - OSS return, or null without OSS sales
+ */
+async function ossReturn(rows) {
+  const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), "oss-"));
+  try {
+    const result = await generateOssReport(rows, folderPath, {
+      period: createQuarterPeriod(2024, 2),
+      timezone: "Europe/Berlin",
+      getRate,
+    });
+    return result && JSON.parse(await fs.readFile(result.jsonPath, "utf8"));
+  } finally {
+    await fs.rm(folderPath, { recursive: true, force: true });
+  }
+}
+
+test("groups supplies by member state and rate in EUR", async () => {
+  const report = await ossReturn([
+    ossRow("in_1", "FR", "20", 100),
+    ossRow("in_2", "FR", "20", 50),
+    ossRow("in_3", "FR", "5.5", 200),
+    ossRow("in_4", "FR", "20", 125, { currency: "USD" }),
+    ossRow("in_5", "AT", "20", 10),
+  ]);
+  assert.deepStrictEqual(report.supplies, [
+    {
+      memberStateOfConsumption: "AT",
+      vatRate: 20,
+      taxableAmount: 10,
+      vatAmount: 2,
+      documentCount: 1,
+    },
+    {
+      memberStateOfConsumption: "FR",
+      vatRate: 20,
+      taxableAmount: 250,
+      vatAmount: 50,
+      documentCount: 3,
+    },
+    {
+      memberStateOfConsumption: "FR",
+      vatRate: 5.5,
+      taxableAmount: 200,
+      vatAmount: 11,
+      documentCount: 1,
+    },
+  ]);
+  assert.deepStrictEqual(report.exchangeRates, [
+    {
+      currency: "USD",
+      requestedDate: "2024-06-30",
+      rate: 1.25,
+      rateDate: "2024-06-30",
+    },
+  ]);
+  assert.strictEqual(report.totalVatDue, 63);
+});
+
+test("credit notes for earlier quarters are corrections at their rate", async () => {
+  const report = await ossReturn([
+    ossRow("in_1", "FR", "20", 100),
+    ossRow("cn_1", "FR", "20", -55, {
+      documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+      currency: "USD",
+      // March 31st in Berlin, still Q1
+      relatedInvoiceTimestamp: Date.parse("2024-03-31T21:00:00Z") / 1000,
+    }),
+  ]);
+  assert.deepStrictEqual(report.corrections, [
+    {
+      memberStateOfConsumption: "FR",
+      period: { year: 2024, quarter: 1 },
+      vatAmount: -10,
+      documents: ["CN_1"],
+    },
+  ]);
+  assert.deepStrictEqual(report.totals, [
+    { memberStateOfConsumption: "FR", vatAmount: 10 },
+  ]);
+});
+
+test("void invoices and other tax types are left out", async () => {
+  assert.strictEqual(
+    await ossReturn([
+      ossRow("in_1", "FR", "20", 100, { status: "void" }),
+      ossRow("in_2", "DE", "19", 100, { taxInfo: TAX_TYPES.STANDARD }),
+    ]),
+    null
+  );
+});
+
+test("refuses periods other than a quarter", async () => {
+  await assert.rejects(
+    generateOssReport([], os.tmpdir(), {
+      period: createMonthPeriod(2024, 5),
+      timezone: "UTC",
+    }),
+    /only be generated for a quarter/
+  );
+});
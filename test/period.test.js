@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  getZonedDateParts,
+  zonedTimeToTimestamp,
+} = require("../src/utils/timezone");
+const {
+  parseDate,
+  parseQuarter,
+  createMonthPeriod,
+  createQuarterPeriod,
+  createYearPeriod,
+  createRangePeriod,
+  getPeriodTimestamps,
+} = require("../src/utils/period");
+const { closeInterface } = require("../src/utils/input");
+
+// The readline interface of src/utils/input would keep the test running
+test.after(closeInterface);
+
+/**
+ * Convert the timestamps of a period to ISO strings
+ * @param {object} period - Period
+ * @param {string} [timeZone] - IANA timezone defining the accounting day
+ * @returns {Array<string>} - [first second, last second]
+ */
+function periodBounds(period, timeZone) {
+  const { startTimestamp, endTimestamp } = getPeriodTimestamps(
+    period,
+    timeZone
+  );
+  return [startTimestamp, endTimestamp].map((timestamp) =>
+    new Date(timestamp * 1000).toISOString()
+  );
+}
+
+test("periods default to UTC days", () => {
+  assert.deepStrictEqual(periodBounds(createYearPeriod(2024)), [
+    "2024-01-01T00:00:00.000Z",
+    "2024-12-31T23:59:59.000Z",
+  ]);
+});
+
+test("month boundaries follow the offset on each side of a DST change", () => {
+  // Starts in CET (+1), ends in CEST (+2)
+  assert.deepStrictEqual(
+    periodBounds(createMonthPeriod(2024, 3), "Europe/Berlin"),
+    ["2024-02-29T23:00:00.000Z", "2024-03-31T21:59:59.000Z"]
+  );
+  // Starts in CEST (+2), ends in CET (+1)
+  assert.deepStrictEqual(
+    periodBounds(createMonthPeriod(2024, 10), "Europe/Berlin"),
+    ["2024-09-30T22:00:00.000Z", "2024-10-31T22:59:59.000Z"]
+  );
+  assert.deepStrictEqual(
+    periodBounds(createQuarterPeriod(2024, 1), "America/New_York"),
+    ["2024-01-01T05:00:00.000Z", "2024-04-01T03:59:59.000Z"]
+  );
+});
+
+test("a day whose midnight is skipped starts at the first valid instant", () => {
+  // Chile moves from 00:00 (-4) to 01:00 (-3), the day has 23 hours
+  const day = { year: 2024, month: 9, day: 8 };
+  assert.deepStrictEqual(
+    periodBounds(createRangePeriod(day, day), "America/Santiago"),
+    ["2024-09-08T04:00:00.000Z", "2024-09-09T02:59:59.000Z"]
+  );
+});
+
+test("wall clock times in a DST gap move forward by the gap", () => {
+  const timestamp = zonedTimeToTimestamp(
+    { year: 2024, month: 3, day: 31, hour: 2, minute: 30 },
+    "Europe/Berlin"
+  );
+  assert.strictEqual(
+    new Date(timestamp * 1000).toISOString(),
+    "2024-03-31T01:30:00.000Z"
+  );
+});
+
+test("instants are read as calendar dates in the timezone", () => {
+  const timestamp = Date.parse("2024-05-31T23:30:00Z") / 1000;
+  assert.deepStrictEqual(getZonedDateParts(timestamp, "Europe/Berlin"), {
+    year: 2024,
+    month: 6,
+    day: 1,
+    hour: 1,
+    minute: 30,
+    second: 0,
+  });
+  assert.strictEqual(getZonedDateParts(timestamp, "UTC").day, 31);
+});
+
+test("parses dates and quarters", () => {
+  assert.deepStrictEqual(parseDate("2024-02-29"), {
+    year: 2024,
+    month: 2,
+    day: 29,
+  });
+  assert.strictEqual(parseDate("2023-02-29"), null);
+  assert.deepStrictEqual(parseQuarter("Q2/2024"), { quarter: 2, year: 2024 });
+  assert.deepStrictEqual(parseQuarter("q3"), { quarter: 3, year: null });
+  assert.strictEqual(parseQuarter("5"), null);
+});
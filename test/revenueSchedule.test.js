@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { generateRevenueSchedule } = require("../src/export/revenueSchedule");
+const { closeInterface } = require("../src/utils/input");
+
+// The readline interface of src/utils/input would keep the test running
+test.after(closeInterface);
+
+/**
+ * Unix timestamp of an ISO date and time
+ * @param {string} iso - e.g. "2024-01-01T00:00:00Z"
+ * @returns {number} - Unix timestamp in seconds
+ */
+function ts(iso) {
+  return Date.parse(iso) / 1000;
+}
+
+/**
+ * Build a paid EUR invoice with one line item
+ * @param {number} amount - Net line amount in cents
+ * @param {string} start - Service period start (ISO)
+ * @param {string} end - Service period end (ISO, exclusive)
+ * @returns {object} - Stripe invoice
+ */
+function invoice(amount, start, end) {
+  return {
+    id: "in_1",
+    number: "INV-1",
+    status: "paid",
+    currency: "eur",
+    created: ts(start),
+    total: amount,
+    lines: {
+      data: [
+        { id: "il_1", amount, period: { start: ts(start), end: ts(end) } },
+      ],
+    },
+  };
+}
+
+/**
+ * Generate the revenue schedule into a fresh folder and read it back
+ * @param {Array} invoices - Stripe invoices
+ * @param {object} [options] - Options of generateRevenueSchedule
+ * @returns {Promise<object>} - { months, documents } as rows of unquoted cells
+ */
+async function schedule(invoices, options = {}) {
+  const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), "revrec-"));
+  try {
+    const csvPath = await generateRevenueSchedule(invoices, folderPath, {
+      timezone: "UTC",
+      ...options,
+    });
+    const sections = (await fs.readFile(csvPath, "utf8"))
+      .trim()
+      .split("\n\n")
+      .map((section) =>
+        section
+          .split("\n")
+          .slice(2)
+          .map((line) =>
+            line.split(",").map((cell) => cell.replace(/^"(.*)"$/, "$1"))
+          )
+      );
+    return { months: sections[1], documents: sections[2] };
+  } finally {
+    await fs.rm(folderPath, { recursive: true, force: true });
+  }
+}
+
+test("spreads a line over its service period by time", async () => {
+  const { months, documents } = await schedule([
+    invoice(9100, "2024-01-01T00:00:00Z", "2024-04-01T00:00:00Z"),
+  ]);
+  assert.deepStrictEqual(months, [
+    ["2024-01", "EUR", "91.00", "31.00", "60.00"],
+    ["2024-02", "EUR", "0.00", "29.00", "31.00"],
+    ["2024-03", "EUR", "0.00", "31.00", "0.00"],
+  ]);
+  assert.deepStrictEqual(documents[0].slice(6), [
+    "91.00",
+    "31.00",
+    "29.00",
+    "31.00",
+  ]);
+});
+
+test("months follow the profile's timezone", async () => {
+  // April in Berlin, but starts with two hours of March in UTC
+  const april = invoice(3000, "2024-03-31T22:00:00Z", "2024-04-30T22:00:00Z");
+  const berlin = await schedule([april], { timezone: "Europe/Berlin" });
+  assert.deepStrictEqual(berlin.documents[0].slice(6), ["30.00", "30.00"]);
+  const utc = await schedule([april]);
+  assert.deepStrictEqual(utc.documents[0].slice(6), ["30.00", "0.08", "29.92"]);
+});
+
+test("a credit note reduces the rest of the credited service period", async () => {
+  const credited = invoice(
+    9100,
+    "2024-01-01T00:00:00Z",
+    "2024-04-01T00:00:00Z"
+  );
+  const { months, documents } = await schedule([credited], {
+    creditNotes: [
+      {
+        id: "cn_1",
+        number: "INV-1-CN-01",
+        currency: "eur",
+        created: ts("2024-02-01T00:00:00Z"),
+        total: 6000,
+        lines: { data: [{ invoice_line_item: "il_1", amount: 6000 }] },
+      },
+    ],
+  });
+  assert.deepStrictEqual(documents[1].slice(6), [
+    "-60.00",
+    "",
+    "-29.00",
+    "-31.00",
+  ]);
+  assert.deepStrictEqual(months, [
+    ["2024-01", "EUR", "91.00", "31.00", "60.00"],
+    ["2024-02", "EUR", "-60.00", "0.00", "0.00"],
+    ["2024-03", "EUR", "0.00", "0.00", "0.00"],
+  ]);
+});
+
+test("void invoices are left out", async () => {
+  const voided = {
+    ...invoice(100, "2024-01-01T00:00:00Z", "2024-02-01T00:00:00Z"),
+    status: "void",
+  };
+  const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), "revrec-"));
+  try {
+    assert.strictEqual(
+      await generateRevenueSchedule([voided], folderPath, { timezone: "UTC" }),
+      null
+    );
+  } finally {
+    await fs.rm(folderPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { findSequenceGaps } = require("../src/export/sequenceCheck");
+const { closeInterface } = require("../src/utils/input");
+
+// The readline interface of src/utils/input would keep the test running
+test.after(closeInterface);
+
+/**
+ * Build invoices with the given numbers
+ * @param {...string} numbers - Invoice numbers
+ * @returns {Array<object>} - Stripe invoices
+ */
+function invoices(...numbers) {
+  return numbers.map((number) => ({ number }));
+}
+
+test("lists missing numbers per prefix", () => {
+  assert.deepStrictEqual(
+    findSequenceGaps(
+      invoices("ABC-0001", "ABC-0004", "XYZ-0010", "XYZ-0012", "draft")
+    ),
+    [
+      { prefix: "ABC-", number: "ABC-0002", count: 1 },
+      { prefix: "ABC-", number: "ABC-0003", count: 1 },
+      { prefix: "XYZ-", number: "XYZ-0011", count: 1 },
+    ]
+  );
+});
+
+test("reports a long run of missing numbers as one range", () => {
+  assert.deepStrictEqual(findSequenceGaps(invoices("INV-1", "INV-20240001")), [
+    { prefix: "INV-", number: "INV-2 - INV-20240000", count: 20239999 },
+  ]);
+});
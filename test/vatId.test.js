@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateVatId, validateTaxId } = require("../src/tax/vatId");
+
+// Published sample numbers with correct check digits, one or more per prefix
+const VALID_VAT_IDS = [
+  "ATU13585627",
+  "BE0403019261",
+  "BG175074752",
+  "CY10259033P",
+  "CZ25123891",
+  "DE136695976",
+  "DK13585628",
+  "EE100931558",
+  "EL094259216",
+  "ESB64717838",
+  "ES54362315K",
+  "FI20774740",
+  "FR40303265045",
+  "HR33392005961",
+  "HU12892312",
+  "IE6433435F",
+  "IE8Z49289F",
+  "IE6433435OA",
+  "IT00743110157",
+  "LT119511515",
+  "LU15027442",
+  "LV40003521600",
+  "MT11679112",
+  "NL004495445B01",
+  "PL8567346215",
+  "PT501964843",
+  "RO18547290",
+  "SE123456789701",
+  "SI50223054",
+  "SK2022749619",
+  "XI980780684",
+];
+
+// The same numbers with one check digit or letter changed
+const WRONG_CHECK_DIGITS = [
+  "ATU13585628",
+  "BE0403019262",
+  "BG175074753",
+  "CY10259033Q",
+  "CZ25123892",
+  "DE136695977",
+  "DK13585629",
+  "EE100931559",
+  "EL094259217",
+  "ESB64717839",
+  "ES54362315L",
+  "FI20774741",
+  "FR41303265045",
+  "HR33392005962",
+  "HU12892313",
+  "IE6433435G",
+  "IE8Z49289G",
+  "IE6433435OB",
+  "IT00743110158",
+  "LT119511516",
+  "LU15027443",
+  "LV40003521601",
+  "MT11679113",
+  "NL004495446B01",
+  "PL8567346216",
+  "PT501964844",
+  "RO18547291",
+  "SE123456789801",
+  "SI50223055",
+  "SK2022749610",
+  "XI980780685",
+];
+
+test("accepts VAT IDs with correct check digits for every prefix", () => {
+  for (const vatId of VALID_VAT_IDS) {
+    assert.deepStrictEqual(
+      validateVatId(vatId),
+      { valid: true, reason: null },
+      vatId
+    );
+  }
+});
+
+test("rejects VAT IDs with a wrong check digit", () => {
+  for (const vatId of WRONG_CHECK_DIGITS) {
+    assert.deepStrictEqual(
+      validateVatId(vatId),
+      { valid: false, reason: "wrong check digits" },
+      vatId
+    );
+  }
+});
+
+test("normalizes spaces, dots and dashes before checking", () => {
+  assert.strictEqual(validateVatId("fr 40 303 265 045").valid, true);
+  assert.strictEqual(validateVatId("DE-136.695.976").valid, true);
+});
+
+test("explains why a VAT ID is invalid", () => {
+  assert.deepStrictEqual(validateVatId(""), {
+    valid: false,
+    reason: "missing",
+  });
+  assert.deepStrictEqual(validateVatId("GB980780684"), {
+    valid: false,
+    reason: 'unknown country prefix "GB"',
+  });
+  assert.deepStrictEqual(validateVatId("DE12345678"), {
+    valid: false,
+    reason: "invalid format for DE",
+  });
+  assert.deepStrictEqual(validateVatId("DE036695976"), {
+    valid: false,
+    reason: "wrong check digits",
+  });
+});
+
+test("checks UK, Swiss and Norwegian VAT numbers and passes other types", () => {
+  assert.strictEqual(
+    validateTaxId({ type: "gb_vat", value: "GB980780684" }).valid,
+    true
+  );
+  assert.strictEqual(
+    validateTaxId({ type: "gb_vat", value: "GB980780685" }).valid,
+    false
+  );
+  assert.strictEqual(
+    validateTaxId({ type: "ch_vat", value: "CHE-107.787.577 IVA" }).valid,
+    true
+  );
+  assert.strictEqual(
+    validateTaxId({ type: "no_vat", value: "995 525 828 MVA" }).valid,
+    true
+  );
+  assert.deepStrictEqual(validateTaxId({ type: "us_ein", value: "12-3" }), {
+    valid: null,
+    reason: "us_ein is not checked",
+  });
+});